@@ -0,0 +1,396 @@
+/**
+ * 天体ステータス 照会APIサーバー
+ *
+ * current.json / schedule.json は現在時刻を基準にバッチで作られるが、
+ * このサーバーは任意の日時を指定して同じ形のJSONを返す（ダッシュボードやbot向け）。
+ * Nginx からリバースプロキシで /api/*（/api/push/* を除く）を転送する想定。
+ *
+ * エンドポイント（日時は ISO 8601。'2026-03-20' のような日付のみはUTCの0時）:
+ *   GET /api/status?at=...&voidDefinitions=...
+ *                                       - 指定時刻のステータス（current.json と同じ形。at省略時は現在）
+ *                                         voidDefinitions はボイドの定義のカンマ区切り（先頭が void / upcomingVoids）
+ *   GET /api/schedule?at=...            - 指定時刻の月から始まるスケジュール（schedule.json と同じ形）
+ *   GET /api/voids?from=...&to=...&definition=...
+ *                                       - 期間内のボイド（最大400日。to省略時は from の2日後）
+ *                                         definition は modern / firstAspect / lilly / hellenistic（省略時は modern）
+ *   GET /api/events?planet=...&from=...&to=... - 逆行/留/イングレス（最大400日。planet は mercury 等、省略時は全天体）
+ *   GET /api/phases?from=...&to=...&lat=...&lon=...
+ *                                       - 新月・満月・蝕（最大400日。to省略時は from の60日後）
+ *                                         蝕の見え方は lat/lon（または city）の地点で求める（省略時は東京）
+ *   GET /api/transits?date=...&time=...&timeZone=...&lat=...&lon=...&from=...&to=...
+ *                                       - 出生データに対するトランジットとネイタル上の留（最大90日。to省略時は from の30日後）
+ *                                         date は 'YYYY-MM-DD'、time は 'HH:MM'（省略時は出生時刻不明として扱う）
+ *   GET /api/planetary-hours?lat=...&lon=...&timeZone=...&at=...
+ *                                       - 指定地点で at を含む1日（日の出〜翌日の日の出）のプラネタリーアワー
+ *                                         timeZone は暦日（曜日）を決めるタイムゾーン（省略時は Asia/Tokyo）
+ *   GET /api/sky?lat=...&lon=...&timeZone=...&at=...
+ *                                       - 指定地点での at の暦日の出没・南中・薄明と、その夜に見える天体
+ *   GET /api/cities                     - 観測地点のプリセット（上の2つは lat/lon の代わりに city=tokyo 等も可。
+ *                                         その場合 timeZone の省略時は都市のタイムゾーン）
+ *
+ * 同じ条件の問い合わせは一定時間キャッシュする。
+ *
+ * 環境変数:
+ *   API_SERVER_PORT    - ポート番号（デフォルト: 3901）
+ *   API_CACHE_TTL_SEC  - キャッシュの有効秒数（デフォルト: 600）
+ *
+ * 使い方:
+ *   node batch/api-server.js
+ */
+
+require('dotenv').config({ path: require('node:path').resolve(__dirname, '..', '.env') });
+
+const http = require('node:http');
+
+const {
+  RETROGRADE_TARGETS,
+  PRESET_CITIES,
+  findPresetCity,
+  VOID_DEFINITIONS,
+  DEFAULT_VOID_DEFINITION,
+} = require('../packages/astro-status/src');
+const {
+  dateToJulday,
+  buildCurrent,
+  buildSchedule,
+  buildVoidPeriods,
+  PUBLISHED_VOID_DEFINITIONS,
+  buildLunarPhases,
+  ECLIPSE_LOCATION,
+  buildPlanetEvents,
+  buildNatalPoints,
+  buildTransits,
+  buildPlanetaryHours,
+  buildSky,
+} = require('./status-builders');
+const { normalizeBirthData, getBirthKey } = require('./natal-profile');
+const { normalizeLocation, getLocationKey } = require('./observer-location');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../packages/astro-status/src/utils/timezone');
+
+const PORT = parseInt(process.env.API_SERVER_PORT, 10) || 3901;
+const CACHE_TTL_MS = (parseInt(process.env.API_CACHE_TTL_SEC, 10) || 600) * 1000;
+const CACHE_MAX_ENTRIES = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 受け付ける日時の範囲（これより外は暦の精度・計算時間の面で扱わない）
+const MIN_DATE_MS = Date.UTC(1800, 0, 1);
+const MAX_DATE_MS = Date.UTC(2400, 0, 1);
+
+// 期間指定の上限・省略時の長さ（日）
+const RANGE_DAYS = {
+  voids: { max: 400, default: 2 },
+  events: { max: 400, default: 365 },
+  phases: { max: 400, default: 60 },
+  transits: { max: 90, default: 30 },
+};
+
+const PLANET_KEYS = RETROGRADE_TARGETS.map(p => p.key);
+
+// ── 入力チェック ──
+
+// 400 で返す入力エラー
+class BadRequestError extends Error {}
+
+/**
+ * クエリの日時を Date に変換（省略時は fallback、秒未満は切り捨て）
+ * @throws {BadRequestError}
+ */
+function parseDateParam(params, name, fallback) {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return fallback;
+
+  const ms = Date.parse(raw);
+  if (isNaN(ms)) {
+    throw new BadRequestError(`${name} must be an ISO 8601 date-time`);
+  }
+  if (ms < MIN_DATE_MS || ms >= MAX_DATE_MS) {
+    throw new BadRequestError(`${name} must be between 1800-01-01 and 2399-12-31`);
+  }
+  return new Date(Math.floor(ms / 1000) * 1000);
+}
+
+/**
+ * from / to を検証して返す
+ * @throws {BadRequestError}
+ */
+function parseRangeParams(params, { max, default: defaultDays }) {
+  const from = parseDateParam(params, 'from', currentMinute());
+  const to = parseDateParam(params, 'to', new Date(from.getTime() + defaultDays * DAY_MS));
+  if (to <= from) {
+    throw new BadRequestError('to must be later than from');
+  }
+  if (to - from > max * DAY_MS) {
+    throw new BadRequestError(`range must be ${max} days or less`);
+  }
+  return { from, to };
+}
+
+/**
+ * planet（PLANET_DEFS の key）を天体定義の配列に変換（省略時は全天体）
+ * @throws {BadRequestError}
+ */
+function parsePlanetParam(params) {
+  const key = params.get('planet');
+  if (key === null || key === '') return RETROGRADE_TARGETS;
+  const def = RETROGRADE_TARGETS.find(p => p.key === key);
+  if (!def) {
+    throw new BadRequestError(`planet must be one of: ${PLANET_KEYS.join(', ')}`);
+  }
+  return [def];
+}
+
+/**
+ * ボイドの定義の名前を検証する
+ * @throws {BadRequestError}
+ */
+function assertVoidDefinition(name) {
+  if (!(name in VOID_DEFINITIONS)) {
+    throw new BadRequestError(`void definition must be one of: ${Object.keys(VOID_DEFINITIONS).join(', ')}`);
+  }
+}
+
+/**
+ * definition（1つ、省略時はデフォルト）
+ * @throws {BadRequestError}
+ */
+function parseVoidDefinitionParam(params) {
+  const name = params.get('definition') || DEFAULT_VOID_DEFINITION;
+  assertVoidDefinition(name);
+  return name;
+}
+
+/**
+ * voidDefinitions（カンマ区切り、省略時は current.json と同じ）
+ * @throws {BadRequestError}
+ */
+function parseVoidDefinitionsParam(params) {
+  const raw = params.get('voidDefinitions');
+  if (raw === null || raw === '') return PUBLISHED_VOID_DEFINITIONS;
+  const names = [...new Set(raw.split(',').map(name => name.trim()))];
+  names.forEach(assertVoidDefinition);
+  return names;
+}
+
+/**
+ * 出生データ（date / time / timeZone / lat / lon）を検証して返す
+ * @throws {BadRequestError}
+ */
+function parseBirthParams(params) {
+  const optional = (name) => {
+    const raw = params.get(name);
+    return raw === null || raw === '' ? undefined : raw;
+  };
+  const number = (name) => {
+    const raw = optional(name);
+    return raw === undefined ? undefined : Number(raw);
+  };
+  try {
+    return normalizeBirthData({
+      date: optional('date'),
+      time: optional('time'),
+      timeZone: optional('timeZone'),
+      lat: number('lat'),
+      lon: number('lon'),
+    });
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+}
+
+/**
+ * 観測地点（lat / lon、またはプリセットの city）とタイムゾーンを検証して返す
+ * タイムゾーンの省略時は、city ならその都市のタイムゾーン、lat / lon なら Asia/Tokyo
+ * @throws {BadRequestError}
+ */
+function parseLocationParams(params) {
+  const cityKey = params.get('city');
+  if (cityKey !== null && cityKey !== '') {
+    const city = findPresetCity(cityKey);
+    if (!city) {
+      throw new BadRequestError(`city must be one of: ${PRESET_CITIES.map(c => c.key).join(', ')}`);
+    }
+    const timeZone = params.get('timeZone') || city.timeZone;
+    if (!isValidTimeZone(timeZone)) {
+      throw new BadRequestError('timeZone must be an IANA time zone name');
+    }
+    return { location: { label: city.name, lat: city.lat, lon: city.lon }, timeZone };
+  }
+
+  const number = (name) => {
+    const raw = params.get(name);
+    return raw === null || raw === '' ? undefined : Number(raw);
+  };
+  let location;
+  try {
+    location = normalizeLocation({ lat: number('lat'), lon: number('lon') });
+  } catch (err) {
+    throw new BadRequestError(err.message);
+  }
+  const timeZone = params.get('timeZone') || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    throw new BadRequestError('timeZone must be an IANA time zone name');
+  }
+  return { location, timeZone };
+}
+
+// 省略時の「現在」は分単位にそろえて、キャッシュが効くようにする
+function currentMinute() {
+  return new Date(Math.floor(Date.now() / 60000) * 60000);
+}
+
+// ── キャッシュ ──
+
+// key → { expiresAt, promise }（計算中の問い合わせも共有する）
+const cache = new Map();
+
+function cached(key, compute) {
+  const now = Date.now();
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > now) return hit.promise;
+
+  const promise = compute();
+  cache.set(key, { expiresAt: now + CACHE_TTL_MS, promise });
+  // 失敗した結果は残さない
+  promise.catch(() => cache.delete(key));
+
+  // 古いものから捨てる（Map は挿入順）
+  while (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  return promise;
+}
+
+// ── エンドポイント ──
+
+const routes = {
+  '/api/status': (params) => {
+    const at = parseDateParam(params, 'at', currentMinute());
+    const voidDefinitions = parseVoidDefinitionsParam(params);
+    return cached(`status:${at.toISOString()}:${voidDefinitions.join(',')}`, () => buildCurrent(at, voidDefinitions));
+  },
+
+  '/api/schedule': async (params) => {
+    const at = parseDateParam(params, 'at', currentMinute());
+    // スケジュールの中身は基準月で決まるので、月単位でキャッシュして generatedAt だけ差し替える
+    const monthKey = at.toISOString().slice(0, 7);
+    const schedule = await cached(`schedule:${monthKey}`, () => buildSchedule(at));
+    return { ...schedule, generatedAt: at.toISOString() };
+  },
+
+  '/api/voids': (params) => {
+    const { from, to } = parseRangeParams(params, RANGE_DAYS.voids);
+    const definition = parseVoidDefinitionParam(params);
+    return cached(`voids:${from.toISOString()}:${to.toISOString()}:${definition}`, async () => ({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      definition,
+      voids: await buildVoidPeriods(await dateToJulday(from), await dateToJulday(to), undefined, definition),
+    }));
+  },
+
+  '/api/events': (params) => {
+    const planetDefs = parsePlanetParam(params);
+    const { from, to } = parseRangeParams(params, RANGE_DAYS.events);
+    const planetKey = planetDefs.length === 1 ? planetDefs[0].key : 'all';
+    return cached(`events:${planetKey}:${from.toISOString()}:${to.toISOString()}`, async () => ({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      planetEvents: await buildPlanetEvents(planetDefs, await dateToJulday(from), await dateToJulday(to)),
+    }));
+  },
+
+  '/api/phases': (params) => {
+    const { from, to } = parseRangeParams(params, RANGE_DAYS.phases);
+    const hasLocation = ['city', 'lat', 'lon'].some(name => params.get(name));
+    const location = hasLocation ? parseLocationParams(params).location : ECLIPSE_LOCATION;
+    return cached(`phases:${from.toISOString()}:${to.toISOString()}:${location.lat}|${location.lon}|${location.label}`, async () => ({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      lunarPhases: await buildLunarPhases(await dateToJulday(from), await dateToJulday(to), location),
+    }));
+  },
+
+  '/api/transits': (params) => {
+    const birth = parseBirthParams(params);
+    const { from, to } = parseRangeParams(params, RANGE_DAYS.transits);
+    return cached(`transits:${getBirthKey(birth)}:${from.toISOString()}:${to.toISOString()}`, async () => {
+      const natalPoints = await buildNatalPoints(birth);
+      return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        natal: { ...birth, points: natalPoints },
+        transits: await buildTransits(natalPoints, await dateToJulday(from), await dateToJulday(to)),
+      };
+    });
+  },
+
+  '/api/planetary-hours': (params) => {
+    const { location, timeZone } = parseLocationParams(params);
+    const at = parseDateParam(params, 'at', currentMinute());
+    return cached(`planetary-hours:${getLocationKey(location, timeZone)}:${at.toISOString()}`, async () => {
+      try {
+        return await buildPlanetaryHours(at, location, timeZone);
+      } catch (err) {
+        // 白夜・極夜は計算の失敗ではなく、その地点・日付では定義できないだけ
+        if (/sun does not rise and set/.test(err.message)) throw new BadRequestError(err.message);
+        throw err;
+      }
+    });
+  },
+
+  '/api/sky': (params) => {
+    const { location, timeZone } = parseLocationParams(params);
+    const at = parseDateParam(params, 'at', currentMinute());
+    return cached(`sky:${getLocationKey(location, timeZone)}:${at.toISOString()}`, () => buildSky(at, location, timeZone));
+  },
+
+  '/api/cities': async () => ({ cities: PRESET_CITIES }),
+};
+
+// ── サーバー ──
+
+function respond(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(JSON.stringify(data));
+}
+
+const server = http.createServer(async (req, res) => {
+  // CORS preflight
+  if (req.method === 'OPTIONS') {
+    respond(res, 204, {});
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const route = routes[url.pathname];
+
+  if (!route) {
+    respond(res, 404, { error: 'Not Found' });
+    return;
+  }
+  if (req.method !== 'GET') {
+    respond(res, 405, { error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    respond(res, 200, await route(url.searchParams));
+  } catch (err) {
+    if (err instanceof BadRequestError) {
+      respond(res, 400, { error: err.message });
+      return;
+    }
+    console.error(`計算エラー (${url.pathname}${url.search}):`, err);
+    respond(res, 500, { error: 'Internal Server Error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`api-server listening on port ${PORT}`);
+});
@@ -0,0 +1,87 @@
+/**
+ * 天体イベントの表示用ラベル
+ *
+ * push通知（push-notify.js）と iCalendar（ical.js）で同じ文言を使うための共通処理。
+ * どちらも schedule.json の形のイベントを受け取る。
+ */
+
+const { ASPECT_DEFS } = require('../packages/astro-core/src');
+
+/**
+ * イングレスの見出し（同じサイン境界を複数回通過する場合は何回目か・順逆を添える）
+ * 例: 「木星 獅子座入り」「木星 蟹座に再入（2回目・逆行）」「木星 獅子座に再入（3回目・順行）」
+ * @param {Object} ev - planetEvents の type: 'ingress' の要素
+ * @returns {string}
+ */
+function formatIngressTitle(ev) {
+  const passKind = ev.passKind || 'first';
+  if (passKind === 'first') {
+    return `${ev.planet} ${ev.toSign}入り${ev.retrograde ? '（逆行）' : ''}`;
+  }
+  const motion = passKind === 'retrograde_reentry' ? '逆行' : '順行';
+  return `${ev.planet} ${ev.toSign}に再入（${ev.pass}回目・${motion}）`;
+}
+
+/**
+ * 新月・満月（蝕を伴う場合は蝕の名前を先に）の見出し
+ * 例: 「満月」「皆既月食（満月）」
+ * @param {Object} phase - lunarPhases の要素
+ * @returns {string}
+ */
+function formatLunarPhaseLabel(phase) {
+  return phase.eclipse ? `${phase.eclipse.label}（${phase.label}）` : phase.label;
+}
+
+/**
+ * 蝕の詳細（食分・サロス番号・地点での見え方）
+ * 例: 「食分1.150・サロス133番・東京で皆既月食が見える」「食分0.964・サロス121番・東京では見えない」
+ * @param {Object} eclipse - lunarPhases の要素の eclipse
+ * @returns {string}
+ */
+function formatEclipseDetail(eclipse) {
+  const parts = [`食分${eclipse.magnitude.toFixed(3)}`, `サロス${eclipse.saros.series}番`];
+  const { local } = eclipse;
+  if (local) {
+    parts.push(local.visible
+      ? `${local.location.label}で${local.label}が見える`
+      : `${local.location.label}では見えない`);
+  }
+  return parts.join('・');
+}
+
+/**
+ * ボイドの前後のアスペクト
+ * 例: 「最後: 水星トライン / 次: 海王星コンジャンクション」
+ * @param {Object} v - upcomingVoids の要素
+ * @returns {string} 古いJSONなどでアスペクトがなければ空文字
+ */
+function formatVoidAspects(v) {
+  const parts = [];
+  if (v.lastAspect) parts.push(`最後: ${v.lastAspect.planet}${v.lastAspect.label}`);
+  if (v.nextAspect) parts.push(`次: ${v.nextAspect.planet}${v.nextAspect.label}`);
+  return parts.join(' / ');
+}
+
+/**
+ * パーソナルトランジット・ネイタル上の留の見出し
+ * 例: 「土星がネイタル太陽にスクエア（2/3回目）」「水星逆行開始（ネイタルASCにセクスタイル）」
+ * @param {Object} ev - api-server の /api/transits の transits の要素
+ * @returns {string}
+ */
+function formatTransitTitle(ev) {
+  const aspect = ASPECT_DEFS[ev.aspect]?.label || ev.aspect;
+  if (ev.type === 'station') {
+    const station = ev.stationType === 'station_retrograde' ? '逆行開始' : '順行復帰';
+    return `${ev.planet}${station}（ネイタル${ev.natalPoint}に${aspect}）`;
+  }
+  const pass = ev.passCount > 1 ? `（${ev.pass}/${ev.passCount}回目）` : '';
+  return `${ev.planet}がネイタル${ev.natalPoint}に${aspect}${pass}`;
+}
+
+module.exports = {
+  formatIngressTitle,
+  formatLunarPhaseLabel,
+  formatEclipseDetail,
+  formatVoidAspects,
+  formatTransitTitle,
+};
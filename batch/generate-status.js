@@ -4,38 +4,38 @@
  * 実行すると public/data/ に以下のJSONを出力する:
  *   - current.json : 現在の天体ステータス（1時間おきcron想定）
  *   - schedule.json: 月間スケジュール（月次バッチ想定）
+ *   - *.ics        : iCalendar（scheduleと同じタイミングで生成）
+ *       astro-status.ics（全部入り） / voids.ics / retrogrades.ics / ingresses.ics / lunar-phases.ics
  *
  * 使い方:
  *   node batch/generate-status.js
  *   node batch/generate-status.js --current-only  (currentだけ更新)
- *   node batch/generate-status.js --schedule-only  (scheduleだけ更新)
+ *   node batch/generate-status.js --schedule-only  (schedule・icsだけ更新)
+ *   node batch/generate-status.js --interpolate  (走査の位置を補間で求める。区間の当たりを付けるだけで時刻は正確なまま)
+ *
+ * JSONの組み立ては status-builders.js（api-server.js と共通）。
  */
 
 const fs = require('node:fs');
 const path = require('node:path');
 
+const { RETROGRADE_TARGETS, ephemeris } = require('../packages/astro-status/src');
 const {
-  MODERN_PLANETS,
-  RETROGRADE_TARGETS,
-  ephemeris,
-  getPlanetStatus,
-  findPlanetEvents,
-  findLunarPhases,
-  getVoidStatus,
-  findVoidPeriods,
-} = require('../packages/astro-status/src');
+  dateToJulday,
+  buildCurrent,
+  buildSchedule,
+  buildVoidPeriods,
+  buildPlanetEvents,
+} = require('./status-builders');
+const { buildCalendarFeeds } = require('./ical');
 
 const OUTPUT_DIR = path.resolve(__dirname, '../public/data');
 
-// ── ユーティリティ ──
+// 期間より前に始まって進行中の逆行もカレンダーに載せるため、天体イベントを遡って計算する日数
+// （逆行期間が最も長い冥王星でも約160日）
+const CALENDAR_LOOKBACK_DAYS = 180;
 
-function formatUtc(utc) {
-  if (!utc) return null;
-  const h = Math.floor(utc.hour);
-  const m = Math.floor(utc.minute);
-  const s = Math.floor(utc.second);
-  return `${utc.year}-${String(utc.month).padStart(2, '0')}-${String(utc.day).padStart(2, '0')}T${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}Z`;
-}
+// ── ユーティリティ ──
 
 function writeJson(filename, data) {
   const filepath = path.join(OUTPUT_DIR, filename);
@@ -44,56 +44,19 @@ function writeJson(filename, data) {
   console.log(`  -> ${filepath}`);
 }
 
+function writeText(filename, text) {
+  const filepath = path.join(OUTPUT_DIR, filename);
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, text, 'utf-8');
+  console.log(`  -> ${filepath}`);
+}
+
 // ── 現在のステータス生成 ──
 
 async function generateCurrent() {
   console.log('[current.json] 現在の天体ステータスを生成中...');
 
-  const now = new Date();
-  const julday = await ephemeris.localToJulday(
-    now.getUTCFullYear(), now.getUTCMonth() + 1, now.getUTCDate(),
-    now.getUTCHours(), now.getUTCMinutes(), now.getUTCSeconds(), 0
-  );
-
-  // 全天体のステータス
-  const planets = [];
-  for (const def of MODERN_PLANETS) {
-    const status = await getPlanetStatus(julday, def);
-    planets.push({
-      name: status.name,
-      sign: status.sign,
-      degreeInSign: Math.round(status.degreeInSign * 100) / 100,
-      speed: Math.round(status.speed * 10000) / 10000,
-      retrograde: status.retrograde,
-    });
-  }
-
-  // ボイドステータス
-  const voidStatus = await getVoidStatus(julday);
-  const voidInfo = {
-    isVoid: voidStatus.isVoid,
-    moonSign: voidStatus.moonSign,
-    endsAt: voidStatus.voidEndsAtUtc ? formatUtc(voidStatus.voidEndsAtUtc) : null,
-  };
-
-  // 直近48時間のボイド期間
-  const voidPeriods = await findVoidPeriods(julday, julday + 2, 0.25);
-  const upcomingVoids = voidPeriods.map(v => ({
-    startUtc: formatUtc(v.startUtc),
-    endUtc: formatUtc(v.endUtc),
-    durationHours: Math.round(v.durationHours * 10) / 10,
-    moonSign: v.moonSign,
-    startedBeforeRangeStart: !!v.startedBeforeRangeStart,
-    startEstimated: !!v.startEstimated,
-  }));
-
-  const data = {
-    generatedAt: now.toISOString(),
-    julday,
-    planets,
-    void: voidInfo,
-    upcomingVoids,
-  };
+  const data = await buildCurrent(new Date());
 
   writeJson('current.json', data);
   console.log('[current.json] 完了');
@@ -103,81 +66,44 @@ async function generateCurrent() {
 
 async function generateSchedule() {
   console.log('[schedule.json] 月間スケジュールを生成中...');
+  console.log('  月相（2ヶ月分）・天体イベント（1年分）を計算中...');
 
-  const now = new Date();
-  const year = now.getUTCFullYear();
-  const month = now.getUTCMonth() + 1;
-
-  // 月相用: 今月の1日〜2ヶ月先（従来どおり）
-  const jdStart = await ephemeris.localToJulday(year, month, 1, 0, 0, 0, 0);
-  const endMonth2m = month + 2 > 12 ? month + 2 - 12 : month + 2;
-  const endYear2m = month + 2 > 12 ? year + 1 : year;
-  const jdEnd2m = await ephemeris.localToJulday(endYear2m, endMonth2m, 1, 0, 0, 0, 0);
-
-  // 天体イベント用: 今月の1日〜1年先
-  const endMonth12m = month > 12 ? month - 12 : month;
-  const endYear12m = year + 1;
-  const jdEnd12m = await ephemeris.localToJulday(endYear12m, endMonth12m, 1, 0, 0, 0, 0);
-
-  // 新月・満月・蝕（2ヶ月分）
-  console.log('  月相を計算中...');
-  const lunarPhases = await findLunarPhases(jdStart, jdEnd2m);
-  const phases = lunarPhases.map(p => ({
-    type: p.type,
-    label: p.label,
-    utc: formatUtc(p.utc),
-    moonSign: p.moonSign,
-    sunSign: p.sunSign,
-    eclipse: p.eclipse ? {
-      type: p.eclipse.type,
-      label: p.eclipse.label,
-    } : null,
-  }));
-
-  // 各天体の逆行/留/イングレス（1年分）
-  console.log('  天体イベントを計算中（1年分）...');
-  const planetEvents = [];
-  for (const def of RETROGRADE_TARGETS) {
-    console.log(`    ${def.name}...`);
-    const events = await findPlanetEvents(def, jdStart, jdEnd12m);
-
-    for (const s of events.stations) {
-      planetEvents.push({
-        type: s.type,
-        planet: s.planet,
-        utc: formatUtc(s.utc),
-        sign: s.sign,
-        degreeInSign: Math.round(s.degreeInSign * 100) / 100,
-      });
-    }
-
-    for (const ing of events.ingresses) {
-      planetEvents.push({
-        type: 'ingress',
-        planet: ing.planet,
-        utc: formatUtc(ing.utc),
-        fromSign: ing.fromSign,
-        toSign: ing.toSign,
-        retrograde: ing.retrograde,
-      });
-    }
-  }
-
-  // 時系列でソート
-  planetEvents.sort((a, b) => a.utc.localeCompare(b.utc));
-
-  const data = {
-    generatedAt: now.toISOString(),
-    period: {
-      from: `${year}-${String(month).padStart(2, '0')}-01`,
-      to: `${endYear12m}-${String(endMonth12m).padStart(2, '0')}-01`,
-    },
-    lunarPhases: phases,
-    planetEvents,
-  };
+  const data = await buildSchedule(new Date());
 
   writeJson('schedule.json', data);
   console.log('[schedule.json] 完了');
+  return data;
+}
+
+// ── iCalendar 生成 ──
+
+/**
+ * schedule.json と同じ期間のカレンダーを出力する
+ * 月相は2ヶ月分、ボイド・逆行・イングレスは1年分（進行中の逆行を含む）
+ */
+async function generateCalendars(schedule) {
+  console.log('[*.ics] カレンダーを生成中...');
+
+  const from = new Date(`${schedule.period.from}T00:00:00Z`);
+  const to12m = new Date(`${schedule.period.to}T00:00:00Z`);
+  const jdStart = await dateToJulday(from);
+
+  console.log('  ボイド期間を計算中（1年分）...');
+  const voids = await buildVoidPeriods(jdStart, await dateToJulday(to12m));
+  const planetEvents = await buildPlanetEvents(
+    RETROGRADE_TARGETS, jdStart - CALENDAR_LOOKBACK_DAYS, await dateToJulday(to12m)
+  );
+
+  const files = buildCalendarFeeds({
+    generatedAt: schedule.generatedAt,
+    voids,
+    planetEvents,
+    lunarPhases: schedule.lunarPhases,
+  });
+  for (const [filename, text] of Object.entries(files)) {
+    writeText(filename, text);
+  }
+  console.log('[*.ics] 完了');
 }
 
 // ── メイン ──
@@ -186,16 +112,22 @@ async function main() {
   const args = process.argv.slice(2);
   const currentOnly = args.includes('--current-only');
   const scheduleOnly = args.includes('--schedule-only');
+  ephemeris.setScanInterpolation(args.includes('--interpolate'));
 
   if (!currentOnly && !scheduleOnly) {
     await generateCurrent();
-    await generateSchedule();
+    await generateCalendars(await generateSchedule());
   } else if (currentOnly) {
     await generateCurrent();
   } else if (scheduleOnly) {
-    await generateSchedule();
+    await generateCalendars(await generateSchedule());
   }
 
+  const stats = ephemeris.getEphemerisStats();
+  console.log(
+    `\n暦の計算: 位置の要求 ${stats.requests} 回（キャッシュ ${Math.round(stats.hitRate * 100)}%）、`
+    + `Swiss Ephemeris の計算 ${stats.computed} 回、補間 ${stats.interpolated} 回`
+  );
   console.log('\nバッチ完了！');
 }
 
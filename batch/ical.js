@@ -0,0 +1,261 @@
+/**
+ * iCalendar（RFC 5545）出力
+ *
+ * generate-status.js から呼ばれ、ボイド・逆行・イングレス・月相を
+ * カレンダーアプリで購読できる .ics にする。
+ *
+ * UID は再生成しても同じイベントは同じUIDになるように作り、購読側では重複せずに上書き更新される。
+ * 計算方法の見直しで時刻が多少ずれても変わらないよう、ずれやすい時刻（ボイドの開始など）は使わず、
+ * サイン・通過回数と、正確に求まる時刻の粗い区切り（月のイングレスの日付、留・イングレスの年月）から作る。
+ */
+
+const { RETROGRADE_TARGETS } = require('../packages/astro-status/src/constants/planets');
+const { SIGN_NAMES } = require('../packages/astro-status/src/services/retrograde');
+const {
+  formatIngressTitle,
+  formatLunarPhaseLabel,
+  formatEclipseDetail,
+  formatVoidAspects,
+} = require('./event-labels');
+
+const PRODID = '-//astroStatus//astro-status//JA';
+const UID_DOMAIN = 'astro-query.com';
+
+// schedule.json の天体名（日本語）→ PLANET_DEFS の key
+const PLANET_KEY_BY_NAME = Object.fromEntries(RETROGRADE_TARGETS.map(p => [p.name, p.key]));
+
+// ── シリアライズ ──
+
+/**
+ * TEXT 値のエスケープ（\ ; , 改行）
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 1行を75オクテットごとに折り返す（継続行は先頭に空白1つ）
+ * UTF-8 の文字の途中では切らない
+ */
+function foldLine(line) {
+  const MAX_OCTETS = 75;
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  let limit = MAX_OCTETS;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf-8');
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_OCTETS - 1; // 継続行の先頭の空白ぶん
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * UTC文字列（'2026-03-20T12:34:56Z'）→ iCalendar の DATE-TIME（'20260320T123456Z'）
+ */
+function formatIcsDateTime(utcString) {
+  const d = new Date(utcString);
+  if (isNaN(d.getTime())) throw new Error(`invalid date: ${utcString}`);
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// UID 用の UTC日付（'20260320'）
+function uidDate(utcString) {
+  return formatIcsDateTime(utcString).slice(0, 8);
+}
+
+// UID 用の UTC年月（'202603'）
+function uidMonth(utcString) {
+  return formatIcsDateTime(utcString).slice(0, 6);
+}
+
+// UID 用のサイン番号（牡羊座 = '01'）
+function uidSign(sign) {
+  const index = SIGN_NAMES.indexOf(sign);
+  if (index < 0) throw new Error(`unknown sign: ${sign}`);
+  return String(index + 1).padStart(2, '0');
+}
+
+/**
+ * カレンダー全体を組み立てる
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.name - カレンダー名（X-WR-CALNAME）
+ * @param {string} calendar.generatedAt - 生成日時（各イベントの DTSTAMP）
+ * @param {Array<Object>} calendar.events - { uid, start, end?, summary, description?, categories? }
+ *   end を省略したイベントは時刻のみ（所要時間なし）になる
+ * @returns {string} CRLF 区切りの iCalendar テキスト
+ */
+function buildCalendar({ name, generatedAt, events }) {
+  const dtstamp = formatIcsDateTime(generatedAt);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:P1D',
+    'X-PUBLISHED-TTL:P1D',
+  ];
+
+  for (const ev of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${ev.uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART:${formatIcsDateTime(ev.start)}`
+    );
+    if (ev.end) lines.push(`DTEND:${formatIcsDateTime(ev.end)}`);
+    lines.push(`SUMMARY:${escapeText(ev.summary)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.categories) lines.push(`CATEGORIES:${ev.categories.map(escapeText).join(',')}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ── イベント変換（JSONの形 → VEVENT） ──
+
+/**
+ * ボイド期間（upcomingVoids の形）→ 開始〜終了のイベント
+ *
+ * modern の定義のボイドは月がサインを出るところで終わるので、
+ * UID は開始（直前のアスペクトで決まる）ではなく、月のサインと次のサインへのイングレスの日付から作る。
+ */
+function voidEvents(voids) {
+  return voids.map(v => ({
+    uid: `void-${uidSign(v.moonSign)}-${uidDate(v.endUtc)}`,
+    start: v.startUtc,
+    end: v.endUtc,
+    summary: `ボイドタイム（月: ${v.moonSign}）`,
+    description: [
+      `約${v.durationHours}時間${v.startEstimated ? '（開始時刻は推定）' : ''}`,
+      formatVoidAspects(v),
+    ].filter(Boolean).join('\n'),
+    categories: ['ボイド'],
+  }));
+}
+
+/**
+ * 留（planetEvents の station_*）→ 逆行開始〜順行復帰のイベント
+ *
+ * 期間の終わりで順行復帰が見つからない逆行は、開始時刻だけのイベントにする
+ * （次回の生成で順行復帰が入れば同じUIDのまま終了時刻が付く）。
+ * 順行復帰だけがある逆行（開始が渡されたイベントより前）は含めないので、
+ * 進行中の逆行も載せたい場合は遡って計算したイベントを渡す。
+ */
+function retrogradeEvents(planetEvents) {
+  const events = [];
+  for (const [name, key] of Object.entries(PLANET_KEY_BY_NAME)) {
+    const stations = planetEvents.filter(ev => ev.planet === name && ev.type.startsWith('station_'));
+    stations.forEach((ev, i) => {
+      if (ev.type !== 'station_retrograde') return;
+      const direct = stations.slice(i + 1).find(s => s.type === 'station_direct');
+      const details = [`逆行開始: ${ev.sign}${ev.degreeInSign}°`];
+      if (direct) details.push(`順行復帰: ${direct.sign}${direct.degreeInSign}°`);
+      events.push({
+        uid: `retrograde-${key}-${uidSign(ev.sign)}-${uidMonth(ev.utc)}`,
+        start: ev.utc,
+        end: direct?.utc,
+        summary: `${name}逆行`,
+        description: details.join('\n'),
+        categories: ['逆行'],
+      });
+    });
+  }
+  return events.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * イングレス（planetEvents の ingress）→ 時刻のみのイベント
+ *
+ * UID はサイン境界（順行で入る側のサイン）と通過回数から作る（同じ月に同じ境界を同じ回数目に通ることはない）。
+ */
+function ingressEvents(planetEvents) {
+  return planetEvents
+    .filter(ev => ev.type === 'ingress' && PLANET_KEY_BY_NAME[ev.planet])
+    .map(ev => ({
+      uid: [
+        'ingress',
+        PLANET_KEY_BY_NAME[ev.planet],
+        uidSign(ev.retrograde ? ev.fromSign : ev.toSign),
+        ev.pass || 1,
+        uidMonth(ev.utc),
+      ].join('-'),
+      start: ev.utc,
+      summary: formatIngressTitle(ev),
+      description: `${ev.fromSign} → ${ev.toSign}`,
+      categories: ['イングレス'],
+    }));
+}
+
+/**
+ * 新月・満月・蝕（lunarPhases の形）→ 時刻のみのイベント
+ */
+function lunarPhaseEvents(lunarPhases) {
+  return lunarPhases.map(p => ({
+    uid: `${p.type.replace('_', '-')}-${uidDate(p.utc)}`,
+    start: p.utc,
+    summary: `${formatLunarPhaseLabel(p)}（${p.moonSign}）`,
+    description: p.eclipse
+      ? `月: ${p.moonSign} / 太陽: ${p.sunSign} / ${formatEclipseDetail(p.eclipse)}`
+      : `月: ${p.moonSign} / 太陽: ${p.sunSign}`,
+    categories: p.eclipse ? [p.label, '蝕'] : [p.label],
+  }));
+}
+
+/**
+ * 出力する .ics 一式（ファイル名 → 内容）
+ *
+ * @param {Object} data
+ * @param {string} data.generatedAt
+ * @param {Array<Object>} data.voids - upcomingVoids の形
+ * @param {Array<Object>} data.planetEvents - schedule.json の planetEvents
+ * @param {Array<Object>} data.lunarPhases - schedule.json の lunarPhases
+ * @returns {Object<string, string>}
+ */
+function buildCalendarFeeds({ generatedAt, voids, planetEvents, lunarPhases }) {
+  const feeds = {
+    'voids.ics': { name: 'astroStatus ボイドタイム', events: voidEvents(voids) },
+    'retrogrades.ics': { name: 'astroStatus 逆行', events: retrogradeEvents(planetEvents) },
+    'ingresses.ics': { name: 'astroStatus イングレス', events: ingressEvents(planetEvents) },
+    'lunar-phases.ics': { name: 'astroStatus 新月・満月', events: lunarPhaseEvents(lunarPhases) },
+  };
+
+  const all = Object.values(feeds)
+    .flatMap(feed => feed.events)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  const files = {
+    'astro-status.ics': buildCalendar({ name: 'astroStatus', generatedAt, events: all }),
+  };
+  for (const [filename, feed] of Object.entries(feeds)) {
+    files[filename] = buildCalendar({ ...feed, generatedAt });
+  }
+  return files;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatIcsDateTime,
+  buildCalendar,
+  buildCalendarFeeds,
+};
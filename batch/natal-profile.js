@@ -0,0 +1,112 @@
+/**
+ * ネイタル（出生）データの検証
+ *
+ * push-server.js（購読への登録）・api-server.js（トランジットの照会）・
+ * push-notify.js（トランジット通知）から共通で利用する。
+ * 出生データは subscriptions.json の各購読に `natal` として保存される。
+ *
+ * 形: { label, date: 'YYYY-MM-DD', time: 'HH:MM' | null, timeZone, lat, lon }
+ *   time が null（出生時刻不明）の場合は正午で計算し、ASC/MC は使わない。
+ */
+
+const { isValidTimeZone, zonedTimeToUtcMs } = require('../packages/astro-status/src/utils/timezone');
+
+const LABEL_MAX_LENGTH = 40;
+
+// 受け付ける出生日の範囲（api-server.js の日時の範囲と同じ）
+const MIN_YEAR = 1800;
+const MAX_YEAR = 2399;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertNumberInRange(name, value, [min, max]) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+}
+
+function parseDate(value) {
+  const match = typeof value === 'string' && value.match(DATE_PATTERN);
+  if (!match) throw new Error('date must be YYYY-MM-DD');
+  const [year, month, day] = match.slice(1).map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) {
+    throw new Error('date must be a valid calendar date');
+  }
+  if (year < MIN_YEAR || year > MAX_YEAR) {
+    throw new Error(`date must be between ${MIN_YEAR}-01-01 and ${MAX_YEAR}-12-31`);
+  }
+  return { year, month, day };
+}
+
+function parseTime(value) {
+  const match = typeof value === 'string' && value.match(TIME_PATTERN);
+  if (!match) throw new Error('time must be HH:MM');
+  const [hour, minute] = match.slice(1).map(Number);
+  if (hour > 23 || minute > 59) throw new Error('time must be between 00:00 and 23:59');
+  return { hour, minute };
+}
+
+/**
+ * 出生データを検証して正規化する
+ *
+ * @param {Object} input - { label?, date, time?, timeZone, lat, lon }
+ * @returns {Object} 正規化した出生データ
+ * @throws {Error} 値が不正な場合
+ */
+function normalizeBirthData(input) {
+  if (!isPlainObject(input)) throw new Error('natal must be an object');
+
+  const label = input.label ?? '';
+  if (typeof label !== 'string' || label.length > LABEL_MAX_LENGTH) {
+    throw new Error(`label must be a string of up to ${LABEL_MAX_LENGTH} characters`);
+  }
+
+  parseDate(input.date);
+  const time = input.time === undefined || input.time === null || input.time === '' ? null : input.time;
+  if (time !== null) parseTime(time);
+
+  if (!isValidTimeZone(input.timeZone)) {
+    throw new Error('timeZone must be an IANA time zone name');
+  }
+  assertNumberInRange('lat', input.lat, [-90, 90]);
+  assertNumberInRange('lon', input.lon, [-180, 180]);
+
+  return {
+    label: label.trim(),
+    date: input.date,
+    time,
+    timeZone: input.timeZone,
+    lat: input.lat,
+    lon: input.lon,
+  };
+}
+
+/**
+ * 出生日時（UTC）。出生時刻が不明なら現地の正午
+ * @param {Object} birth - normalizeBirthData の戻り値
+ * @returns {Date}
+ */
+function getBirthDate(birth) {
+  const { year, month, day } = parseDate(birth.date);
+  const { hour, minute } = birth.time ? parseTime(birth.time) : { hour: 12, minute: 0 };
+  return new Date(zonedTimeToUtcMs({ year, month, day, hour, minute }, birth.timeZone));
+}
+
+/**
+ * 計算結果のキャッシュ用キー（ラベルは計算に影響しないので含めない）
+ */
+function getBirthKey(birth) {
+  return [birth.date, birth.time ?? '-', birth.timeZone, birth.lat, birth.lon].join('|');
+}
+
+module.exports = {
+  normalizeBirthData,
+  getBirthDate,
+  getBirthKey,
+};
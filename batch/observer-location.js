@@ -0,0 +1,54 @@
+/**
+ * 観測地点の検証
+ *
+ * プラネタリーアワーのように、日の出・日の入りで決まる計算の地点として使う。
+ * push-server.js（購読への登録）・api-server.js（照会）・push-notify.js（通知）から共通で利用する。
+ * 地点は subscriptions.json の各購読に `location` として保存される
+ * （タイムゾーンは購読の timeZone を使う）。
+ *
+ * 形: { label, lat, lon }
+ */
+
+const LABEL_MAX_LENGTH = 40;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertNumberInRange(name, value, [min, max]) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * 観測地点を検証して正規化する
+ *
+ * @param {Object} input - { label?, lat, lon }
+ * @returns {{ label: string, lat: number, lon: number }}
+ * @throws {Error} 値が不正な場合
+ */
+function normalizeLocation(input) {
+  if (!isPlainObject(input)) throw new Error('location must be an object');
+
+  const label = input.label ?? '';
+  if (typeof label !== 'string' || label.length > LABEL_MAX_LENGTH) {
+    throw new Error(`label must be a string of up to ${LABEL_MAX_LENGTH} characters`);
+  }
+  assertNumberInRange('lat', input.lat, [-90, 90]);
+  assertNumberInRange('lon', input.lon, [-180, 180]);
+
+  return { label: label.trim(), lat: input.lat, lon: input.lon };
+}
+
+/**
+ * 計算結果のキャッシュ用キー（ラベルは計算に影響しないので含めない）
+ */
+function getLocationKey(location, timeZone) {
+  return [location.lat, location.lon, timeZone].join('|');
+}
+
+module.exports = {
+  normalizeLocation,
+  getLocationKey,
+};
@@ -22,6 +22,7 @@ require('dotenv').config({ path: require('node:path').resolve(__dirname, '..', '
 
 const fs = require('node:fs');
 const path = require('node:path');
+const crypto = require('node:crypto');
 
 // web-push はVPS上でinstallされる前提
 let webpush;
@@ -38,7 +39,34 @@ const DATA_DIR = path.resolve(__dirname, '../public/data');
 const SUBS_FILE = path.resolve(__dirname, 'subscriptions.json');
 const SENT_LOG = path.resolve(__dirname, 'sent-notifications.json');
 
-const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const {
+  normalizeTimeZone,
+  getZonedParts,
+  zonedTimeToUtcMs,
+  toZoned,
+  zonedDateKey,
+} = require('../packages/astro-status/src/utils/timezone');
+const { RETROGRADE_TARGETS } = require('../packages/astro-status/src/constants/planets');
+const { getSubscriberPreferences, isQuietHour } = require('./push-preferences');
+const {
+  formatIngressTitle,
+  formatLunarPhaseLabel,
+  formatEclipseDetail,
+  formatVoidAspects,
+  formatTransitTitle,
+} = require('./event-labels');
+const { getBirthKey } = require('./natal-profile');
+const { getLocationKey } = require('./observer-location');
+const { dateToJulday, buildNatalPoints, buildTransits, buildPlanetaryHours } = require('./status-builders');
+
+// トランジットを計算する期間（日）。通知する日数（leadTimes.transitDays）の上限より少し長く
+const TRANSIT_WINDOW_DAYS = 16;
+
+// プラネタリーアワーを、始まるどれだけ前から通知するか（cron の実行間隔。1時間おき推奨に合わせる）
+const PLANETARY_HOUR_LEAD_MS = 60 * 60 * 1000;
+
+// schedule.json の天体名（日本語）→ PLANET_DEFS の key
+const PLANET_KEY_BY_NAME = Object.fromEntries(RETROGRADE_TARGETS.map(p => [p.name, p.key]));
 
 // VAPID設定
 webpush.setVapidDetails(
@@ -73,129 +101,142 @@ function saveSentLog(log) {
   saveJson(SENT_LOG, log);
 }
 
-/** UTC文字列 → JST Date */
-function toJst(utcString) {
-  const ms = Date.parse(utcString);
-  if (isNaN(ms)) return null;
-  return new Date(ms + JST_OFFSET_MS);
+/** ローカルの時 (0-23) を取得 */
+function getLocalHour(utcString, timeZone) {
+  const local = toZoned(utcString, timeZone);
+  return local ? local.hour : null;
 }
 
-/** JSTの時 (0-23) を取得 */
-function getJstHour(utcString) {
-  const jst = toJst(utcString);
-  return jst ? jst.getUTCHours() : null;
+/** ローカルの「HH:MM」 */
+function formatLocalTime(utcString, timeZone) {
+  const local = toZoned(utcString, timeZone);
+  if (!local) return '不明';
+  return `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
 }
 
-/** JST日付文字列（重複チェック用） */
-function jstDateKey(utcString) {
-  const jst = toJst(utcString);
-  if (!jst) return null;
-  const y = jst.getUTCFullYear();
-  const m = String(jst.getUTCMonth() + 1).padStart(2, '0');
-  const d = String(jst.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+function formatLocal(utcString, timeZone) {
+  const local = toZoned(utcString, timeZone);
+  if (!local) return '不明';
+  const h = String(local.hour).padStart(2, '0');
+  const min = String(local.minute).padStart(2, '0');
+  return `${local.month}月${local.day}日 ${h}:${min}`;
 }
 
-function formatJst(utcString) {
-  const jst = toJst(utcString);
-  if (!jst) return '不明';
-  const m = jst.getUTCMonth() + 1;
-  const d = jst.getUTCDate();
-  const h = String(jst.getUTCHours()).padStart(2, '0');
-  const min = String(jst.getUTCMinutes()).padStart(2, '0');
-  return `${m}月${d}日 ${h}:${min}`;
+/**
+ * 指定時刻と同じローカル日付（dayOffset日ずらし）の hour:00 をUTCミリ秒で返す
+ * 例: localTimeOfDayMs(evMs, 12, tz) → イベント当日のローカル12:00
+ */
+function localTimeOfDayMs(utcMs, hour, timeZone, dayOffset = 0) {
+  const local = getZonedParts(utcMs, timeZone);
+  return zonedTimeToUtcMs({ year: local.year, month: local.month, day: local.day + dayOffset, hour }, timeZone);
+}
+
+/**
+ * 購読者ごとの判定条件（タイムゾーン + 通知設定）
+ * timeZone を持たない古い購読は Asia/Tokyo、preferences がなければデフォルト設定
+ */
+function getSubscriberContext(subscription) {
+  return {
+    timeZone: normalizeTimeZone(subscription?.timeZone),
+    preferences: getSubscriberPreferences(subscription),
+  };
+}
+
+/** 重複チェック用の購読者ID（endpoint のハッシュ） */
+function getSubscriberId(subscription) {
+  return crypto.createHash('sha256').update(subscription.endpoint || '').digest('hex').slice(0, 12);
 }
 
-/** 夜間判定 (JST 0:00〜7:59) */
-function isNightHourJst(utcString) {
-  const h = getJstHour(utcString);
-  return h !== null && h < 8;
+/** 指定時刻が購読者の「通知しない時間帯」か */
+function isQuietAt(utcMs, ctx) {
+  return isQuietHour(getZonedParts(utcMs, ctx.timeZone).hour, ctx.preferences.quietHours);
 }
 
-/** 現在のJST時刻が送信可能か (8:00〜23:59) */
-function isNowSendable() {
-  const now = new Date();
-  const jstNow = new Date(now.getTime() + JST_OFFSET_MS);
-  const h = jstNow.getUTCHours();
-  return h >= 8 && h <= 23;
+/**
+ * 指定時刻を含む「通知しない時間帯」の開始・終了（UTCミリ秒）
+ * @returns {{ startMs: number, endMs: number } | null} 時間帯外なら null
+ */
+function getQuietWindow(utcMs, ctx) {
+  if (!isQuietAt(utcMs, ctx)) return null;
+  const { start, end } = ctx.preferences.quietHours;
+  const hour = getZonedParts(utcMs, ctx.timeZone).hour;
+  // 日をまたぐ時間帯（例: 22時〜7時）は、日付変更の前後どちらにいるかで開始日・終了日が変わる
+  const wraps = start > end;
+  const startDayOffset = wraps && hour < end ? -1 : 0;
+  const endDayOffset = wraps && hour >= start ? 1 : 0;
+  return {
+    startMs: localTimeOfDayMs(utcMs, start, ctx.timeZone, startDayOffset),
+    endMs: localTimeOfDayMs(utcMs, end, ctx.timeZone, endDayOffset),
+  };
 }
 
+const DEFAULT_CONTEXT = getSubscriberContext(null);
+
 // ── 通知判定ロジック ──
 
 /**
  * ボイドタイム通知の判定
  *
- * ルール（issue_20260223.md 準拠）:
- * 1. 3時間以上のボイドのみ対象
- * 2. 通知する1: 通知時刻(ボイド2h前)が日中(8:00〜24:00) → 2h前に送信
- * 3. 通知する2: ボイド開始は夜間だが終了が朝9時以降 → 23時までに送信
- * 4. 遅延する: 通知時刻が夜間だがボイド自体は朝以降もまたぐ → 8:00に送信
- * 5. スキップ: 夜間に始まって朝8時台までに終わる → 通知しない
+ * ルール（issue_20260223.md 準拠、時刻はすべて購読者のローカル時刻）:
+ * 1. minVoidHours（デフォルト3時間）以上のボイドのみ対象
+ * 2. 通知する1: 通知時刻(ボイドの leadTimes.voidHours 前)が通知可能な時間帯 → そのまま送信
+ * 3. 通知する2: ボイド開始が通知しない時間帯(デフォルト0:00〜7:59)で、終了がその明け+1時間以降
+ *              → 通知しない時間帯に入る1時間前(デフォルト前日23時)に送信
+ * 4. 遅延する: 通知時刻は通知しない時間帯だが、ボイド開始はその明け以降 → 明けた時刻(デフォルト8:00)に送信
+ * 5. スキップ: 通知しない時間帯に始まり、明け+1時間(デフォルト朝8時台)までに終わる → 通知しない
  */
-function checkVoidNotifications(current, nowMs) {
+function checkVoidNotifications(current, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone, preferences } = ctx;
   const notifications = [];
   const voids = current?.upcomingVoids || [];
+  const HOUR_MS = 60 * 60 * 1000;
 
   for (const v of voids) {
     const startMs = Date.parse(v.startUtc);
     const endMs = Date.parse(v.endUtc);
     if (isNaN(startMs) || isNaN(endMs)) continue;
 
-    const durationHours = (endMs - startMs) / (1000 * 60 * 60);
-    if (durationHours < 3) continue; // 3時間未満はスキップ
+    const durationHours = (endMs - startMs) / HOUR_MS;
+    if (durationHours < preferences.minVoidHours) continue; // 短いボイドはスキップ
 
-    const twoHoursBefore = startMs - 2 * 60 * 60 * 1000;
-    const startJstH = getJstHour(v.startUtc);
-    const endJst = toJst(v.endUtc);
-    const endJstH = endJst ? endJst.getUTCHours() : 0;
+    const notifyAtMs = startMs - preferences.leadTimes.voidHours * HOUR_MS;
+    const quiet = getQuietWindow(notifyAtMs, ctx);
+    const startLocalH = getLocalHour(v.startUtc, timeZone);
 
     let sendAtMs = null;
     let reason = '';
 
-    // ルール1: 通知時刻（2h前）が日中
-    if (!isNightHourJst(new Date(twoHoursBefore).toISOString())) {
-      sendAtMs = twoHoursBefore;
-      reason = '2h前通常';
+    // ルール1: 通知時刻が通知可能な時間帯
+    if (!quiet) {
+      sendAtMs = notifyAtMs;
+      reason = `${preferences.leadTimes.voidHours}h前通常`;
     }
-    // ルール5チェック: 夜間開始で朝8時台までに終了 → スキップ
-    else if (startJstH !== null && startJstH < 8 && endJstH < 9) {
+    // ルール5チェック: 通知しない時間帯に始まり、明け+1時間までに終了 → スキップ
+    else if (startMs < quiet.endMs && endMs < quiet.endMs + HOUR_MS) {
       continue; // 通知しない
     }
-    // ルール2: ボイド開始は夜間だが終了が朝9時以降 → 前日23時
-    else if (startJstH !== null && startJstH < 8 && endJstH >= 9) {
-      // 前日の23時(JST)に送信
-      const startJst = toJst(v.startUtc);
-      const prevDay23Jst = new Date(Date.UTC(
-        startJst.getUTCFullYear(),
-        startJst.getUTCMonth(),
-        startJst.getUTCDate() - 1,
-        23, 0, 0
-      ));
-      sendAtMs = prevDay23Jst.getTime() - JST_OFFSET_MS; // JST→UTC
-      reason = '前日23時送信';
+    // ルール2: ボイド開始は通知しない時間帯だが、明け+1時間以降も続く → 時間帯に入る1時間前
+    else if (startMs < quiet.endMs) {
+      sendAtMs = quiet.startMs - HOUR_MS;
+      reason = '夜間前送信';
     }
-    // ルール3: 通知時刻が夜間だがボイドが朝以降もまたぐ → 8:00送信
+    // ルール3: 通知時刻は通知しない時間帯だが、ボイドは明け以降に始まる → 明けに送信
     else {
-      const startJst = toJst(v.startUtc);
-      const morning8Jst = new Date(Date.UTC(
-        startJst.getUTCFullYear(),
-        startJst.getUTCMonth(),
-        startJst.getUTCDate(),
-        8, 0, 0
-      ));
-      sendAtMs = morning8Jst.getTime() - JST_OFFSET_MS;
-      reason = '朝8時遅延';
+      sendAtMs = quiet.endMs;
+      reason = '朝遅延';
     }
 
-    if (sendAtMs === null) continue;
-
     // 送信タイミング判定: sendAt の前後30分なら送信
     const diffMs = Math.abs(nowMs - sendAtMs);
     if (diffMs <= 30 * 60 * 1000) {
       notifications.push({
-        tag: `void-${jstDateKey(v.startUtc)}-${startJstH}`,
+        kind: 'void',
+        tag: `void-${zonedDateKey(v.startUtc, timeZone)}-${startLocalH}`,
         title: 'ボイドタイム予告',
-        body: `${formatJst(v.startUtc)} 〜 ${formatJst(v.endUtc)}（${Math.round(durationHours * 10) / 10}時間）`,
+        body: [
+          `${formatLocal(v.startUtc, timeZone)} 〜 ${formatLocal(v.endUtc, timeZone)}（${Math.round(durationHours * 10) / 10}時間）`,
+          formatVoidAspects(v),
+        ].filter(Boolean).join('\n'),
         reason,
       });
     }
@@ -204,63 +245,106 @@ function checkVoidNotifications(current, nowMs) {
   return notifications;
 }
 
+/** 事前通知の本文用「約N時間後 / 約N日後」 */
+function formatTimeUntil(targetMs, nowMs) {
+  const hours = Math.round((targetMs - nowMs) / (1000 * 60 * 60));
+  return hours >= 72 ? `約${Math.round(hours / 24)}日後` : `約${hours}時間後`;
+}
+
 /**
- * 水星逆行通知の判定
+ * 逆行通知ルールを組み立てる
+ *
+ * RETROGRADE_TARGETS の天体ごとに、以下の3種類の通知タイミングを持つ:
+ * - preStationHours: 逆行開始の何時間前の12:00に予告するか（PLANET_DEFS.retrogradeNotice 日）
+ * - notifyStation:   逆行開始の時刻に通知するか
+ * - preDirectHours:  順行復帰の何時間前の12:00に予告するか
  *
- * ルール（issue_20260223.md 準拠）:
- * - 逆行開始: 320時間前のJST12:00 ＆ 開始時刻
- * - 逆行終了: 72時間以上前のJST12:00
+ * 水星だけは従来の専用ルール（issue_20260223.md: 320時間前 / 72時間前）を
+ * 同じ形の設定として持ち、通知種別も別扱い（mercuryRetro）にしている。
+ *
+ * @param {Object} preferences - 購読者の通知設定
+ * @returns {Array<Object>} ルールの配列
  */
-function checkMercuryRetroNotifications(schedule, nowMs) {
+function buildRetrogradeRules(preferences) {
+  const { leadTimes } = preferences;
+  return RETROGRADE_TARGETS.map((def) => {
+    if (def.name === '水星') {
+      return {
+        planet: def.name,
+        key: def.key,
+        kind: 'mercuryRetro',
+        preStationHours: leadTimes.mercuryRetroHours,
+        notifyStation: true,
+        preDirectHours: leadTimes.mercuryDirectHours,
+      };
+    }
+    return {
+      planet: def.name,
+      key: def.key,
+      kind: 'planetStations',
+      preStationHours: def.retrogradeNotice * 24,
+      notifyStation: true,
+      preDirectHours: leadTimes.planetDirectHours,
+    };
+  });
+}
+
+/**
+ * 逆行通知の判定（schedule.json の planetEvents から）
+ *
+ * ルール（時刻は購読者のローカル時刻、各時間は buildRetrogradeRules 参照）:
+ * - 逆行開始: preStationHours 前の12:00 ＆ 開始時刻
+ * - 逆行終了: preDirectHours 以上前の12:00
+ */
+function checkRetrogradeNotifications(schedule, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone } = ctx;
   const notifications = [];
   const events = schedule?.planetEvents || [];
+  const rules = new Map(buildRetrogradeRules(ctx.preferences).map((rule) => [rule.planet, rule]));
+  const WINDOW_MS = 30 * 60 * 1000;
+  const HOUR_MS = 60 * 60 * 1000;
 
   for (const ev of events) {
-    if (ev.planet !== '水星') continue;
+    const rule = rules.get(ev.planet);
+    if (!rule) continue;
     const evMs = Date.parse(ev.utc);
     if (isNaN(evMs)) continue;
+    const dateKey = zonedDateKey(ev.utc, timeZone);
 
     if (ev.type === 'station_retrograde') {
-      // 320時間前のJST12:00に通知
-      const preNotifyMs = evMs - 320 * 60 * 60 * 1000;
-      const preJst = new Date(preNotifyMs + JST_OFFSET_MS);
-      const noon320Jst = new Date(Date.UTC(
-        preJst.getUTCFullYear(), preJst.getUTCMonth(), preJst.getUTCDate(), 12, 0, 0
-      ));
-      const noon320UtcMs = noon320Jst.getTime() - JST_OFFSET_MS;
-
-      if (Math.abs(nowMs - noon320UtcMs) <= 30 * 60 * 1000) {
+      // preStationHours 前の12:00に通知
+      const preNoonUtcMs = localTimeOfDayMs(evMs - rule.preStationHours * HOUR_MS, 12, timeZone);
+
+      if (Math.abs(nowMs - preNoonUtcMs) <= WINDOW_MS) {
         notifications.push({
-          tag: `mercury-retro-pre-${jstDateKey(ev.utc)}`,
-          title: '水星逆行まもなく',
-          body: `水星逆行開始: ${formatJst(ev.utc)}（約${Math.round((evMs - nowMs) / (1000 * 60 * 60))}時間後）`,
+          kind: rule.kind,
+          tag: `${rule.key}-retro-pre-${dateKey}`,
+          title: `${rule.planet}逆行まもなく`,
+          body: `${rule.planet}逆行開始: ${formatLocal(ev.utc, timeZone)}（${formatTimeUntil(evMs, nowMs)}）`,
         });
       }
 
       // 開始時刻に通知
-      if (Math.abs(nowMs - evMs) <= 30 * 60 * 1000) {
+      if (rule.notifyStation && Math.abs(nowMs - evMs) <= WINDOW_MS) {
         notifications.push({
-          tag: `mercury-retro-start-${jstDateKey(ev.utc)}`,
-          title: '水星逆行開始',
-          body: `水星が逆行を開始しました（${formatJst(ev.utc)}）`,
+          kind: rule.kind,
+          tag: `${rule.key}-retro-start-${dateKey}`,
+          title: `${rule.planet}逆行開始`,
+          body: `${rule.planet}が逆行を開始しました（${formatLocal(ev.utc, timeZone)}）`,
         });
       }
     }
 
-    if (ev.type === 'station_direct' && ev.planet === '水星') {
-      // 72時間以上前のJST12:00に通知
-      const preNotifyMs = evMs - 72 * 60 * 60 * 1000;
-      const preJst = new Date(preNotifyMs + JST_OFFSET_MS);
-      const noon72Jst = new Date(Date.UTC(
-        preJst.getUTCFullYear(), preJst.getUTCMonth(), preJst.getUTCDate(), 12, 0, 0
-      ));
-      const noon72UtcMs = noon72Jst.getTime() - JST_OFFSET_MS;
+    if (ev.type === 'station_direct') {
+      // preDirectHours 以上前の12:00に通知
+      const preNoonUtcMs = localTimeOfDayMs(evMs - rule.preDirectHours * HOUR_MS, 12, timeZone);
 
-      if (Math.abs(nowMs - noon72UtcMs) <= 30 * 60 * 1000) {
+      if (Math.abs(nowMs - preNoonUtcMs) <= WINDOW_MS) {
         notifications.push({
-          tag: `mercury-direct-pre-${jstDateKey(ev.utc)}`,
-          title: '水星逆行まもなく終了',
-          body: `水星順行復帰: ${formatJst(ev.utc)}（約${Math.round((evMs - nowMs) / (1000 * 60 * 60))}時間後）`,
+          kind: rule.kind,
+          tag: `${rule.key}-direct-pre-${dateKey}`,
+          title: `${rule.planet}逆行まもなく終了`,
+          body: `${rule.planet}順行復帰: ${formatLocal(ev.utc, timeZone)}（${formatTimeUntil(evMs, nowMs)}）`,
         });
       }
     }
@@ -269,6 +353,224 @@ function checkMercuryRetroNotifications(schedule, nowMs) {
   return notifications;
 }
 
+/**
+ * 新月・満月・蝕の通知タイミング（イベントの何日前の12:00に送るか）
+ * 蝕は通常の月相より早く予告し、直前にも重ねて通知する（例: 7日前と1日前）
+ */
+function getLunarPhaseLeadDays(phase, preferences) {
+  const { lunarPhaseDays, eclipseDays } = preferences.leadTimes;
+  if (!phase.eclipse) return [lunarPhaseDays];
+  return [...new Set([eclipseDays, lunarPhaseDays])].sort((a, b) => b - a);
+}
+
+/**
+ * 新月・満月・蝕通知の判定（schedule.json の lunarPhases から）
+ *
+ * ルール（時刻は購読者のローカル時刻）:
+ * - 新月・満月: lunarPhaseDays（デフォルト1日）前の12:00
+ * - 蝕を伴う新月・満月: eclipseDays（デフォルト7日）前 ＆ lunarPhaseDays 前の12:00
+ *   （通知種別は eclipses。lunarPhases 側では重複して送らない）
+ */
+function checkLunarPhaseNotifications(schedule, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone, preferences } = ctx;
+  const notifications = [];
+  const phases = schedule?.lunarPhases || [];
+  const WINDOW_MS = 30 * 60 * 1000;
+
+  for (const phase of phases) {
+    const evMs = Date.parse(phase.utc);
+    if (isNaN(evMs)) continue;
+
+    const label = formatLunarPhaseLabel(phase);
+    const dateKey = zonedDateKey(phase.utc, timeZone);
+
+    for (const leadDays of getLunarPhaseLeadDays(phase, preferences)) {
+      const noonUtcMs = localTimeOfDayMs(evMs, 12, timeZone, -leadDays);
+      if (Math.abs(nowMs - noonUtcMs) > WINDOW_MS) continue;
+
+      let title;
+      if (leadDays === 0) title = `今日は${label}`;
+      else if (leadDays === 1) title = `明日は${label}`;
+      else title = `${label}まであと${leadDays}日`;
+
+      notifications.push({
+        kind: phase.eclipse ? 'eclipses' : 'lunarPhases',
+        tag: `${phase.eclipse ? 'eclipse' : phase.type.replace('_', '-')}-${dateKey}-${leadDays}d`,
+        title,
+        body: phase.eclipse
+          ? `${phase.label}: ${formatLocal(phase.utc, timeZone)}（${phase.moonSign}） ${formatEclipseDetail(phase.eclipse)}`
+          : `${phase.label}: ${formatLocal(phase.utc, timeZone)}（${phase.moonSign}）`,
+      });
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * イングレス通知の判定（schedule.json の planetEvents から）
+ *
+ * ルール（時刻は購読者のローカル時刻）:
+ * - preferences.ingressPlanets に含まれる天体だけ
+ * - ingressDays（デフォルト1日）前の12:00
+ * - 逆行で前のサインへ戻る再入・逆行後の最終的な入居は、初回の入居と区別した文面にする
+ */
+function checkIngressNotifications(schedule, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone, preferences } = ctx;
+  const notifications = [];
+  const events = schedule?.planetEvents || [];
+  const { ingressDays } = preferences.leadTimes;
+  const WINDOW_MS = 30 * 60 * 1000;
+
+  for (const ev of events) {
+    if (ev.type !== 'ingress') continue;
+    const key = PLANET_KEY_BY_NAME[ev.planet];
+    if (!key || !preferences.ingressPlanets.includes(key)) continue;
+
+    const evMs = Date.parse(ev.utc);
+    if (isNaN(evMs)) continue;
+
+    const noonUtcMs = localTimeOfDayMs(evMs, 12, timeZone, -ingressDays);
+    if (Math.abs(nowMs - noonUtcMs) > WINDOW_MS) continue;
+
+    const when = ingressDays === 0 ? '今日' : ingressDays === 1 ? '明日' : `${ingressDays}日後`;
+    notifications.push({
+      kind: 'ingresses',
+      tag: `${key}-ingress-${zonedDateKey(ev.utc, timeZone)}`,
+      title: formatIngressTitle(ev),
+      body: `${when} ${formatLocal(ev.utc, timeZone)}に${ev.fromSign}から${ev.toSign}へ移動します`,
+    });
+  }
+
+  return notifications;
+}
+
+/**
+ * パーソナルトランジット通知の判定（購読に登録した出生データから計算したトランジット）
+ *
+ * ルール（時刻は購読者のローカル時刻）:
+ * - preferences.transitPlanets に含まれる天体だけ
+ * - トランジット・ネイタル上の留とも transitDays（デフォルト1日）前の12:00
+ */
+function checkTransitNotifications(transits, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone, preferences } = ctx;
+  const notifications = [];
+  const { transitDays } = preferences.leadTimes;
+  const WINDOW_MS = 30 * 60 * 1000;
+
+  for (const ev of transits || []) {
+    if (!preferences.transitPlanets.includes(ev.planetKey)) continue;
+
+    const evMs = Date.parse(ev.utc);
+    if (isNaN(evMs)) continue;
+
+    const noonUtcMs = localTimeOfDayMs(evMs, 12, timeZone, -transitDays);
+    if (Math.abs(nowMs - noonUtcMs) > WINDOW_MS) continue;
+
+    const when = transitDays === 0 ? '今日' : transitDays === 1 ? '明日' : `${transitDays}日後`;
+    const dateKey = zonedDateKey(ev.utc, timeZone);
+    notifications.push({
+      kind: 'transits',
+      tag: ev.type === 'station'
+        ? `station-${ev.planetKey}-${ev.natalKey}-${dateKey}`
+        : `transit-${ev.planetKey}-${ev.aspect}-${ev.natalKey}-${dateKey}`,
+      title: formatTransitTitle(ev),
+      body: `${when} ${formatLocal(ev.utc, timeZone)}（${ev.planet}: ${ev.sign}${ev.degreeInSign}°）`,
+    });
+  }
+
+  return notifications;
+}
+
+/**
+ * 購読に登録した出生データに対する、これから TRANSIT_WINDOW_DAYS 日間のトランジット
+ * 同じ出生データの購読者（複数端末など）は1回の実行で1回だけ計算する
+ *
+ * @param {Object} subscription
+ * @param {number} nowMs
+ * @param {Map<string, Promise<Array<Object>>>} memo - 出生データのキー → 計算結果
+ * @returns {Promise<Array<Object>>} 出生データがなければ空配列
+ */
+function getPersonalTransits(subscription, nowMs, memo) {
+  if (!subscription.natal) return Promise.resolve([]);
+  const key = getBirthKey(subscription.natal);
+  if (!memo.has(key)) {
+    memo.set(key, (async () => {
+      const natalPoints = await buildNatalPoints(subscription.natal);
+      const jdStart = await dateToJulday(new Date(nowMs));
+      return buildTransits(natalPoints, jdStart, jdStart + TRANSIT_WINDOW_DAYS);
+    })());
+  }
+  return memo.get(key);
+}
+
+/**
+ * プラネタリーアワー通知の判定（購読に登録した観測地点で計算したプラネタリーアワー）
+ *
+ * ルール（時刻は購読者のローカル時刻）:
+ * - preferences.planetaryHourPlanets に含まれる天体が支配する時間だけ
+ * - その時間が始まる PLANETARY_HOUR_LEAD_MS 前から、終わるまで
+ *   （始まる前の最後の実行で送る。実行が遅れたり間隔が空いたりしても、終わった時間は送らない。
+ *   同じ時間を何度も拾っても、送信済みのタグは送らないので1回だけになる）
+ * - 時間の長さは季節・緯度で30分を切ることもあるので、何時から始まるかをタイトルに入れる
+ *
+ * @param {Array<Object>} hours - getPlanetaryHoursAround の戻り値
+ */
+function checkPlanetaryHourNotifications(hours, nowMs, ctx = DEFAULT_CONTEXT) {
+  const { timeZone, preferences } = ctx;
+  const notifications = [];
+
+  for (const h of hours || []) {
+    if (!preferences.planetaryHourPlanets.includes(h.rulerKey)) continue;
+
+    const startMs = Date.parse(h.startUtc);
+    const endMs = Date.parse(h.endUtc);
+    if (isNaN(startMs) || isNaN(endMs)) continue;
+    if (nowMs < startMs - PLANETARY_HOUR_LEAD_MS || nowMs >= endMs) continue;
+
+    const period = h.period === 'day' ? '昼' : '夜';
+    const index = h.period === 'day' ? h.hour : h.hour - 12;
+    const place = h.location.label ? `・${h.location.label}` : '';
+    notifications.push({
+      kind: 'planetaryHours',
+      tag: `phour-${h.rulerKey}-${h.date}-${h.hour}`,
+      title: `${h.ruler}の時間（${formatLocalTime(h.startUtc, timeZone)}から）`,
+      body: `${formatLocalTime(h.startUtc, timeZone)}〜${formatLocalTime(h.endUtc, timeZone)}（${h.dayRuler}の日・${period}の第${index}時${place}）`,
+    });
+  }
+
+  return notifications;
+}
+
+/**
+ * 購読に登録した観測地点での、現在時刻から PLANETARY_HOUR_LEAD_MS 先までにかかるプラネタリーアワー
+ * 日の出をまたぐ場合に備えて、現在時刻と PLANETARY_HOUR_LEAD_MS 先の時刻それぞれを含む1日を計算してまとめる。
+ * 同じ地点・タイムゾーンの購読者は1回の実行で1回だけ計算する
+ *
+ * @param {Object} subscription
+ * @param {string} timeZone - 購読者のタイムゾーン（暦日・曜日を決める）
+ * @param {number} nowMs
+ * @param {Map<string, Promise<Array<Object>>>} memo - 地点のキー → 計算結果
+ * @returns {Promise<Array<Object>>} hours の各要素に date / dayRuler / location を添えたもの。地点がなければ空配列
+ */
+function getPlanetaryHoursAround(subscription, timeZone, nowMs, memo) {
+  if (!subscription.location) return Promise.resolve([]);
+  const key = getLocationKey(subscription.location, timeZone);
+  if (!memo.has(key)) {
+    memo.set(key, (async () => {
+      const byHour = new Map();
+      for (const ms of [nowMs, nowMs + PLANETARY_HOUR_LEAD_MS]) {
+        const day = await buildPlanetaryHours(new Date(ms), subscription.location, timeZone);
+        for (const h of day.hours) {
+          byHour.set(`${day.date}-${h.hour}`, { ...h, date: day.date, dayRuler: day.dayRuler, location: day.location });
+        }
+      }
+      return [...byHour.values()];
+    })());
+  }
+  return memo.get(key);
+}
+
 // ── 送信 ──
 
 async function sendNotification(subscription, payload) {
@@ -285,59 +587,97 @@ async function sendNotification(subscription, payload) {
   }
 }
 
-async function broadcastNotifications(notifications) {
-  if (notifications.length === 0) return;
+/**
+ * 購読者1人分の通知候補を集める（時刻の判定は購読者のタイムゾーン・設定で行う）
+ */
+function collectNotifications(current, schedule, nowMs, ctx, transits = [], planetaryHours = []) {
+  return [
+    // ボイドタイム通知
+    ...checkVoidNotifications(current, nowMs, ctx),
+    // 逆行通知（水星 + その他の天体）
+    ...checkRetrogradeNotifications(schedule, nowMs, ctx),
+    // 新月・満月・蝕通知
+    ...checkLunarPhaseNotifications(schedule, nowMs, ctx),
+    // イングレス通知
+    ...checkIngressNotifications(schedule, nowMs, ctx),
+    // パーソナルトランジット通知
+    ...checkTransitNotifications(transits, nowMs, ctx),
+    // プラネタリーアワー通知
+    ...checkPlanetaryHourNotifications(planetaryHours, nowMs, ctx),
+  ];
+}
 
-  const subscriptions = getSubscriptions();
-  if (subscriptions.length === 0) {
-    console.log('購読者がいないため送信スキップ');
-    return;
-  }
+/** 購読者が受け取る設定にしている種類の通知か */
+function isWanted(notification, preferences) {
+  return preferences.kinds[notification.kind] === true;
+}
 
-  const sentLog = getSentLog();
-  const today = new Date().toISOString().slice(0, 10);
-  const expiredIndices = [];
-
-  for (const notif of notifications) {
-    // 重複チェック
-    if (sentLog[notif.tag]) {
-      console.log(`  スキップ（送信済み）: ${notif.tag}`);
-      continue;
+/**
+ * 購読者ごとに通知を判定・送信する
+ *
+ * 通知しない時間帯の購読者は丸ごとスキップし、それ以外は設定で選ばれた種類の通知だけを送る。
+ * 重複チェックは購読者単位（日付キーや送信タイミングが購読者ごとに異なるため）。
+ *
+ * @returns {Promise<Set<string>>} 無効になっていた購読の endpoint
+ */
+async function broadcastNotifications(current, schedule, subscriptions, nowMs, sentLog) {
+  const expiredEndpoints = new Set();
+  const today = new Date(nowMs).toISOString().slice(0, 10);
+  const transitMemo = new Map();
+  const planetaryHourMemo = new Map();
+  let sentCount = 0;
+
+  for (const sub of subscriptions) {
+    const ctx = getSubscriberContext(sub);
+    if (isQuietAt(nowMs, ctx)) continue;
+
+    const subscriberId = getSubscriberId(sub);
+    let transits = [];
+    if (ctx.preferences.kinds.transits) {
+      try {
+        transits = await getPersonalTransits(sub, nowMs, transitMemo);
+      } catch (err) {
+        console.error(`  トランジット計算エラー [${subscriberId}]:`, err.message);
+      }
+    }
+    let planetaryHours = [];
+    if (ctx.preferences.kinds.planetaryHours) {
+      try {
+        planetaryHours = await getPlanetaryHoursAround(sub, ctx.timeZone, nowMs, planetaryHourMemo);
+      } catch (err) {
+        // 白夜・極夜の地点では日の出・日の入りがなく計算できない
+        console.error(`  プラネタリーアワー計算エラー [${subscriberId}]:`, err.message);
+      }
     }
+    const notifications = collectNotifications(current, schedule, nowMs, ctx, transits, planetaryHours)
+      .filter((notif) => isWanted(notif, ctx.preferences));
+
+    for (const notif of notifications) {
+      const logKey = `${notif.tag}@${subscriberId}`;
+
+      // 重複チェック
+      if (sentLog[logKey]) continue;
 
-    console.log(`  送信: ${notif.title} - ${notif.body}`);
+      console.log(`  送信 [${subscriberId} ${ctx.timeZone}]: ${notif.title} - ${notif.body}`);
 
-    for (let i = 0; i < subscriptions.length; i++) {
-      const result = await sendNotification(subscriptions[i], {
+      const result = await sendNotification(sub, {
         title: notif.title,
         body: notif.body,
         tag: notif.tag,
         url: './',
       });
       if (result === 'expired') {
-        expiredIndices.push(i);
+        expiredEndpoints.add(sub.endpoint);
+        break;
       }
-    }
-
-    sentLog[notif.tag] = today;
-  }
 
-  // 無効な購読を削除
-  if (expiredIndices.length > 0) {
-    const unique = [...new Set(expiredIndices)].sort((a, b) => b - a);
-    const cleaned = [...subscriptions];
-    for (const idx of unique) cleaned.splice(idx, 1);
-    saveJson(SUBS_FILE, cleaned);
-    console.log(`  ${unique.length}件の無効な購読を削除`);
-  }
-
-  // 古い送信ログを掃除（30日以上前のエントリ削除）
-  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
-  for (const key of Object.keys(sentLog)) {
-    if (sentLog[key] < thirtyDaysAgo) delete sentLog[key];
+      sentLog[logKey] = today;
+      sentCount++;
+    }
   }
 
-  saveSentLog(sentLog);
+  console.log(`  ${sentCount}件送信`);
+  return expiredEndpoints;
 }
 
 // ── メイン ──
@@ -345,9 +685,9 @@ async function broadcastNotifications(notifications) {
 async function main() {
   console.log('[push-notify] 通知チェック開始...');
 
-  // 夜間は送信しない
-  if (!isNowSendable()) {
-    console.log('  夜間のため送信スキップ（JST 0:00〜7:59）');
+  const subscriptions = getSubscriptions();
+  if (subscriptions.length === 0) {
+    console.log('購読者がいないため送信スキップ');
     return;
   }
 
@@ -360,19 +700,24 @@ async function main() {
   }
 
   const nowMs = Date.now();
-  const notifications = [];
+  const sentLog = getSentLog();
 
-  // ボイドタイム通知
-  const voidNotifs = checkVoidNotifications(current, nowMs);
-  notifications.push(...voidNotifs);
+  const expiredEndpoints = await broadcastNotifications(current, schedule, subscriptions, nowMs, sentLog);
 
-  // 水星逆行通知
-  const retroNotifs = checkMercuryRetroNotifications(schedule, nowMs);
-  notifications.push(...retroNotifs);
+  // 無効な購読を削除
+  if (expiredEndpoints.size > 0) {
+    const cleaned = subscriptions.filter((s) => !expiredEndpoints.has(s.endpoint));
+    saveJson(SUBS_FILE, cleaned);
+    console.log(`  ${expiredEndpoints.size}件の無効な購読を削除`);
+  }
 
-  console.log(`  ${notifications.length}件の通知候補`);
+  // 古い送信ログを掃除（30日以上前のエントリ削除）
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const key of Object.keys(sentLog)) {
+    if (sentLog[key] < thirtyDaysAgo) delete sentLog[key];
+  }
 
-  await broadcastNotifications(notifications);
+  saveSentLog(sentLog);
 
   console.log('[push-notify] 完了');
 }
@@ -0,0 +1,227 @@
+/**
+ * push通知の購読者ごとの設定
+ *
+ * push-server.js（設定の保存）と push-notify.js（通知判定）から共通で利用する。
+ * 設定は subscriptions.json の各購読に `preferences` として保存される。
+ * 未設定の項目はデフォルト値で補い、従来どおりボイドと水星逆行だけが届く。
+ */
+
+const { TRADITIONAL_PLANETS, MODERN_PLANETS, RETROGRADE_TARGETS } = require('../packages/astro-status/src/constants/planets');
+
+// 通知の種類
+const EVENT_KINDS = [
+  'void',           // ボイドタイム
+  'mercuryRetro',   // 水星逆行
+  'planetStations', // 水星以外の逆行・順行
+  'ingresses',      // イングレス
+  'lunarPhases',    // 新月・満月
+  'eclipses',       // 日食・月食
+  'transits',       // ネイタルへのトランジット（出生データの登録が必要）
+  'planetaryHours', // プラネタリーアワーの始まり（観測地点の登録が必要）
+];
+
+const DEFAULT_PREFERENCES = Object.freeze({
+  kinds: Object.freeze({
+    void: true,
+    mercuryRetro: true,
+    planetStations: false,
+    ingresses: false,
+    lunarPhases: false,
+    eclipses: false,
+    transits: false,
+    planetaryHours: false,
+  }),
+  // この時間未満のボイドは通知しない
+  minVoidHours: 3,
+  // イングレスを通知する天体（PLANET_DEFS の key。動きの遅い天体ほど節目として重い）
+  ingressPlanets: Object.freeze(['jupiter', 'saturn', 'uranus', 'neptune', 'pluto']),
+  // トランジットを通知する天体（太陽〜金星は毎月のように当たるので、デフォルトは火星以遠）
+  transitPlanets: Object.freeze(['mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto']),
+  // プラネタリーアワーの始まりを通知する天体（伝統的な吉星）
+  planetaryHourPlanets: Object.freeze(['venus', 'jupiter']),
+  leadTimes: Object.freeze({
+    voidHours: 2,            // ボイド開始の何時間前に通知するか
+    mercuryRetroHours: 320,  // 水星逆行開始の何時間前の12:00に通知するか
+    mercuryDirectHours: 72,  // 水星順行復帰の何時間前の12:00に通知するか
+    planetDirectHours: 72,   // 水星以外の順行復帰の何時間前の12:00に通知するか
+    lunarPhaseDays: 1,       // 新月・満月の何日前の12:00に通知するか
+    eclipseDays: 7,          // 蝕の何日前の12:00に通知するか（lunarPhaseDays 前にも重ねて通知）
+    ingressDays: 1,          // イングレスの何日前の12:00に通知するか
+    transitDays: 1,          // トランジット・ネイタル上の留の何日前の12:00に通知するか
+  }),
+  // 通知しない時間帯（ローカル時刻、start時〜end時の手前まで。日をまたいでもよい）
+  quietHours: Object.freeze({ start: 0, end: 8 }),
+});
+
+// 入力値の許容範囲
+const LIMITS = {
+  minVoidHours: [0, 48],
+  voidHours: [0, 24],
+  mercuryRetroHours: [0, 24 * 30],
+  mercuryDirectHours: [0, 24 * 30],
+  planetDirectHours: [0, 24 * 30],
+  lunarPhaseDays: [0, 14],
+  eclipseDays: [0, 30],
+  ingressDays: [0, 14],
+  transitDays: [0, 14],
+};
+
+// イングレス通知を選べる天体（schedule.json の planetEvents に載る天体）
+const INGRESS_PLANET_KEYS = RETROGRADE_TARGETS.map(p => p.key);
+
+// トランジット通知を選べる天体（月は動きが速すぎるので除く）
+const TRANSIT_PLANET_KEYS = MODERN_PLANETS.filter(p => p.key !== 'moon').map(p => p.key);
+
+// プラネタリーアワーの支配星になる天体（太陽〜土星）
+const PLANETARY_HOUR_PLANET_KEYS = TRADITIONAL_PLANETS.map(p => p.key);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function assertNumberInRange(name, value, [min, max]) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * 天体の key の配列を検証し、重複を除いて天体の並び順にそろえる
+ */
+function normalizePlanetKeys(name, value, allowedKeys) {
+  if (!Array.isArray(value)) throw new Error(`${name} must be an array`);
+  for (const key of value) {
+    if (!allowedKeys.includes(key)) throw new Error(`unknown planet: ${key}`);
+  }
+  return allowedKeys.filter(key => value.includes(key));
+}
+
+function assertHour(name, value) {
+  if (!Number.isInteger(value) || value < 0 || value > 23) {
+    throw new Error(`${name} must be an integer hour between 0 and 23`);
+  }
+}
+
+/**
+ * 設定値を検証し、欠けている項目をデフォルトで補った設定を返す
+ *
+ * 保存済みの設定（信頼できる値）にも、APIで受け取った値（検証が必要）にも使う。
+ *
+ * @param {Object} [input] - 部分的な設定
+ * @returns {Object} 完全な設定オブジェクト
+ * @throws {Error} 値が不正な場合
+ */
+function normalizePreferences(input) {
+  if (input === undefined || input === null) input = {};
+  if (!isPlainObject(input)) {
+    throw new Error('preferences must be an object');
+  }
+
+  const kinds = { ...DEFAULT_PREFERENCES.kinds };
+  if (input.kinds !== undefined) {
+    if (!isPlainObject(input.kinds)) throw new Error('kinds must be an object');
+    for (const [kind, enabled] of Object.entries(input.kinds)) {
+      if (!EVENT_KINDS.includes(kind)) throw new Error(`unknown kind: ${kind}`);
+      if (typeof enabled !== 'boolean') throw new Error(`kinds.${kind} must be a boolean`);
+      kinds[kind] = enabled;
+    }
+  }
+
+  const minVoidHours = input.minVoidHours ?? DEFAULT_PREFERENCES.minVoidHours;
+  assertNumberInRange('minVoidHours', minVoidHours, LIMITS.minVoidHours);
+
+  const ingressPlanets = input.ingressPlanets === undefined
+    ? [...DEFAULT_PREFERENCES.ingressPlanets]
+    : normalizePlanetKeys('ingressPlanets', input.ingressPlanets, INGRESS_PLANET_KEYS);
+
+  const transitPlanets = input.transitPlanets === undefined
+    ? [...DEFAULT_PREFERENCES.transitPlanets]
+    : normalizePlanetKeys('transitPlanets', input.transitPlanets, TRANSIT_PLANET_KEYS);
+
+  const planetaryHourPlanets = input.planetaryHourPlanets === undefined
+    ? [...DEFAULT_PREFERENCES.planetaryHourPlanets]
+    : normalizePlanetKeys('planetaryHourPlanets', input.planetaryHourPlanets, PLANETARY_HOUR_PLANET_KEYS);
+
+  const leadTimes = { ...DEFAULT_PREFERENCES.leadTimes };
+  if (input.leadTimes !== undefined) {
+    if (!isPlainObject(input.leadTimes)) throw new Error('leadTimes must be an object');
+    for (const [key, value] of Object.entries(input.leadTimes)) {
+      if (!(key in leadTimes)) throw new Error(`unknown lead time: ${key}`);
+      assertNumberInRange(`leadTimes.${key}`, value, LIMITS[key]);
+      leadTimes[key] = value;
+    }
+  }
+
+  const quietHours = { ...DEFAULT_PREFERENCES.quietHours };
+  if (input.quietHours !== undefined) {
+    if (!isPlainObject(input.quietHours)) throw new Error('quietHours must be an object');
+    if (input.quietHours.start !== undefined) quietHours.start = input.quietHours.start;
+    if (input.quietHours.end !== undefined) quietHours.end = input.quietHours.end;
+    assertHour('quietHours.start', quietHours.start);
+    assertHour('quietHours.end', quietHours.end);
+  }
+
+  return { kinds, minVoidHours, ingressPlanets, transitPlanets, planetaryHourPlanets, leadTimes, quietHours };
+}
+
+/**
+ * 保存済みの設定に部分的な変更を重ねる（入れ子のオブジェクトも項目単位で上書き）
+ * @param {Object} base - 完全な設定
+ * @param {Object} [patch] - 変更したい項目だけを持つ設定
+ * @returns {Object}
+ * @throws {Error} 値が不正な場合
+ */
+function mergePreferences(base, patch) {
+  if (patch === undefined || patch === null) return normalizePreferences(base);
+  if (!isPlainObject(patch)) {
+    throw new Error('preferences must be an object');
+  }
+  for (const key of ['kinds', 'leadTimes', 'quietHours']) {
+    if (patch[key] !== undefined && !isPlainObject(patch[key])) {
+      throw new Error(`${key} must be an object`);
+    }
+  }
+  return normalizePreferences({
+    ...base,
+    ...patch,
+    kinds: { ...base.kinds, ...patch.kinds },
+    leadTimes: { ...base.leadTimes, ...patch.leadTimes },
+    quietHours: { ...base.quietHours, ...patch.quietHours },
+  });
+}
+
+/**
+ * 保存済みの購読から設定を取り出す（壊れた値はデフォルトに戻す）
+ * @param {Object} subscription - subscriptions.json の1エントリ
+ * @returns {Object}
+ */
+function getSubscriberPreferences(subscription) {
+  try {
+    return normalizePreferences(subscription?.preferences);
+  } catch {
+    return normalizePreferences();
+  }
+}
+
+/**
+ * 指定のローカル時（0-23）が通知しない時間帯か
+ * start === end の場合は「通知しない時間帯なし」とみなす
+ */
+function isQuietHour(hour, quietHours) {
+  const { start, end } = quietHours;
+  if (start === end) return false;
+  if (start < end) return hour >= start && hour < end;
+  return hour >= start || hour < end; // 日をまたぐ（例: 22時〜7時）
+}
+
+module.exports = {
+  EVENT_KINDS,
+  DEFAULT_PREFERENCES,
+  INGRESS_PLANET_KEYS,
+  TRANSIT_PLANET_KEYS,
+  PLANETARY_HOUR_PLANET_KEYS,
+  normalizePreferences,
+  mergePreferences,
+  getSubscriberPreferences,
+  isQuietHour,
+};
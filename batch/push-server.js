@@ -5,9 +5,15 @@
  * Nginx からリバースプロキシで /api/push/* を転送する想定。
  *
  * エンドポイント:
- *   POST /api/push/subscribe   - 購読を登録
+ *   POST /api/push/subscribe   - 購読を登録（timeZone を添えると通知時刻の判定に使う）
  *   POST /api/push/unsubscribe - 購読を解除
  *   GET  /api/push/vapid-key   - VAPID公開鍵を返す
+ *   GET  /api/push/preferences?endpoint=... - 購読者の通知設定を返す
+ *   PUT  /api/push/preferences - 購読者の通知設定を更新（{ endpoint, preferences, timeZone? }）
+ *   GET  /api/push/natal?endpoint=...       - 購読に登録した出生データを返す（未登録なら natal: null）
+ *   PUT  /api/push/natal       - 出生データを登録・更新（{ endpoint, natal }。natal: null で削除）
+ *   GET  /api/push/location?endpoint=...    - 購読に登録した観測地点を返す（未登録なら location: null）
+ *   PUT  /api/push/location    - 観測地点を登録・更新（{ endpoint, location }。location: null で削除）
  *
  * 環境変数:
  *   VAPID_PUBLIC_KEY  - VAPID公開鍵
@@ -23,6 +29,11 @@ const http = require('node:http');
 const fs = require('node:fs');
 const path = require('node:path');
 
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../packages/astro-status/src/utils/timezone');
+const { mergePreferences, getSubscriberPreferences } = require('./push-preferences');
+const { normalizeBirthData } = require('./natal-profile');
+const { normalizeLocation } = require('./observer-location');
+
 const SUBS_FILE = path.resolve(__dirname, 'subscriptions.json');
 const PORT = parseInt(process.env.PUSH_SERVER_PORT, 10) || 3900;
 
@@ -57,7 +68,7 @@ function respond(res, status, data) {
   res.writeHead(status, {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
   });
   res.end(JSON.stringify(data));
@@ -86,12 +97,22 @@ const server = http.createServer(async (req, res) => {
         respond(res, 400, { error: 'endpoint is required' });
         return;
       }
+      if (body.timeZone !== undefined && !isValidTimeZone(body.timeZone)) {
+        respond(res, 400, { error: 'timeZone must be an IANA time zone name' });
+        return;
+      }
+      const timeZone = body.timeZone || DEFAULT_TIME_ZONE;
       const subs = loadSubscriptions();
-      const exists = subs.some((s) => s.endpoint === body.endpoint);
-      if (!exists) {
-        subs.push(body);
+      const existing = subs.find((s) => s.endpoint === body.endpoint);
+      if (!existing) {
+        subs.push({ ...body, timeZone });
         saveSubscriptions(subs);
-        console.log(`購読登録: ${body.endpoint.slice(0, 60)}...`);
+        console.log(`購読登録: ${body.endpoint.slice(0, 60)}... (${timeZone})`);
+      } else if (existing.timeZone !== timeZone) {
+        // 再訪時にタイムゾーンが変わっていれば更新（旅行・引っ越しなど）
+        existing.timeZone = timeZone;
+        saveSubscriptions(subs);
+        console.log(`タイムゾーン更新: ${body.endpoint.slice(0, 60)}... (${timeZone})`);
       }
       respond(res, 200, { ok: true });
     } catch (err) {
@@ -115,6 +136,148 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // 通知設定の取得
+  if (url.pathname === '/api/push/preferences' && req.method === 'GET') {
+    const endpoint = url.searchParams.get('endpoint');
+    if (!endpoint) {
+      respond(res, 400, { error: 'endpoint is required' });
+      return;
+    }
+    const sub = loadSubscriptions().find((s) => s.endpoint === endpoint);
+    if (!sub) {
+      respond(res, 404, { error: 'subscription not found' });
+      return;
+    }
+    respond(res, 200, {
+      timeZone: sub.timeZone || DEFAULT_TIME_ZONE,
+      preferences: getSubscriberPreferences(sub),
+    });
+    return;
+  }
+
+  // 通知設定の更新
+  if (url.pathname === '/api/push/preferences' && req.method === 'PUT') {
+    try {
+      const body = await readBody(req);
+      if (!body.endpoint) {
+        respond(res, 400, { error: 'endpoint is required' });
+        return;
+      }
+      if (body.timeZone !== undefined && !isValidTimeZone(body.timeZone)) {
+        respond(res, 400, { error: 'timeZone must be an IANA time zone name' });
+        return;
+      }
+      const subs = loadSubscriptions();
+      const sub = subs.find((s) => s.endpoint === body.endpoint);
+      if (!sub) {
+        respond(res, 404, { error: 'subscription not found' });
+        return;
+      }
+      // 送られてきた項目だけを保存済みの設定に重ねる
+      sub.preferences = mergePreferences(getSubscriberPreferences(sub), body.preferences);
+      if (body.timeZone) sub.timeZone = body.timeZone;
+      saveSubscriptions(subs);
+      console.log(`通知設定更新: ${body.endpoint.slice(0, 60)}...`);
+      respond(res, 200, {
+        timeZone: sub.timeZone || DEFAULT_TIME_ZONE,
+        preferences: sub.preferences,
+      });
+    } catch (err) {
+      respond(res, 400, { error: err.message });
+    }
+    return;
+  }
+
+  // 出生データの取得
+  if (url.pathname === '/api/push/natal' && req.method === 'GET') {
+    const endpoint = url.searchParams.get('endpoint');
+    if (!endpoint) {
+      respond(res, 400, { error: 'endpoint is required' });
+      return;
+    }
+    const sub = loadSubscriptions().find((s) => s.endpoint === endpoint);
+    if (!sub) {
+      respond(res, 404, { error: 'subscription not found' });
+      return;
+    }
+    respond(res, 200, { natal: sub.natal || null });
+    return;
+  }
+
+  // 出生データの登録・削除
+  if (url.pathname === '/api/push/natal' && req.method === 'PUT') {
+    try {
+      const body = await readBody(req);
+      if (!body.endpoint) {
+        respond(res, 400, { error: 'endpoint is required' });
+        return;
+      }
+      const natal = body.natal === null ? null : normalizeBirthData(body.natal);
+      const subs = loadSubscriptions();
+      const sub = subs.find((s) => s.endpoint === body.endpoint);
+      if (!sub) {
+        respond(res, 404, { error: 'subscription not found' });
+        return;
+      }
+      if (natal) {
+        sub.natal = natal;
+      } else {
+        delete sub.natal;
+      }
+      saveSubscriptions(subs);
+      console.log(`出生データ${natal ? '登録' : '削除'}: ${body.endpoint.slice(0, 60)}...`);
+      respond(res, 200, { natal });
+    } catch (err) {
+      respond(res, 400, { error: err.message });
+    }
+    return;
+  }
+
+  // 観測地点の取得
+  if (url.pathname === '/api/push/location' && req.method === 'GET') {
+    const endpoint = url.searchParams.get('endpoint');
+    if (!endpoint) {
+      respond(res, 400, { error: 'endpoint is required' });
+      return;
+    }
+    const sub = loadSubscriptions().find((s) => s.endpoint === endpoint);
+    if (!sub) {
+      respond(res, 404, { error: 'subscription not found' });
+      return;
+    }
+    respond(res, 200, { location: sub.location || null });
+    return;
+  }
+
+  // 観測地点の登録・削除
+  if (url.pathname === '/api/push/location' && req.method === 'PUT') {
+    try {
+      const body = await readBody(req);
+      if (!body.endpoint) {
+        respond(res, 400, { error: 'endpoint is required' });
+        return;
+      }
+      const location = body.location === null ? null : normalizeLocation(body.location);
+      const subs = loadSubscriptions();
+      const sub = subs.find((s) => s.endpoint === body.endpoint);
+      if (!sub) {
+        respond(res, 404, { error: 'subscription not found' });
+        return;
+      }
+      if (location) {
+        sub.location = location;
+      } else {
+        delete sub.location;
+      }
+      saveSubscriptions(subs);
+      console.log(`観測地点${location ? '登録' : '削除'}: ${body.endpoint.slice(0, 60)}...`);
+      respond(res, 200, { location });
+    } catch (err) {
+      respond(res, 400, { error: err.message });
+    }
+    return;
+  }
+
   respond(res, 404, { error: 'Not Found' });
 });
 
@@ -0,0 +1,597 @@
+/**
+ * 天体ステータスJSONの組み立て
+ *
+ * generate-status.js（JSONファイル出力）と api-server.js（オンデマンド応答）から共通で利用する。
+ * どちらも同じ関数で整形するため、APIの応答は current.json / schedule.json と同じ形になる。
+ */
+
+const {
+  MODERN_PLANETS,
+  RETROGRADE_TARGETS,
+  ephemeris,
+  getPlanetStatus,
+  findPlanetEvents,
+  getAspectPairs,
+  findAspectEvents,
+  findSolarPhaseEvents,
+  findLunarPhases,
+  getLocalEclipse,
+  VOID_DEFINITIONS,
+  getVoidStatus,
+  findVoidPeriods,
+  getSignName,
+  getNatalPoints,
+  findTransits,
+  findStationContacts,
+  getPlanetaryHourAt,
+  getRiseSetTimes,
+  getNightSky,
+  TWILIGHT_KINDS,
+  timezone,
+} = require('../packages/astro-status/src');
+const { calculateHoroscope, getDignities, TRADITIONAL_RULERS } = require('../packages/astro-core/src');
+const { getBirthDate } = require('./natal-profile');
+
+// ── ユーティリティ ──
+
+function formatUtc(utc) {
+  if (!utc) return null;
+  const h = Math.floor(utc.hour);
+  const m = Math.floor(utc.minute);
+  const s = Math.floor(utc.second);
+  return `${utc.year}-${String(utc.month).padStart(2, '0')}-${String(utc.day).padStart(2, '0')}T${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}Z`;
+}
+
+// { julday, utc } → ISO文字列（null はそのまま）
+function formatTime(time) {
+  return time ? formatUtc(time.utc) : null;
+}
+
+function formatTimes(times) {
+  return Object.fromEntries(Object.entries(times).map(([name, time]) => [name, formatTime(time)]));
+}
+
+/**
+ * Date → ユリウス日（UT）
+ * @param {Date} date
+ * @returns {Promise<number>}
+ */
+function dateToJulday(date) {
+  return ephemeris.localToJulday(
+    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), 0
+  );
+}
+
+// ── current.json 相当 ──
+
+// 昼夜（トリプリシティの支配星が変わる）を判定する地点
+// current.json は全員に同じものを配るので、観測地点ごとではなく、表示タイムゾーンのデフォルト（Asia/Tokyo）に
+// 合わせた東京の1地点で判定する（current.json の sect と PWA の表示にもその旨を出す）
+const DIGNITY_LOCATION = Object.freeze({ name: '東京', lat: 35.6812, lon: 139.7671 });
+
+/**
+ * 指定時刻が昼チャートか（DIGNITY_LOCATION で太陽が地平線上にあるか）
+ * @param {Date} date
+ * @returns {Promise<boolean>}
+ */
+async function isDayChartAt(date) {
+  const chart = await calculateHoroscope(
+    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    DIGNITY_LOCATION.lat, DIGNITY_LOCATION.lon, 0
+  );
+  return chart.isDayChart;
+}
+
+/**
+ * 天体のエッセンシャル・ディグニティ（astro-core の getDignities）
+ *
+ * ディグニティ表は伝統7天体のものなので、天王星以遠は null。
+ *
+ * @returns {Object|null} { domicile, exaltation, triplicity, term, face, detriment, fall, peregrine, score }
+ */
+function buildDignities(status, isDayChart) {
+  if (!TRADITIONAL_RULERS.includes(status.name)) return null;
+  return getDignities(status.name, status.signIndex, status.degreeInSign, isDayChart);
+}
+
+/**
+ * 全天体のステータス（current.json の planets）
+ * @param {number} julday
+ * @param {boolean} isDayChart - ディグニティ（トリプリシティ）の昼夜
+ */
+async function buildPlanets(julday, isDayChart) {
+  const planets = [];
+  for (const def of MODERN_PLANETS) {
+    const status = await getPlanetStatus(julday, def);
+    planets.push({
+      name: status.name,
+      sign: status.sign,
+      degreeInSign: Math.round(status.degreeInSign * 100) / 100,
+      speed: Math.round(status.speed * 10000) / 10000,
+      retrograde: status.retrograde,
+      // 太陽との距離と状態（太陽自身は null）
+      sunDistance: status.sunDistance === null ? null : Math.round(status.sunDistance * 100) / 100,
+      solarPhase: status.solarPhase,
+      dignities: buildDignities(status, isDayChart),
+    });
+  }
+  return planets;
+}
+
+function formatVoidAspect(aspect) {
+  if (!aspect) return null;
+  return {
+    planet: aspect.planet,
+    type: aspect.type,
+    label: aspect.label,
+    exactUtc: formatUtc(aspect.exactUtc),
+  };
+}
+
+// current.json に並べて出すボイドの定義（先頭が void / upcomingVoids に入る）
+const PUBLISHED_VOID_DEFINITIONS = Object.freeze(['modern', 'lilly']);
+
+/**
+ * 指定時刻のボイド状態（current.json の void）
+ * @param {number} julday
+ * @param {string} [definition] - ボイドの定義（VOID_DEFINITIONS の名前。省略時はデフォルト）
+ */
+async function buildVoidInfo(julday, definition) {
+  const voidStatus = await getVoidStatus(julday, undefined, definition);
+  return {
+    isVoid: voidStatus.isVoid,
+    definition: voidStatus.definition,
+    moonSign: voidStatus.moonSign,
+    endsAt: voidStatus.voidEndsAtUtc ? formatUtc(voidStatus.voidEndsAtUtc) : null,
+  };
+}
+
+/**
+ * 期間内のボイド期間（current.json の upcomingVoids）
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ * @param {number} [stepHours] - 使わない（findVoidPeriods と同じく引数の位置を保つために残している）
+ * @param {string} [definition] - ボイドの定義（省略時はデフォルト）
+ */
+async function buildVoidPeriods(jdStart, jdEnd, stepHours, definition) {
+  const voidPeriods = await findVoidPeriods(jdStart, jdEnd, undefined, undefined, definition);
+  return voidPeriods.map(v => ({
+    startUtc: formatUtc(v.startUtc),
+    endUtc: formatUtc(v.endUtc),
+    durationHours: Math.round(v.durationHours * 10) / 10,
+    moonSign: v.moonSign,
+    startedBeforeRangeStart: !!v.startedBeforeRangeStart,
+    startEstimated: !!v.startEstimated,
+    // ボイドを始めたアスペクトと、月が次に作るアスペクト
+    lastAspect: formatVoidAspect(v.lastAspect),
+    nextAspect: formatVoidAspect(v.nextAspect),
+  }));
+}
+
+/**
+ * 定義ごとのボイド状態と直近48時間のボイド期間（current.json の voidDefinitions）
+ * @param {number} julday
+ * @param {Array<string>} definitions - ボイドの定義の名前
+ */
+async function buildVoidDefinitions(julday, definitions) {
+  const result = [];
+  for (const name of definitions) {
+    result.push({
+      name,
+      label: VOID_DEFINITIONS[name].label,
+      description: VOID_DEFINITIONS[name].description,
+      void: await buildVoidInfo(julday, name),
+      upcomingVoids: await buildVoidPeriods(julday, julday + 2, undefined, name),
+    });
+  }
+  return result;
+}
+
+/**
+ * 指定時刻の天体ステータス（current.json と同じ形）
+ *
+ * generatedAt は「どの時点のステータスか」を表す（PWAはこれを現在時刻として描画する）。
+ * void / upcomingVoids は voidDefinitions の先頭の定義のもの（従来の形）。
+ *
+ * @param {Date} date - 基準時刻
+ * @param {Array<string>} [voidDefinitions=PUBLISHED_VOID_DEFINITIONS] - 並べて出すボイドの定義
+ * @returns {Promise<Object>}
+ */
+async function buildCurrent(date, voidDefinitions = PUBLISHED_VOID_DEFINITIONS) {
+  const julday = await dateToJulday(date);
+  const isDayChart = await isDayChartAt(date);
+  const voids = await buildVoidDefinitions(julday, voidDefinitions);
+
+  return {
+    generatedAt: date.toISOString(),
+    julday,
+    // ディグニティの昼夜判定に使った地点と結果（全員共通。観測地点ごとの判定ではない）
+    sect: { isDayChart, location: DIGNITY_LOCATION.name, lat: DIGNITY_LOCATION.lat, lon: DIGNITY_LOCATION.lon },
+    planets: await buildPlanets(julday, isDayChart),
+    void: voids[0].void,
+    // 直近48時間のボイド期間
+    upcomingVoids: voids[0].upcomingVoids,
+    // 定義ごとのボイド（流派による違いを並べて見せる）
+    voidDefinitions: voids,
+  };
+}
+
+// ── schedule.json 相当 ──
+
+// 蝕の見え方を求める地点（表示タイムゾーンのデフォルトに合わせて東京）
+const ECLIPSE_LOCATION = Object.freeze({ label: '東京', lat: 35.6812, lon: 139.7671 });
+
+/**
+ * 蝕の情報（lunarPhases[].eclipse）
+ * @param {Object} eclipse - findEclipseAtPhase の戻り値
+ * @param {Object} location - 見え方を求める地点 { label, lat, lon }
+ */
+async function buildEclipse(eclipse, location) {
+  const local = await getLocalEclipse(eclipse, location);
+  return {
+    type: eclipse.type,
+    kind: eclipse.kind,
+    label: eclipse.label,
+    maximum: formatTime(eclipse.maximum),
+    magnitude: eclipse.magnitude,
+    ...(eclipse.type === 'lunar' ? { penumbralMagnitude: eclipse.penumbralMagnitude } : {}),
+    saros: eclipse.saros,
+    contacts: formatTimes(eclipse.contacts),
+    local: {
+      location,
+      visible: local.visible,
+      kind: local.kind,
+      label: local.label,
+      maximum: formatTime(local.maximum),
+      magnitude: local.magnitude,
+      altitude: local.altitude,
+      contacts: local.contacts && formatTimes(local.contacts),
+    },
+  };
+}
+
+/**
+ * 期間内の新月・満月・蝕（schedule.json の lunarPhases）
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ * @param {Object} [location=ECLIPSE_LOCATION] - 蝕の見え方を求める地点
+ */
+async function buildLunarPhases(jdStart, jdEnd, location = ECLIPSE_LOCATION) {
+  const lunarPhases = await findLunarPhases(jdStart, jdEnd);
+  const result = [];
+  for (const p of lunarPhases) {
+    result.push({
+      type: p.type,
+      label: p.label,
+      utc: formatUtc(p.utc),
+      moonSign: p.moonSign,
+      sunSign: p.sunSign,
+      eclipse: p.eclipse ? await buildEclipse(p.eclipse, location) : null,
+    });
+  }
+  return result;
+}
+
+/**
+ * 期間内の逆行/留/イングレス（schedule.json の planetEvents、時系列順）
+ * @param {Array<Object>} planetDefs - 対象天体（通常は RETROGRADE_TARGETS）
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ */
+async function buildPlanetEvents(planetDefs, jdStart, jdEnd) {
+  const planetEvents = [];
+  for (const def of planetDefs) {
+    const events = await findPlanetEvents(def, jdStart, jdEnd);
+
+    for (const s of events.stations) {
+      planetEvents.push({
+        type: s.type,
+        planet: s.planet,
+        utc: formatUtc(s.utc),
+        sign: s.sign,
+        degreeInSign: Math.round(s.degreeInSign * 100) / 100,
+      });
+    }
+
+    for (const ing of events.ingresses) {
+      planetEvents.push({
+        type: 'ingress',
+        planet: ing.planet,
+        utc: formatUtc(ing.utc),
+        fromSign: ing.fromSign,
+        toSign: ing.toSign,
+        retrograde: ing.retrograde,
+        pass: ing.pass,
+        passCount: ing.passCount,
+        passKind: ing.passKind,
+      });
+    }
+  }
+
+  // 時系列でソート
+  planetEvents.sort((a, b) => a.utc.localeCompare(b.utc));
+  return planetEvents;
+}
+
+// 天体間アスペクトの対象（月は動きが速く件数が多すぎるので除く）
+const ASPECT_EVENT_PLANETS = MODERN_PLANETS.filter(p => p.key !== 'moon');
+
+/**
+ * 期間内の天体間アスペクトのイグザクト（schedule.json の aspectEvents、時系列順）
+ * @param {Array<Object>} planetDefs - 対象天体（全組み合わせを調べる）
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ */
+async function buildAspectEvents(planetDefs, jdStart, jdEnd) {
+  const events = await findAspectEvents(jdStart, jdEnd, getAspectPairs(planetDefs));
+  return events.map(ev => ({
+    type: 'aspect',
+    aspect: ev.aspect,
+    angle: ev.angle,
+    planetA: ev.planetA,
+    planetB: ev.planetB,
+    utc: formatUtc(ev.utc),
+    signA: ev.signA,
+    degreeInSignA: Math.round((ev.longitudeA % 30) * 100) / 100,
+    signB: ev.signB,
+    degreeInSignB: Math.round((ev.longitudeB % 30) * 100) / 100,
+    retrogradeA: ev.retrogradeA,
+    retrogradeB: ev.retrogradeB,
+    pass: ev.pass,
+    passCount: ev.passCount,
+  }));
+}
+
+/**
+ * 期間内のカジミ・コンバスト・アンダー・ザ・ビームズの出入り（schedule.json の solarPhaseEvents、時系列順）
+ *
+ * 月は毎月太陽と合になり件数が多すぎるので、対象は通常 RETROGRADE_TARGETS。
+ *
+ * @param {Array<Object>} planetDefs
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ */
+async function buildSolarPhaseEvents(planetDefs, jdStart, jdEnd) {
+  const events = [];
+  for (const def of planetDefs) {
+    for (const ev of await findSolarPhaseEvents(def, jdStart, jdEnd)) {
+      events.push({
+        type: 'solar_phase',
+        planet: ev.planet,
+        planetKey: ev.planetKey,
+        fromPhase: ev.fromPhase,
+        toPhase: ev.toPhase,
+        approaching: ev.approaching,
+        utc: formatUtc(ev.utc),
+        sign: ev.sign,
+        degreeInSign: Math.round((ev.longitude % 30) * 100) / 100,
+        retrograde: ev.retrograde,
+      });
+    }
+  }
+
+  events.sort((a, b) => a.utc.localeCompare(b.utc));
+  return events;
+}
+
+/**
+ * 基準時刻の月から始まるスケジュール（schedule.json と同じ形）
+ *
+ * 月相は基準月の1日〜2ヶ月先、天体イベント・天体間アスペクト・太陽との位置関係は基準月の1日〜1年先。
+ *
+ * @param {Date} date - 基準時刻
+ * @returns {Promise<Object>}
+ */
+async function buildSchedule(date) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+
+  // 月相用: 今月の1日〜2ヶ月先
+  const jdStart = await ephemeris.localToJulday(year, month, 1, 0, 0, 0, 0);
+  const endMonth2m = month + 2 > 12 ? month + 2 - 12 : month + 2;
+  const endYear2m = month + 2 > 12 ? year + 1 : year;
+  const jdEnd2m = await ephemeris.localToJulday(endYear2m, endMonth2m, 1, 0, 0, 0, 0);
+
+  // 天体イベント用: 今月の1日〜1年先
+  const endMonth12m = month;
+  const endYear12m = year + 1;
+  const jdEnd12m = await ephemeris.localToJulday(endYear12m, endMonth12m, 1, 0, 0, 0, 0);
+
+  return {
+    generatedAt: date.toISOString(),
+    period: {
+      from: `${year}-${String(month).padStart(2, '0')}-01`,
+      to: `${endYear12m}-${String(endMonth12m).padStart(2, '0')}-01`,
+    },
+    lunarPhases: await buildLunarPhases(jdStart, jdEnd2m),
+    planetEvents: await buildPlanetEvents(RETROGRADE_TARGETS, jdStart, jdEnd12m),
+    aspectEvents: await buildAspectEvents(ASPECT_EVENT_PLANETS, jdStart, jdEnd12m),
+    solarPhaseEvents: await buildSolarPhaseEvents(RETROGRADE_TARGETS, jdStart, jdEnd12m),
+  };
+}
+
+// ── パーソナルトランジット ──
+
+/**
+ * 出生データからネイタルの点（天体 + 出生時刻があれば ASC/MC）を計算する
+ * @param {Object} birth - natal-profile.js の normalizeBirthData の戻り値
+ * @returns {Promise<Array<Object>>} { key, name, longitude, sign, degreeInSign }
+ */
+async function buildNatalPoints(birth) {
+  const date = getBirthDate(birth);
+  const chart = await calculateHoroscope(
+    date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(),
+    birth.lat, birth.lon, 0, { outerPlanets: true }
+  );
+  return getNatalPoints(chart, { angles: birth.time !== null }).map(p => ({
+    ...p,
+    sign: getSignName(p.longitude),
+    degreeInSign: Math.round((p.longitude % 30) * 100) / 100,
+  }));
+}
+
+/**
+ * 期間内のトランジットとネイタルの点の近くで起こる留（時系列順）
+ *
+ * トランジット天体は天体間アスペクトと同じく月を除く（月は毎月すべての点に当たるため）。
+ *
+ * @param {Array<Object>} natalPoints - buildNatalPoints の戻り値
+ * @param {number} jdStart
+ * @param {number} jdEnd
+ */
+async function buildTransits(natalPoints, jdStart, jdEnd) {
+  const transits = await findTransits(natalPoints, jdStart, jdEnd, ASPECT_EVENT_PLANETS);
+  const stations = await findStationContacts(natalPoints, jdStart, jdEnd, RETROGRADE_TARGETS);
+
+  const events = [
+    ...transits.map(ev => ({
+      type: 'transit',
+      aspect: ev.aspect,
+      planet: ev.planet,
+      planetKey: ev.planetKey,
+      natalPoint: ev.natalPoint,
+      natalKey: ev.natalKey,
+      utc: formatUtc(ev.utc),
+      sign: ev.sign,
+      degreeInSign: Math.round((ev.longitude % 30) * 100) / 100,
+      retrograde: ev.retrograde,
+      pass: ev.pass,
+      passCount: ev.passCount,
+    })),
+    ...stations.map(ev => ({
+      type: 'station',
+      stationType: ev.stationType,
+      aspect: ev.aspect,
+      orb: Math.round(ev.orb * 100) / 100,
+      planet: ev.planet,
+      planetKey: ev.planetKey,
+      natalPoint: ev.natalPoint,
+      natalKey: ev.natalKey,
+      utc: formatUtc(ev.utc),
+      sign: ev.sign,
+      degreeInSign: Math.round((ev.longitude % 30) * 100) / 100,
+    })),
+  ];
+
+  events.sort((a, b) => a.utc.localeCompare(b.utc));
+  return events;
+}
+
+// ── プラネタリーアワー ──
+
+/**
+ * 指定時刻を含む1日（日の出〜翌日の日の出）のプラネタリーアワー
+ *
+ * @param {Date} date - 基準時刻
+ * @param {Object} location - observer-location.js の normalizeLocation の戻り値
+ * @param {string} timeZone - 暦日を決めるタイムゾーン
+ * @returns {Promise<Object>} { location, timeZone, date, dayRuler, dayRulerKey, sunrise, sunset, nextSunrise, current, hours }
+ *   hours: { hour, period, ruler, rulerKey, startUtc, endUtc }、current は hours のうち基準時刻を含むもの
+ * @throws {Error} 白夜・極夜で日の出・日の入りがない場合
+ */
+async function buildPlanetaryHours(date, location, timeZone) {
+  const day = await getPlanetaryHourAt(date.getTime(), location, timeZone);
+  const hours = day.hours.map(h => ({
+    hour: h.hour,
+    period: h.period,
+    ruler: h.ruler,
+    rulerKey: h.rulerKey,
+    startUtc: formatUtc(h.start.utc),
+    endUtc: formatUtc(h.end.utc),
+  }));
+
+  return {
+    location,
+    timeZone,
+    date: day.date,
+    dayRuler: day.dayRuler,
+    dayRulerKey: day.dayRulerKey,
+    sunrise: formatUtc(day.sunrise.utc),
+    sunset: formatUtc(day.sunset.utc),
+    nextSunrise: formatUtc(day.nextSunrise.utc),
+    current: day.current ? hours[day.current.hour - 1] : null,
+    hours,
+  };
+}
+
+// ── 出没・薄明・今夜の空 ──
+
+// { julday, utc } → ISO文字列（起こらない場合は null のまま）
+function formatTwilightTimes(times) {
+  return Object.fromEntries(TWILIGHT_KINDS.map(kind => [kind, formatTime(times[kind])]));
+}
+
+/**
+ * 指定時刻の暦日（timeZone での日付）の出没・南中・薄明と、その日の夜に見える天体
+ *
+ * @param {Date} date - 基準時刻
+ * @param {Object} location - observer-location.js の normalizeLocation の戻り値
+ * @param {string} timeZone - 暦日を決めるタイムゾーン
+ * @returns {Promise<Object>} { location, timeZone, date, riseSet, twilight, night }
+ *   riseSet: { planet, planetKey, rise, set, transit }（その日に起こらないものは null）
+ *   twilight: { civil|nautical|astronomical: { dawn, dusk } }
+ *   night: { sunset, sunrise, dusk, dawn, darkness: { from, until }, bodies: { planet, planetKey, visible, from, until } }
+ *     白夜・極夜で日が沈まない・昇らない日は null
+ */
+async function buildSky(date, location, timeZone) {
+  const { year, month, day } = timezone.getZonedParts(date.getTime(), timeZone);
+  const localDate = { year, month, day };
+  const { bodies, twilight } = await getRiseSetTimes(localDate, location, timeZone);
+  const night = await getNightSky(localDate, location, timeZone);
+
+  return {
+    location,
+    timeZone,
+    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    riseSet: bodies.map(b => ({
+      planet: b.planet,
+      planetKey: b.planetKey,
+      rise: formatTime(b.rise),
+      set: formatTime(b.set),
+      transit: formatTime(b.transit),
+    })),
+    twilight: Object.fromEntries(TWILIGHT_KINDS.map(kind => [kind, {
+      dawn: formatTime(twilight[kind].dawn),
+      dusk: formatTime(twilight[kind].dusk),
+    }])),
+    night: night && {
+      sunset: formatTime(night.sunset),
+      sunrise: formatTime(night.sunrise),
+      dusk: formatTwilightTimes(night.dusk),
+      dawn: formatTwilightTimes(night.dawn),
+      darkness: { from: formatTime(night.darkness.from), until: formatTime(night.darkness.until) },
+      bodies: night.bodies.map(b => ({
+        planet: b.planet,
+        planetKey: b.planetKey,
+        visible: b.visible,
+        from: formatTime(b.from),
+        until: formatTime(b.until),
+      })),
+    },
+  };
+}
+
+module.exports = {
+  formatUtc,
+  dateToJulday,
+  DIGNITY_LOCATION,
+  ECLIPSE_LOCATION,
+  PUBLISHED_VOID_DEFINITIONS,
+  isDayChartAt,
+  buildPlanets,
+  buildVoidInfo,
+  buildVoidPeriods,
+  buildCurrent,
+  buildLunarPhases,
+  buildPlanetEvents,
+  buildAspectEvents,
+  buildSolarPhaseEvents,
+  buildSchedule,
+  buildNatalPoints,
+  buildTransits,
+  buildPlanetaryHours,
+  buildSky,
+};
@@ -1,5 +1,22 @@
+const ephemeris = require('./services/ephemeris');
 const { calculateHoroscope, calculateVoidStatus } = require('./services/horoscope');
 const { getAspect, isVoidOfCourse, getVoidOfCourseStatus } = require('./utils/aspect');
+const {
+  ASPECT_DEFS,
+  MAJOR_ASPECTS,
+  MINOR_ASPECTS,
+  ORB_PRESETS,
+  resolveOrb,
+  getAspectsBetween,
+  findAspects,
+} = require('./utils/aspectEngine');
+const { setLogger, getLogger } = require('./utils/logger');
+const {
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  POLAR_FALLBACK_HOUSE_SYSTEM,
+  getHousePosition,
+} = require('./utils/houses');
 const {
   getDignities,
   getDignityScore,
@@ -7,18 +24,78 @@ const {
   PLANET_NAME_NORMALIZATION,
   DIGNITY_TABLE,
   SCORE,
+  TERM_SYSTEMS,
+  FACE_SYSTEMS,
+  DIGNITY_SCHEMES,
+  DEFAULT_DIGNITY_SCHEME,
+  resolveDignityScheme,
 } = require('./utils/dignityTable');
+const {
+  ACCIDENTAL_SCORE,
+  SOLAR_PHASE_ORBS,
+  MEAN_DAILY_MOTION,
+  FIXED_STARS,
+  getFixedStarLongitude,
+  getSolarPhase,
+  getAccidentalDignities,
+  getChartAccidentalDignities,
+} = require('./utils/accidentalDignity');
+const {
+  TRADITIONAL_RULERS,
+  RULER_DIGNITIES,
+  getRulersAt,
+  getRulerships,
+  getAlmuten,
+  getChartAlmutens,
+  findMutualReceptions,
+  getDispositors,
+} = require('./utils/rulership');
 
 module.exports = {
+  ephemeris,
   calculateHoroscope,
   calculateVoidStatus,
   getAspect,
   isVoidOfCourse,
   getVoidOfCourseStatus,
+  ASPECT_DEFS,
+  MAJOR_ASPECTS,
+  MINOR_ASPECTS,
+  ORB_PRESETS,
+  resolveOrb,
+  getAspectsBetween,
+  findAspects,
+  setLogger,
+  getLogger,
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  POLAR_FALLBACK_HOUSE_SYSTEM,
+  getHousePosition,
   getDignities,
   getDignityScore,
   normalizeRulerName,
   PLANET_NAME_NORMALIZATION,
   DIGNITY_TABLE,
   SCORE,
+  TERM_SYSTEMS,
+  FACE_SYSTEMS,
+  DIGNITY_SCHEMES,
+  DEFAULT_DIGNITY_SCHEME,
+  resolveDignityScheme,
+  ACCIDENTAL_SCORE,
+  SOLAR_PHASE_ORBS,
+  MEAN_DAILY_MOTION,
+  FIXED_STARS,
+  getFixedStarLongitude,
+  getSolarPhase,
+  getAccidentalDignities,
+  getChartAccidentalDignities,
+  TRADITIONAL_RULERS,
+  RULER_DIGNITIES,
+  getRulersAt,
+  getRulerships,
+  getAlmuten,
+  getChartAlmutens,
+  findMutualReceptions,
+  getDispositors,
 };
@@ -0,0 +1,473 @@
+/**
+ * Swiss Ephemeris ラッパーモジュール
+ *
+ * swisseph のロードと天文暦ファイルの設定、コールバックAPIのPromise化をまとめたもの。
+ * ホロスコープ計算（horoscope.js）と astroStatus の各計算モジュールはすべてここを通して計算し、
+ * 位置のキャッシュも共有する。
+ */
+
+const path = require('node:path');
+const { createRequire } = require('node:module');
+
+// ── swisseph ロード ──
+// astro-core の依存の swisseph を使う。見つからなければ実行側プロジェクト（cwd）の依存から探す。
+function loadSwisseph() {
+  try {
+    return require('swisseph');
+  } catch {
+    const appRequireFromCwd = createRequire(path.join(process.cwd(), 'package.json'));
+    return appRequireFromCwd('swisseph');
+  }
+}
+
+const swe = loadSwisseph();
+
+// ── 天文暦ファイル ──
+
+// ephePath: Swiss Ephemeris のファイル（sepl_18.se1 など）のあるディレクトリ（'' は swisseph の既定の場所）
+// jplFile: JPL の暦ファイル名（ephePath にあるもの。指定すると JPL の暦で計算する）
+// どちらのファイルもなければ swisseph は Moshier の計算式で計算する
+const settings = {
+  ephePath: '',
+  jplFile: null,
+};
+
+swe.swe_set_ephe_path(settings.ephePath);
+
+/**
+ * 天文暦ファイルの場所を設定する（指定しなかった項目はそのまま）
+ *
+ * 暦が変わると位置も変わるため、位置のキャッシュは空にする。
+ *
+ * @param {Object} options
+ * @param {string} [options.ephePath] - 暦ファイルのディレクトリ
+ * @param {string|null} [options.jplFile] - JPL の暦ファイル名（null で Swiss Ephemeris に戻す）
+ */
+function configureEphemeris(options = {}) {
+  if (options.ephePath !== undefined) settings.ephePath = options.ephePath;
+  if (options.jplFile !== undefined) settings.jplFile = options.jplFile;
+
+  swe.swe_set_ephe_path(settings.ephePath);
+  if (settings.jplFile) swe.swe_set_jpl_file(settings.jplFile);
+  positionCache.clear();
+}
+
+/**
+ * 設定中の暦のフラグ（swe.SEFLG_SWIEPH / swe.SEFLG_JPLEPH）
+ * 蝕・出没のように swisseph の関数を直接呼ぶときに iflag として渡す
+ */
+function getEphemerisFlag() {
+  return settings.jplFile ? swe.SEFLG_JPLEPH : swe.SEFLG_SWIEPH;
+}
+
+// ── 時刻変換 ──
+
+/**
+ * ローカル時刻をUTCに変換
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {number} second
+ * @param {number} tzHours - タイムゾーンオフセット（時間）
+ * @returns {Promise<Object>} UTC時刻オブジェクト
+ */
+function localToUtc(year, month, day, hour, minute, second, tzHours) {
+  return new Promise((resolve) => {
+    swe.swe_utc_time_zone(year, month, day, hour, minute, second, tzHours, resolve);
+  });
+}
+
+/**
+ * UTC時刻からユリウス日を取得
+ * @param {Object} utc - { year, month, day, hour, minute, second }
+ * @returns {Promise<number>} ユリウス日（UT）
+ */
+async function utcToJulday(utc) {
+  const jd = await new Promise((resolve) => {
+    swe.swe_utc_to_jd(utc.year, utc.month, utc.day, utc.hour, utc.minute, utc.second, swe.SE_GREG_CAL, resolve);
+  });
+  return jd.julianDayUT;
+}
+
+/**
+ * ローカル時刻からユリウス日を一発で取得
+ */
+async function localToJulday(year, month, day, hour, minute, second, tzHours = 0) {
+  const utc = await localToUtc(year, month, day, hour, minute, second, tzHours);
+  return utcToJulday(utc);
+}
+
+/**
+ * ユリウス日からUTC日時に変換
+ * @param {number} julday - ユリウス日
+ * @returns {Promise<Object>} { year, month, day, hour, minute, second }
+ */
+function juldayToUtc(julday) {
+  return new Promise((resolve) => {
+    swe.swe_jdut1_to_utc(julday, swe.SE_GREG_CAL, (result) => {
+      resolve(result);
+    });
+  });
+}
+
+// ── 計算のオプション ──
+//
+// calcPlanet などの options（省略時は地球中心・トロピカルの黄道座標）:
+//   topocentric: { lat, lon, height? } - 観測地点から見た位置（視差。月では最大1°ほど変わる。height はメートル）
+//   sidereal: SIDEREAL_MODES のキー - サイデリアル（アヤナムシャを引いた黄経）
+//   heliocentric: true - 太陽中心
+//   equatorial: true - 赤道座標（longitude が赤経、latitude が赤緯、speed が赤経の速さ）
+
+const SIDEREAL_MODES = Object.freeze({
+  faganBradley: swe.SE_SIDM_FAGAN_BRADLEY,
+  lahiri: swe.SE_SIDM_LAHIRI,
+  deluce: swe.SE_SIDM_DELUCE,
+  raman: swe.SE_SIDM_RAMAN,
+  krishnamurti: swe.SE_SIDM_KRISHNAMURTI,
+  trueCitra: swe.SE_SIDM_TRUE_CITRA,
+});
+
+/**
+ * オプションを swe_calc_ut のフラグと、キャッシュのキー・計算前に必要な設定に直す
+ *
+ * 観測地点とサイデリアルの方式は swisseph のプロセス全体の設定なので、apply は計算と同じ同期処理の中で
+ * 直前に呼ぶこと（calcPositionSync）。Promise の then などをはさむと、その間に別のオプションの計算が
+ * 設定を書き換えうる。
+ *
+ * @param {Object} [options]
+ * @returns {{ flags: number, key: string, apply: () => void }}
+ * @throws {Error} 不明なサイデリアルの方式、観測地点の緯度・経度がない、太陽中心と観測地点の併用
+ */
+function resolveCalcOptions(options = {}) {
+  let flags = getEphemerisFlag() | swe.SEFLG_SPEED;
+  const keys = [];
+  const setups = [];
+
+  if (options.topocentric) {
+    const { lat, lon, height = 0 } = options.topocentric;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      throw new Error('topocentric requires numeric lat and lon');
+    }
+    if (options.heliocentric) throw new Error('heliocentric cannot be combined with topocentric');
+    flags |= swe.SEFLG_TOPOCTR;
+    keys.push(`topo:${lat},${lon},${height}`);
+    setups.push(() => swe.swe_set_topo(lon, lat, height));
+  }
+  if (options.sidereal) {
+    const mode = SIDEREAL_MODES[options.sidereal];
+    if (mode === undefined) {
+      throw new Error(`Unknown sidereal mode: ${options.sidereal} (expected one of: ${Object.keys(SIDEREAL_MODES).join(', ')})`);
+    }
+    flags |= swe.SEFLG_SIDEREAL;
+    keys.push(`sid:${options.sidereal}`);
+    setups.push(() => swe.swe_set_sid_mode(mode, 0, 0));
+  }
+  if (options.heliocentric) flags |= swe.SEFLG_HELCTR;
+  if (options.equatorial) flags |= swe.SEFLG_EQUATORIAL;
+
+  return {
+    flags,
+    key: [flags, ...keys].join('|'),
+    apply: () => setups.forEach(setup => setup()),
+  };
+}
+
+// ── 位置のキャッシュ ──
+//
+// 同じ時刻・天体・オプションの位置は計算結果を使い回す。
+// 走査と二分探索、別々のサービス（逆行・アスペクト・太陽との位置関係など）が同じ時刻を計算することが多い。
+// 計算中の Promise ごと保存するので、Promise.all で同時に求めた同じ位置も1回の計算で済む。
+
+// キャッシュする位置の上限（超えたら古いものから捨てる。api-server のように常駐しても増え続けないように）
+const POSITION_CACHE_LIMIT = 100000;
+
+const positionCache = new Map();
+
+const stats = {
+  requests: 0,
+  cacheHits: 0,
+  computed: 0,
+  interpolated: 0,
+};
+
+/**
+ * オプションの設定と swe_calc_ut を1つの同期処理で行う
+ *
+ * swisseph のコールバックは計算の中から同期的に呼ばれるので、設定してから結果を受け取るまでの間に
+ * 別の計算が入ることはない。同期的に呼ばれなかった場合は、設定が守られている保証がないのでエラーにする。
+ * @throws {Error} Swiss Ephemeris の計算エラー（暦の範囲外・暦ファイルがないなど）、コールバックが同期的に呼ばれなかった
+ */
+function calcPositionSync(julday, planetId, calcOptions) {
+  let result = null;
+  calcOptions.apply();
+  swe.swe_calc_ut(julday, planetId, calcOptions.flags, (r) => { result = r; });
+  if (result === null) throw new Error('swe_calc_ut did not call back synchronously');
+  if (result.error) throw new Error(`Planet calculation failed: ${result.error}`);
+  return result;
+}
+
+/**
+ * swe_calc_ut の結果（キャッシュ付き）
+ * @param {number} julday - ユリウス日
+ * @param {number} planetId - Swiss Ephemeris 天体ID
+ * @param {Object} calcOptions - resolveCalcOptions の戻り値
+ * @returns {Promise<Object>} swe_calc_ut の結果（共有されるので書き換えないこと）
+ * @throws {Error} Swiss Ephemeris の計算エラー（失敗した結果はキャッシュに残さない）
+ */
+function calcPosition(julday, planetId, calcOptions) {
+  stats.requests++;
+  const key = `${planetId}|${calcOptions.key}|${julday}`;
+  const cached = positionCache.get(key);
+  if (cached) {
+    stats.cacheHits++;
+    return cached;
+  }
+
+  stats.computed++;
+  const promise = new Promise((resolve) => resolve(calcPositionSync(julday, planetId, calcOptions)));
+  positionCache.set(key, promise);
+  // 失敗した結果は残さない
+  promise.catch(() => {
+    if (positionCache.get(key) === promise) positionCache.delete(key);
+  });
+  if (positionCache.size > POSITION_CACHE_LIMIT) {
+    positionCache.delete(positionCache.keys().next().value);
+  }
+  return promise;
+}
+
+/**
+ * 位置の計算の統計
+ * @returns {Object} { requests, cacheHits, computed, interpolated, cacheSize, hitRate }
+ *   requests: 位置の要求（補間の節点を含む） / cacheHits: うちキャッシュで済んだもの
+ *   computed: Swiss Ephemeris で実際に計算した回数 / interpolated: 補間で求めた走査の位置
+ */
+function getEphemerisStats() {
+  return {
+    ...stats,
+    cacheSize: positionCache.size,
+    hitRate: stats.requests > 0 ? stats.cacheHits / stats.requests : 0,
+  };
+}
+
+/**
+ * 統計を0に戻す（キャッシュはそのまま）
+ */
+function resetEphemerisStats() {
+  for (const key of Object.keys(stats)) stats[key] = 0;
+}
+
+/**
+ * キャッシュを空にする
+ */
+function clearEphemerisCache() {
+  positionCache.clear();
+}
+
+// ── 天体計算 ──
+
+/**
+ * 天体の位置・速度を計算
+ * @param {number} julday - ユリウス日
+ * @param {number} planetId - Swiss Ephemeris 天体ID
+ * @param {string} planetName - 表示用天体名
+ * @param {Object} [options] - 計算のオプション（topocentric / sidereal / heliocentric / equatorial）
+ * @returns {Promise<Object>} { name, id, longitude, latitude, speed, retrograde }
+ */
+function calcPlanet(julday, planetId, planetName, options) {
+  return calcPosition(julday, planetId, resolveCalcOptions(options)).then((result) => {
+    // 赤道座標では swisseph は rectAscension / declination / rectAscensionSpeed で返す
+    const speed = result.longitudeSpeed ?? result.rectAscensionSpeed;
+    return {
+      name: planetName,
+      id: planetId,
+      longitude: result.longitude ?? result.rectAscension,
+      latitude: result.latitude ?? result.declination,
+      speed,
+      retrograde: speed < 0,
+    };
+  });
+}
+
+/**
+ * 複数天体を一括計算
+ * @param {number} julday - ユリウス日
+ * @param {Array<{id: number, name: string}>} planetDefs - 天体定義配列
+ * @param {Object} [options] - 計算のオプション
+ * @returns {Promise<Array<Object>>} 天体情報の配列
+ */
+function calcPlanets(julday, planetDefs, options) {
+  return Promise.all(
+    planetDefs.map(def => calcPlanet(julday, def.id, def.name, options))
+  );
+}
+
+// ── 走査用の補間 ──
+//
+// 補間モードでは、一定間隔の走査の位置を、天体ごとの間隔の節点で計算した経度と速度から
+// 3次エルミート補間で求める。節点は間隔の倍数の時刻に固定するので、別の走査・別のサービスとも共有される。
+// 補間は走査でイベントのある区間の当たりを付けるためだけに使い、時刻は calcPlanet の正確な位置で詰める。
+// 区間の境目ちょうどのイベントは補間の誤差で隣の区間に入りうるため、既定では使わない。
+
+// 天体ごとの節点の間隔（日）。経度の誤差が 0.001° 程度に収まるもの
+const INTERPOLATION_NODE_DAYS = Object.freeze({
+  [swe.SE_MOON]: 0.5,
+  [swe.SE_SUN]: 2,
+  [swe.SE_MERCURY]: 1,
+  [swe.SE_VENUS]: 2,
+  [swe.SE_MARS]: 2,
+});
+const DEFAULT_INTERPOLATION_NODE_DAYS = 4;
+
+let scanInterpolation = false;
+
+/**
+ * 走査の補間モードを切り替える
+ * @param {boolean} enabled
+ */
+function setScanInterpolation(enabled) {
+  scanInterpolation = !!enabled;
+}
+
+/**
+ * 走査用の天体の位置
+ *
+ * 補間モードでなければ calcPlanet と同じ。補間モードでは節点からの補間（節点ちょうどなら計算値）。
+ *
+ * @param {number} julday - ユリウス日
+ * @param {number} planetId - Swiss Ephemeris 天体ID
+ * @param {string} planetName - 表示用天体名
+ * @param {Object} [options] - 計算のオプション
+ * @returns {Promise<Object>} { name, id, longitude, latitude, speed, retrograde }（補間では latitude は直線補間）
+ */
+async function calcPlanetForScan(julday, planetId, planetName, options) {
+  const h = INTERPOLATION_NODE_DAYS[planetId] ?? DEFAULT_INTERPOLATION_NODE_DAYS;
+  const jd0 = Math.floor(julday / h) * h;
+  if (!scanInterpolation || jd0 === julday) return calcPlanet(julday, planetId, planetName, options);
+
+  stats.interpolated++;
+  const [p0, p1] = await Promise.all([
+    calcPlanet(jd0, planetId, planetName, options),
+    calcPlanet(jd0 + h, planetId, planetName, options),
+  ]);
+  // 節点の間で 0°/360° をまたいでも連続するように、終点の経度を始点の近くへ寄せる
+  const l0 = p0.longitude;
+  const l1 = l0 + ((p1.longitude - l0 + 540) % 360) - 180;
+  const t = (julday - jd0) / h;
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  const longitude = (2 * t3 - 3 * t2 + 1) * l0 + (t3 - 2 * t2 + t) * h * p0.speed
+    + (-2 * t3 + 3 * t2) * l1 + (t3 - t2) * h * p1.speed;
+  const speed = (6 * t2 - 6 * t) * (l0 - l1) / h
+    + (3 * t2 - 4 * t + 1) * p0.speed + (3 * t2 - 2 * t) * p1.speed;
+
+  return {
+    name: planetName,
+    id: planetId,
+    longitude: ((longitude % 360) + 360) % 360,
+    latitude: p0.latitude + (p1.latitude - p0.latitude) * t,
+    speed,
+    retrograde: speed < 0,
+  };
+}
+
+/**
+ * 一定間隔の時刻の位置をまとめて計算（走査用）
+ * @param {Object} planetDef - 天体定義 { id, name }
+ * @param {number} jdStart - 開始ユリウス日
+ * @param {number} jdEnd - 終了ユリウス日（これを超えない最後の時刻まで）
+ * @param {number} stepDays - 間隔（日）
+ * @param {Object} [options] - 計算のオプション
+ * @returns {Promise<Array<Object>>} { julday, ...calcPlanetForScan の戻り値 } の配列
+ */
+async function calcPlanetSeries(planetDef, jdStart, jdEnd, stepDays, options) {
+  if (stepDays <= 0) throw new Error('stepDays must be greater than 0');
+  const series = [];
+  for (let i = 0; jdStart + i * stepDays <= jdEnd; i++) {
+    const julday = jdStart + i * stepDays;
+    series.push({ julday, ...await calcPlanetForScan(julday, planetDef.id, planetDef.name, options) });
+  }
+  return series;
+}
+
+// ── 出没 ──
+
+/**
+ * 指定時刻以降で最初の出・没・南中の時刻
+ *
+ * @param {number} julday - 探索開始ユリウス日（UT）
+ * @param {number} planetId - Swiss Ephemeris 天体ID
+ * @param {number} rsmi - swe.SE_CALC_RISE / SE_CALC_SET など（薄明は SE_BIT_CIVIL_TWILIGHT 等を OR する）
+ * @param {Object} location - { lat, lon, height? }（height はメートル）
+ * @returns {Promise<number|null>} ユリウス日（UT）。白夜・極夜などで出没しない場合は null
+ * @throws {Error} Swiss Ephemeris の計算エラー
+ */
+function calcRiseTrans(julday, planetId, rsmi, location) {
+  return new Promise((resolve, reject) => {
+    swe.swe_rise_trans(
+      julday, planetId, '', getEphemerisFlag(), rsmi,
+      location.lon, location.lat, location.height || 0, 0, 0,
+      (result) => {
+        if (result.error) {
+          reject(new Error(`Rise/set calculation failed: ${result.error}`));
+          return;
+        }
+        // 周極（出没しない）場合は -2 が返る
+        resolve(result.transitTime > 0 ? result.transitTime : null);
+      }
+    );
+  });
+}
+
+/**
+ * 天体の地平座標（方位・高度）
+ *
+ * @param {number} julday - ユリウス日（UT）
+ * @param {number} planetId - Swiss Ephemeris 天体ID
+ * @param {Object} location - { lat, lon, height? }（height はメートル）
+ * @returns {Promise<{ azimuth: number, altitude: number }>} 度。方位は南を0として西回り、高度は大気差込み
+ * @throws {Error} Swiss Ephemeris の計算エラー
+ */
+async function calcHorizontal(julday, planetId, location) {
+  const pos = await calcPosition(julday, planetId, resolveCalcOptions());
+  return new Promise((resolve, reject) => {
+    swe.swe_azalt(
+      julday, swe.SE_ECL2HOR, location.lon, location.lat, location.height || 0, 0, 0,
+      pos.longitude, pos.latitude, pos.distance,
+      (result) => {
+        // swe_azalt は error を返さず、計算できない入力では NaN になる
+        if (result.error || !Number.isFinite(result.apparentAltitude)) {
+          reject(new Error(`Horizontal coordinate calculation failed: ${result.error || 'invalid result'}`));
+          return;
+        }
+        resolve({ azimuth: result.azimuth, altitude: result.apparentAltitude });
+      }
+    );
+  });
+}
+
+// ── エクスポート ──
+
+module.exports = {
+  swe,
+  configureEphemeris,
+  getEphemerisFlag,
+  SIDEREAL_MODES,
+  localToUtc,
+  utcToJulday,
+  localToJulday,
+  juldayToUtc,
+  calcPlanet,
+  calcPlanets,
+  calcPlanetForScan,
+  calcPlanetSeries,
+  setScanInterpolation,
+  getEphemerisStats,
+  resetEphemerisStats,
+  clearEphemerisCache,
+  calcRiseTrans,
+  calcHorizontal,
+};
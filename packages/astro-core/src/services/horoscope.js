@@ -1,60 +1,69 @@
-const path = require('node:path');
-const { createRequire } = require('node:module');
-
-function loadSwisseph() {
-  try {
-    return require('swisseph');
-  } catch {
-    // 同一PJ内MVP向け: 実行側プロジェクトの依存から解決する
-    try {
-      const appRequireFromCwd = createRequire(path.join(process.cwd(), 'package.json'));
-      return appRequireFromCwd('swisseph');
-    } catch {
-      const appRequireFromRepo = createRequire(path.resolve(__dirname, '../../../../horary-app/package.json'));
-      return appRequireFromRepo('swisseph');
-    }
-  }
-}
-
-const swe = loadSwisseph();
+const { swe, getEphemerisFlag, calcPlanets, localToJulday } = require('./ephemeris');
 const { getAspect, getVoidOfCourseStatus } = require('../utils/aspect');
-
-// Swiss Ephemerisの初期化
-swe.swe_set_ephe_path('');
+const {
+  HOUSE_SYSTEMS,
+  POLAR_FALLBACK_HOUSE_SYSTEM,
+  resolveHouseSystem,
+  normalizeHouses,
+  getHousePosition,
+} = require('../utils/houses');
+const { getLogger } = require('../utils/logger');
+
+// チャートの天体（月のアスペクト・ボイド判定もこの7天体で行う）
+const CHART_PLANETS = Object.freeze([
+  { id: swe.SE_SUN, name: '太陽' },
+  { id: swe.SE_MOON, name: '月' },
+  { id: swe.SE_MERCURY, name: '水星' },
+  { id: swe.SE_VENUS, name: '金星' },
+  { id: swe.SE_MARS, name: '火星' },
+  { id: swe.SE_JUPITER, name: '木星' },
+  { id: swe.SE_SATURN, name: '土星' },
+]);
+
+// options.outerPlanets で加える天体
+const OUTER_PLANETS = Object.freeze([
+  { id: swe.SE_URANUS, name: '天王星' },
+  { id: swe.SE_NEPTUNE, name: '海王星' },
+  { id: swe.SE_PLUTO, name: '冥王星' },
+]);
 
 /**
- * 天体計算をPromise化
- * @param {number} julday - ユリウス日
- * @param {number} planetId - 天体ID
- * @param {string} planetName - 天体名
- * @returns {Promise<Object>} 天体情報
+ * swe_houses_ex をPromise化（計算できなければ error を持つ結果が返る）
+ * 天体と同じ天文暦（configureEphemeris で JPL を指定していれば JPL）の章動・黄道傾斜角で求める
  */
-function calcPlanet(julday, planetId, planetName) {
+function sweHouses(julday, lat, lon, code) {
   return new Promise((resolve) => {
-    swe.swe_calc_ut(julday, planetId, swe.SEFLG_SPEED, (result) => {
-      resolve({
-        name: planetName,
-        longitude: result.longitude,
-        speed: result.longitudeSpeed,
-        retrograde: result.longitudeSpeed < 0
-      });
-    });
+    swe.swe_houses_ex(julday, getEphemerisFlag(), lat, lon, code, resolve);
   });
 }
 
 /**
- * ハウス計算をPromise化
+ * ハウス計算
+ *
+ * 極圏などで指定のハウスシステムが計算できない場合（プラシーダス・コッホ）は
+ * ポルフュリーで計算し直し、fallback: true を付けて返す。
+ *
  * @param {number} julday - ユリウス日
  * @param {number} lat - 緯度
  * @param {number} lon - 経度
- * @returns {Promise<Object>} ハウス情報
+ * @param {string} [houseSystem='regiomontanus'] - HOUSE_SYSTEMS のキー
+ * @returns {Promise<Object>} ハウス情報（utils/houses.js の normalizeHouses の形）
  */
-function calcHouses(julday, lat, lon) {
-  return new Promise((resolve) => {
-    swe.swe_houses(julday, lat, lon, 'R', (result) => {
-      resolve(result);
-    });
-  });
+async function calcHouses(julday, lat, lon, houseSystem) {
+  const requested = resolveHouseSystem(houseSystem);
+  let system = requested;
+  let raw = await sweHouses(julday, lat, lon, HOUSE_SYSTEMS[system].code);
+
+  if (raw.error) {
+    getLogger().warn(
+      `[ハウス計算] ${requested} が計算できないため ${POLAR_FALLBACK_HOUSE_SYSTEM} で代用 (lat=${lat}): ${raw.error}`
+    );
+    system = POLAR_FALLBACK_HOUSE_SYSTEM;
+    raw = await sweHouses(julday, lat, lon, HOUSE_SYSTEMS[system].code);
+    if (raw.error) throw new Error(`House calculation failed: ${raw.error}`);
+  }
+
+  return normalizeHouses(raw, system, requested);
 }
 
 function calcVoidEndsAtUtc(year, month, day, hour, minute, second, tzHours, daysToExit) {
@@ -65,6 +74,9 @@ function calcVoidEndsAtUtc(year, month, day, hour, minute, second, tzHours, days
 
 /**
  * ホロスコープ計算
+ *
+ * 月のアスペクト・ボイド判定は常に太陽〜土星で行う（トランスサタニアンは含めない）。
+ *
  * @param {number} year - 年
  * @param {number} month - 月
  * @param {number} day - 日
@@ -73,34 +85,27 @@ function calcVoidEndsAtUtc(year, month, day, hour, minute, second, tzHours, days
  * @param {number} second - 秒
  * @param {number} lat - 緯度
  * @param {number} lon - 経度
- * @returns {Promise<Object>} ホロスコープ情報
+ * @param {number} [tzHours=0] - UTCからの時差（時間）
+ * @param {Object} [options]
+ * @param {boolean} [options.outerPlanets=false] - planets に天王星・海王星・冥王星も含める（ネイタルチャート用）
+ * @param {string} [options.houseSystem='regiomontanus'] - ハウスシステム（utils/houses.js の HOUSE_SYSTEMS のキー）
+ * @returns {Promise<Object>} ホロスコープ情報（各天体に house: 1〜12 を付ける）
+ *   isDayChart: 太陽がハウス7〜12（地平線上）にあれば true
+ *   pof: パート・オブ・フォーチュン（昼は ASC + 月 - 太陽、夜は ASC + 太陽 - 月）
  */
-async function calculateHoroscope(year, month, day, hour, minute, second, lat, lon, tzHours = 0) {
-  // ローカル時刻 → UTC変換（クライアントのタイムゾーンを使用）
-  const utc = await new Promise((resolve) => {
-    swe.swe_utc_time_zone(year, month, day, hour, minute, second, tzHours, resolve);
-  });
-
-  // ユリウス日を取得
-  const jd = await new Promise((resolve) => {
-    swe.swe_utc_to_jd(utc.year, utc.month, utc.day, utc.hour, utc.minute, utc.second, swe.SE_GREG_CAL, resolve);
-  });
-
-  const julday = jd.julianDayUT;
+async function calculateHoroscope(year, month, day, hour, minute, second, lat, lon, tzHours = 0, options = {}) {
+  // ローカル時刻（クライアントのタイムゾーン）→ ユリウス日
+  const julday = await localToJulday(year, month, day, hour, minute, second, tzHours);
 
   // 全天体を計算
-  const planets = await Promise.all([
-    calcPlanet(julday, swe.SE_SUN, '太陽'),
-    calcPlanet(julday, swe.SE_MOON, '月'),
-    calcPlanet(julday, swe.SE_MERCURY, '水星'),
-    calcPlanet(julday, swe.SE_VENUS, '金星'),
-    calcPlanet(julday, swe.SE_MARS, '火星'),
-    calcPlanet(julday, swe.SE_JUPITER, '木星'),
-    calcPlanet(julday, swe.SE_SATURN, '土星')
-  ]);
+  const planets = await calcPlanets(julday, CHART_PLANETS);
+  const outerPlanets = options.outerPlanets ? await calcPlanets(julday, OUTER_PLANETS) : [];
 
   // ハウス計算
-  const houses = await calcHouses(julday, lat, lon);
+  const houses = await calcHouses(julday, lat, lon, options.houseSystem);
+  for (const planet of [...planets, ...outerPlanets]) {
+    planet.house = getHousePosition(planet.longitude, houses.cusps);
+  }
 
   // 月のアスペクト
   const moon = planets.find(p => p.name === '月');
@@ -121,10 +126,10 @@ async function calculateHoroscope(year, month, day, hour, minute, second, lat, l
 
   // パート・オブ・フォーチュン計算
   const sun = planets.find(p => p.name === '太陽');
-  const asc = houses.ascendant;
-  // 昼夜判定: 太陽が地平線上（ASCからDSCまで反時計回り = ハウス7〜12側）なら昼
-  // 簡易判定: 太陽経度からASC経度を引いた差が0〜180なら太陽は地平線上（昼）
-  let sunAboveHorizon = ((sun.longitude - asc + 360) % 360) < 180;
+  const asc = houses.angles.asc;
+  // 昼夜判定: 太陽が地平線上（ハウス7〜12側）なら昼
+  // ASCから反時計回り（黄経の増える向き）0〜180°はハウス1〜6（地平線下）なので、180°以上が地平線上
+  const sunAboveHorizon = ((sun.longitude - asc + 360) % 360) >= 180;
   let pof;
   if (sunAboveHorizon) {
     // 昼: ASC + Moon - Sun
@@ -142,7 +147,8 @@ async function calculateHoroscope(year, month, day, hour, minute, second, lat, l
     : null;
 
   return {
-    planets,
+    julday,
+    planets: [...planets, ...outerPlanets],
     houses,
     moonAspects,
     isVoid,
@@ -153,24 +159,8 @@ async function calculateHoroscope(year, month, day, hour, minute, second, lat, l
 }
 
 async function calculateVoidStatus(year, month, day, hour, minute, second, tzHours = 0) {
-  const utc = await new Promise((resolve) => {
-    swe.swe_utc_time_zone(year, month, day, hour, minute, second, tzHours, resolve);
-  });
-
-  const jd = await new Promise((resolve) => {
-    swe.swe_utc_to_jd(utc.year, utc.month, utc.day, utc.hour, utc.minute, utc.second, swe.SE_GREG_CAL, resolve);
-  });
-
-  const julday = jd.julianDayUT;
-  const planets = await Promise.all([
-    calcPlanet(julday, swe.SE_MOON, '月'),
-    calcPlanet(julday, swe.SE_SUN, '太陽'),
-    calcPlanet(julday, swe.SE_MERCURY, '水星'),
-    calcPlanet(julday, swe.SE_VENUS, '金星'),
-    calcPlanet(julday, swe.SE_MARS, '火星'),
-    calcPlanet(julday, swe.SE_JUPITER, '木星'),
-    calcPlanet(julday, swe.SE_SATURN, '土星')
-  ]);
+  const julday = await localToJulday(year, month, day, hour, minute, second, tzHours);
+  const planets = await calcPlanets(julday, CHART_PLANETS);
 
   const moon = planets.find(p => p.name === '月');
   const otherPlanets = planets.filter(p => p.name !== '月');
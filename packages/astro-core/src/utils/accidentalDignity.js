@@ -0,0 +1,269 @@
+/**
+ * アクシデンタル・ディグニティ判定モジュール
+ *
+ * ウィリアム・リリー『Christian Astrology』の「偶然的な強さ・弱さ」の表に準拠。
+ * エッセンシャル・ディグニティ（dignityTable.js）がサインと度数で決まるのに対し、
+ * こちらはハウス・運行・太陽との位置関係・恒星との合など、チャートの状況で決まる。
+ *
+ * calculateHoroscope の戻り値（planets[].house / speed / retrograde と julday）から判定する。
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+// ── スコアリング定数 ──
+const ACCIDENTAL_SCORE = Object.freeze({
+  // ハウス（リリーはアングルの中でも1・10ハウスを最も強く、6・8・12ハウスを弱く数える）
+  house: Object.freeze({ 1: 5, 10: 5, 4: 4, 7: 4, 11: 4, 2: 3, 5: 3, 9: 2, 3: 1, 6: -2, 8: -2, 12: -5 }),
+  direct: 4,
+  retrograde: -5,
+  swift: 2,
+  slow: -2,
+  // 土星・木星・火星はオリエンタル、金星・水星はオクシデンタル、月は光が増えていくのが良い
+  wellPlacedToSun: 2,
+  illPlacedToSun: -2,
+  freeFromSun: 5,
+  cazimi: 5,
+  combust: -5,
+  underBeams: -4,
+  besiegedByBenefics: 5,
+  besiegedByMalefics: -5,
+  regulus: 6,
+  spica: 5,
+});
+
+// 太陽との距離によるフェイズのオーブ（度）
+// 太陽の中心から 17分以内はカジミ、8度30分以内はコンバスト、17度以内はアンダー・ザ・ビームズ
+const SOLAR_PHASE_ORBS = Object.freeze({
+  cazimi: 17 / 60,
+  combust: 8.5,
+  underBeams: 17,
+});
+
+// 平均日速（度/日）。これより速ければスウィフト、遅ければスロー
+// 水星・金星は地球から見た平均では太陽と同じ
+const MEAN_DAILY_MOTION = Object.freeze({
+  太陽: 0.9856,
+  月: 13.1764,
+  水星: 0.9856,
+  金星: 0.9856,
+  火星: 0.5240,
+  木星: 0.0831,
+  土星: 0.0335,
+});
+
+// 恒星（J2000.0 の黄経と、年あたりの歳差）
+const FIXED_STARS = Object.freeze({
+  regulus: Object.freeze({ label: 'レグルス', longitudeJ2000: 149.8292 }),
+  spica: Object.freeze({ label: 'スピカ', longitudeJ2000: 203.8408 }),
+});
+const PRECESSION_DEG_PER_YEAR = 50.29 / 3600;
+const J2000 = 2451545.0;
+const DAYS_PER_JULIAN_YEAR = 365.25;
+
+// 恒星との合とみなすオーブ（度）
+const FIXED_STAR_ORB = 1;
+
+// ビシージ（包囲）とみなす、挟む2天体の間隔の上限（度）
+const BESIEGED_MAX_SPAN = 30;
+
+const HOUSE_CATEGORIES = Object.freeze({
+  1: 'angular', 4: 'angular', 7: 'angular', 10: 'angular',
+  2: 'succedent', 5: 'succedent', 8: 'succedent', 11: 'succedent',
+  3: 'cadent', 6: 'cadent', 9: 'cadent', 12: 'cadent',
+});
+
+const SUPERIOR_PLANETS = ['土星', '木星', '火星'];
+const INFERIOR_PLANETS = ['金星', '水星'];
+const BENEFICS = ['木星', '金星'];
+const MALEFICS = ['土星', '火星'];
+
+function normalizeLongitude(longitude) {
+  return ((longitude % 360) + 360) % 360;
+}
+
+// 2点間の角距離（0〜180）
+function separation(a, b) {
+  const diff = normalizeLongitude(a - b);
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * 指定時刻の恒星の黄経（J2000.0 からの一般歳差だけで近似）
+ * @param {string} star - FIXED_STARS のキー
+ * @param {number} julday
+ * @returns {number}
+ */
+function getFixedStarLongitude(star, julday) {
+  const years = (julday - J2000) / DAYS_PER_JULIAN_YEAR;
+  return normalizeLongitude(FIXED_STARS[star].longitudeJ2000 + years * PRECESSION_DEG_PER_YEAR);
+}
+
+/**
+ * 太陽との位置関係のフェイズ
+ * @param {number} longitude - 天体の黄経
+ * @param {number} sunLongitude
+ * @returns {'cazimi'|'combust'|'underBeams'|'free'}
+ */
+function getSolarPhase(longitude, sunLongitude) {
+  const distance = separation(longitude, sunLongitude);
+  if (distance <= SOLAR_PHASE_ORBS.cazimi) return 'cazimi';
+  if (distance <= SOLAR_PHASE_ORBS.combust) return 'combust';
+  if (distance <= SOLAR_PHASE_ORBS.underBeams) return 'underBeams';
+  return 'free';
+}
+
+/**
+ * 天体が太陽より先に昇るか（オリエンタル）。黄経が太陽より手前（0〜180度後ろ）ならオリエンタル
+ */
+function isOriental(longitude, sunLongitude) {
+  const behind = normalizeLongitude(sunLongitude - longitude);
+  return behind > 0 && behind < 180;
+}
+
+// ── 要素ごとの判定 ──
+
+function houseFactor(planet) {
+  if (!Number.isInteger(planet.house)) return null;
+  return {
+    factor: 'house',
+    value: HOUSE_CATEGORIES[planet.house],
+    house: planet.house,
+    score: ACCIDENTAL_SCORE.house[planet.house] ?? 0,
+  };
+}
+
+function motionFactor(planet) {
+  // 太陽・月は逆行しないので数えない
+  if (planet.name === '太陽' || planet.name === '月') return null;
+  return planet.retrograde
+    ? { factor: 'motion', value: 'retrograde', score: ACCIDENTAL_SCORE.retrograde }
+    : { factor: 'motion', value: 'direct', score: ACCIDENTAL_SCORE.direct };
+}
+
+function speedFactor(planet) {
+  const mean = MEAN_DAILY_MOTION[planet.name];
+  if (!mean || !Number.isFinite(planet.speed)) return null;
+  return Math.abs(planet.speed) > mean
+    ? { factor: 'speed', value: 'swift', score: ACCIDENTAL_SCORE.swift }
+    : { factor: 'speed', value: 'slow', score: ACCIDENTAL_SCORE.slow };
+}
+
+function orientationFactor(planet, sun) {
+  if (planet.name === '月') {
+    // 月は太陽から離れていく（光が増える）のが良い
+    const increasing = normalizeLongitude(planet.longitude - sun.longitude) < 180;
+    return {
+      factor: 'orientation',
+      value: increasing ? 'increasing' : 'decreasing',
+      score: increasing ? ACCIDENTAL_SCORE.wellPlacedToSun : ACCIDENTAL_SCORE.illPlacedToSun,
+    };
+  }
+
+  const oriental = isOriental(planet.longitude, sun.longitude);
+  let wellPlaced;
+  if (SUPERIOR_PLANETS.includes(planet.name)) wellPlaced = oriental;
+  else if (INFERIOR_PLANETS.includes(planet.name)) wellPlaced = !oriental;
+  else return null;
+
+  return {
+    factor: 'orientation',
+    value: oriental ? 'oriental' : 'occidental',
+    score: wellPlaced ? ACCIDENTAL_SCORE.wellPlacedToSun : ACCIDENTAL_SCORE.illPlacedToSun,
+  };
+}
+
+function solarPhaseFactor(planet, sun) {
+  const phase = getSolarPhase(planet.longitude, sun.longitude);
+  const score = phase === 'free' ? ACCIDENTAL_SCORE.freeFromSun : ACCIDENTAL_SCORE[phase];
+  return { factor: 'solarPhase', value: phase, score };
+}
+
+/**
+ * 黄経で前後に最も近い天体が、吉星どうし・凶星どうしで挟んでいるか
+ */
+function besiegedFactor(planet, others) {
+  let before = null;
+  let after = null;
+  for (const other of others) {
+    const ahead = normalizeLongitude(other.longitude - planet.longitude);
+    if (ahead === 0) continue;
+    if (!after || ahead < after.distance) after = { name: other.name, distance: ahead };
+    const behind = 360 - ahead;
+    if (!before || behind < before.distance) before = { name: other.name, distance: behind };
+  }
+  if (!before || !after || before.distance + after.distance > BESIEGED_MAX_SPAN) return null;
+
+  const pair = [before.name, after.name];
+  const by = [...pair].sort();
+  if (BENEFICS.every(name => pair.includes(name))) {
+    return { factor: 'besieged', value: 'benefics', by, score: ACCIDENTAL_SCORE.besiegedByBenefics };
+  }
+  if (MALEFICS.every(name => pair.includes(name))) {
+    return { factor: 'besieged', value: 'malefics', by, score: ACCIDENTAL_SCORE.besiegedByMalefics };
+  }
+  return null;
+}
+
+function fixedStarFactors(planet, julday) {
+  if (!Number.isFinite(julday)) return [];
+  return Object.keys(FIXED_STARS)
+    .filter(star => separation(planet.longitude, getFixedStarLongitude(star, julday)) <= FIXED_STAR_ORB)
+    .map(star => ({ factor: 'fixedStar', value: star, score: ACCIDENTAL_SCORE[star] }));
+}
+
+// ── 判定 ──
+
+/**
+ * 指定天体のアクシデンタル・ディグニティ
+ *
+ * 判定できない要素（ハウス不明、太陽自身の太陽との関係など）は factors に含めない。
+ *
+ * @param {string} planetName - 天体名（日本語: '太陽'〜'土星'）
+ * @param {Object} chart - calculateHoroscope の戻り値（planets / julday）
+ * @returns {{ planet: string, factors: Array<Object>, score: number }}
+ *   factors: { factor: 'house'|'motion'|'speed'|'orientation'|'solarPhase'|'besieged'|'fixedStar', value, score }
+ * @throws {Error} チャートにその天体がない場合
+ */
+function getAccidentalDignities(planetName, chart) {
+  const planet = chart.planets.find(p => p.name === planetName);
+  if (!planet) throw new Error(`Planet not found in chart: ${planetName}`);
+  const sun = chart.planets.find(p => p.name === '太陽');
+  const traditional = chart.planets.filter(p => p.name !== planetName && MEAN_DAILY_MOTION[p.name]);
+
+  const factors = [
+    houseFactor(planet),
+    motionFactor(planet),
+    speedFactor(planet),
+    ...(sun && planet !== sun ? [orientationFactor(planet, sun), solarPhaseFactor(planet, sun)] : []),
+    besiegedFactor(planet, traditional),
+    ...fixedStarFactors(planet, chart.julday),
+  ].filter(Boolean);
+
+  const score = factors.reduce((sum, f) => sum + f.score, 0);
+  return { planet: planetName, factors, score };
+}
+
+/**
+ * チャートの伝統7天体すべてのアクシデンタル・ディグニティ
+ * @param {Object} chart - calculateHoroscope の戻り値
+ * @returns {Object<string, Object>} 天体名 → getAccidentalDignities の戻り値
+ */
+function getChartAccidentalDignities(chart) {
+  const result = {};
+  for (const planet of chart.planets) {
+    if (MEAN_DAILY_MOTION[planet.name]) {
+      result[planet.name] = getAccidentalDignities(planet.name, chart);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ACCIDENTAL_SCORE,
+  SOLAR_PHASE_ORBS,
+  MEAN_DAILY_MOTION,
+  FIXED_STARS,
+  getFixedStarLongitude,
+  getSolarPhase,
+  getAccidentalDignities,
+  getChartAccidentalDignities,
+};
@@ -1,60 +1,23 @@
 // アスペクト計算用モジュール
+//
+// getAspect は従来のAPI（メジャー5種・固定オーブ・最初の1件）を保つための薄いラッパー。
+// マイナーアスペクトやオーブの切り替え、全アスペクトの列挙は aspectEngine.js を使う。
 
-const ORB = {
-  conjunction: 8,
-  sextile: 6,
-  square: 8,
-  trine: 8,
-  opposition: 8
-};
+const { getAspectsBetween } = require('./aspectEngine');
 
 function getAspect(lon1, lon2, speed1, speed2) {
-  let diff = Math.abs(lon1 - lon2);
-  if (diff > 180) diff = 360 - diff;
-
-  let aspect = null;
-
-  if (diff <= ORB.conjunction) {
-    aspect = { type: 'conjunction', angle: 0, orb: diff };
-  } else if (Math.abs(diff - 60) <= ORB.sextile) {
-    aspect = { type: 'sextile', angle: 60, orb: Math.abs(diff - 60) };
-  } else if (Math.abs(diff - 90) <= ORB.square) {
-    aspect = { type: 'square', angle: 90, orb: Math.abs(diff - 90) };
-  } else if (Math.abs(diff - 120) <= ORB.trine) {
-    aspect = { type: 'trine', angle: 120, orb: Math.abs(diff - 120) };
-  } else if (Math.abs(diff - 180) <= ORB.opposition) {
-    aspect = { type: 'opposition', angle: 180, orb: Math.abs(diff - 180) };
-  }
-
-  if (aspect && speed1 !== undefined && speed2 !== undefined) {
-    // orbベースでアプライ/セパレート判定
-    // 少し未来（0.01日後）のorbを計算し、現在のorbと比較する
-    const dt = 0.01; // 0.01日後
-    const future_lon1 = (lon1 + speed1 * dt + 360) % 360;
-    const future_lon2 = (lon2 + speed2 * dt + 360) % 360;
-
-    // 未来の角度差を計算
-    let futureDiff = Math.abs(future_lon1 - future_lon2);
-    if (futureDiff > 180) futureDiff = 360 - futureDiff;
-
-    // 未来のorb（目標角度からのずれ）を計算
-    const futureOrb = Math.abs(futureDiff - aspect.angle);
-
-    // デバッグログ
-    console.log(`[アスペクト判定] ${aspect.type} (${aspect.angle}°)`);
-    console.log(`  lon1=${lon1.toFixed(2)}° speed1=${speed1.toFixed(4)}°/日`);
-    console.log(`  lon2=${lon2.toFixed(2)}° speed2=${speed2.toFixed(4)}°/日`);
-    console.log(`  現在orb=${aspect.orb.toFixed(4)}° 未来orb=${futureOrb.toFixed(4)}°`);
-    console.log(`  判定: ${futureOrb < aspect.orb ? 'アプライ' : 'セパレート'}`);
-
-    // orbが減る = アプライ、orbが増える = セパレート
-    if (futureOrb < aspect.orb) {
-      aspect.applying = true;  // アプライ
-    } else {
-      aspect.applying = false; // セパレート
-    }
+  const [found] = getAspectsBetween(
+    { name: 'body1', longitude: lon1, speed: speed1 },
+    { name: 'body2', longitude: lon2, speed: speed2 },
+    { orbs: 'default' }
+  );
+  if (!found) return null;
+
+  const aspect = { type: found.type, angle: found.angle, orb: found.orb };
+  if (speed1 !== undefined && speed2 !== undefined) {
+    // orbが減る = アプライ、orbが増える（またはイグザクト・相対速度0） = セパレート
+    aspect.applying = found.applying === true;
   }
-
   return aspect;
 }
 
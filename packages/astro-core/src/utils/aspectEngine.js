@@ -0,0 +1,251 @@
+/**
+ * アスペクト計算エンジン
+ *
+ * - メジャー（プトレマイオス）5種 + マイナー5種のアスペクト
+ * - オーブはプリセット（アスペクト別 / リリーのモイエティ）または任意の設定で指定
+ * - 天体の組み合わせすべてについて、成立しているアスペクトを全部返す
+ * - 速度からアプライ/セパレートとパーフェクト（イグザクト）までの日数を推定
+ *
+ * 天体は { name, longitude, speed } の形で受け取る（name は '太陽','月' などの日本語名）。
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+const { getLogger } = require('./logger');
+
+// ── アスペクト定義 ──
+
+const ASPECT_DEFS = Object.freeze({
+  conjunction: { angle: 0, major: true, label: 'コンジャンクション' },
+  sextile: { angle: 60, major: true, label: 'セクスタイル' },
+  square: { angle: 90, major: true, label: 'スクエア' },
+  trine: { angle: 120, major: true, label: 'トライン' },
+  opposition: { angle: 180, major: true, label: 'オポジション' },
+  semisextile: { angle: 30, major: false, label: 'セミセクスタイル' },
+  semisquare: { angle: 45, major: false, label: 'セミスクエア' },
+  quintile: { angle: 72, major: false, label: 'クインタイル' },
+  sesquiquadrate: { angle: 135, major: false, label: 'セスキコードレート' },
+  quincunx: { angle: 150, major: false, label: 'クインカンクス' },
+});
+
+const MAJOR_ASPECTS = Object.freeze(
+  Object.keys(ASPECT_DEFS).filter(key => ASPECT_DEFS[key].major)
+);
+const MINOR_ASPECTS = Object.freeze(
+  Object.keys(ASPECT_DEFS).filter(key => !ASPECT_DEFS[key].major)
+);
+
+// ── オーブ設定 ──
+//
+// mode: 'aspect' - アスペクトごとの固定オーブ（aspects[種類]）
+// mode: 'moiety' - 2天体のモイエティ（オーブの半分）の和 × アスペクトごとの係数（aspectFactors[種類]、省略時1）
+//                  moieties にない天体は defaultMoiety を使う
+
+const ORB_PRESETS = Object.freeze({
+  // 従来の aspect.js と同じメジャーのオーブ + 控えめなマイナー
+  default: Object.freeze({
+    mode: 'aspect',
+    aspects: Object.freeze({
+      conjunction: 8,
+      sextile: 6,
+      square: 8,
+      trine: 8,
+      opposition: 8,
+      semisextile: 2,
+      semisquare: 2,
+      quintile: 2,
+      sesquiquadrate: 2,
+      quincunx: 3,
+    }),
+  }),
+
+  // リリー『Christian Astrology』の天体オーブの半分（モイエティ）
+  // 天王星〜冥王星はリリーにないため、慣用的なオーブ5°の半分
+  // マイナーアスペクトはメジャーの半分の係数
+  lilly: Object.freeze({
+    mode: 'moiety',
+    moieties: Object.freeze({
+      太陽: 8.5,
+      月: 6.25,
+      水星: 3.5,
+      金星: 4,
+      火星: 3.75,
+      木星: 6,
+      土星: 5,
+      天王星: 2.5,
+      海王星: 2.5,
+      冥王星: 2.5,
+    }),
+    defaultMoiety: 2.5,
+    aspectFactors: Object.freeze({
+      semisextile: 0.5,
+      semisquare: 0.5,
+      quintile: 0.5,
+      sesquiquadrate: 0.5,
+      quincunx: 0.5,
+    }),
+  }),
+});
+
+function resolveOrbConfig(orbs) {
+  if (orbs === undefined || orbs === null) return ORB_PRESETS.default;
+  if (typeof orbs === 'string') {
+    const preset = ORB_PRESETS[orbs];
+    if (!preset) throw new Error(`Unknown orb preset: ${orbs}`);
+    return preset;
+  }
+  if (orbs.mode !== 'aspect' && orbs.mode !== 'moiety') {
+    throw new Error(`Unknown orb mode: ${orbs.mode}`);
+  }
+  return orbs;
+}
+
+/**
+ * 2天体間のアスペクトの許容オーブ
+ * @param {string} aspectType - ASPECT_DEFS のキー
+ * @param {string} nameA - 天体名
+ * @param {string} nameB - 天体名
+ * @param {string|Object} [orbs='default'] - プリセット名またはオーブ設定
+ * @returns {number} 許容オーブ（度）。設定にないアスペクトは 0
+ */
+function resolveOrb(aspectType, nameA, nameB, orbs) {
+  const config = resolveOrbConfig(orbs);
+  if (config.mode === 'aspect') {
+    return config.aspects[aspectType] ?? 0;
+  }
+  const moietyOf = name => config.moieties?.[name] ?? config.defaultMoiety ?? 0;
+  const factor = config.aspectFactors?.[aspectType] ?? 1;
+  return (moietyOf(nameA) + moietyOf(nameB)) * factor;
+}
+
+// ── 角度計算 ──
+
+/** A から見た B の符号付き角度差（-180 < d <= 180） */
+function signedSeparation(lonA, lonB) {
+  let d = (((lonA - lonB) % 360) + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+/**
+ * アプライ/セパレートとパーフェクトまでの日数
+ *
+ * 離角 |d| のアスペクト角からのずれ e = |d| - angle について、
+ * オーブ |e| の時間変化率は sign(e) * sign(d) * (speedA - speedB)。
+ * 負ならオーブが縮んでいる（アプライ）。
+ * パーフェクトまでの日数は現在の速度のまま動くとした線形推定で、セパレート中は負（何日前に成立したか）。
+ * 留の前後など相対速度が変わる場面では誤差が大きくなる。
+ */
+function getMotion(separation, angle, speedA, speedB) {
+  if (speedA === undefined || speedB === undefined) {
+    return { applying: null, perfectionDays: null };
+  }
+  const deviation = Math.abs(separation) - angle;
+  const relativeSpeed = speedA - speedB;
+  const orb = Math.abs(deviation);
+
+  if (orb === 0) return { applying: false, perfectionDays: 0 };
+  if (relativeSpeed === 0) return { applying: null, perfectionDays: null };
+
+  const orbRate = Math.sign(deviation) * Math.sign(separation || 1) * relativeSpeed;
+  const days = orb / Math.abs(relativeSpeed);
+  return orbRate < 0
+    ? { applying: true, perfectionDays: days }
+    : { applying: false, perfectionDays: -days };
+}
+
+// ── 判定 ──
+
+function resolveAspectTypes(options) {
+  if (options.aspects) {
+    for (const key of options.aspects) {
+      if (!ASPECT_DEFS[key]) throw new Error(`Unknown aspect: ${key}`);
+    }
+    return options.aspects;
+  }
+  return options.includeMinor ? [...MAJOR_ASPECTS, ...MINOR_ASPECTS] : MAJOR_ASPECTS;
+}
+
+/**
+ * 2天体間で成立しているアスペクトをすべて返す（オーブの小さい順）
+ *
+ * @param {{ name: string, longitude: number, speed?: number }} bodyA
+ * @param {{ name: string, longitude: number, speed?: number }} bodyB
+ * @param {Object} [options]
+ * @param {string[]} [options.aspects] - 判定するアスペクト（省略時はメジャー5種）
+ * @param {boolean} [options.includeMinor=false] - aspects 省略時にマイナー5種も含めるか
+ * @param {string|Object} [options.orbs='default'] - オーブのプリセット名または設定
+ * @param {number} [options.julday] - 指定するとパーフェクト推定時刻をユリウス日でも返す
+ * @returns {Array<Object>} { bodyA, bodyB, type, angle, orb, maxOrb, applying, perfection }
+ *   applying: 速度がなければ null
+ *   perfection: { days, julday? }（days は負なら過去）。推定できなければ null
+ */
+function getAspectsBetween(bodyA, bodyB, options = {}) {
+  const types = resolveAspectTypes(options);
+  const separation = signedSeparation(bodyA.longitude, bodyB.longitude);
+  const distance = Math.abs(separation);
+  const results = [];
+
+  for (const type of types) {
+    const { angle } = ASPECT_DEFS[type];
+    const orb = Math.abs(distance - angle);
+    const maxOrb = resolveOrb(type, bodyA.name, bodyB.name, options.orbs);
+    if (orb > maxOrb) continue;
+
+    const { applying, perfectionDays } = getMotion(separation, angle, bodyA.speed, bodyB.speed);
+    let perfection = null;
+    if (perfectionDays !== null) {
+      perfection = { days: perfectionDays };
+      if (Number.isFinite(options.julday)) perfection.julday = options.julday + perfectionDays;
+    }
+
+    results.push({
+      bodyA: bodyA.name,
+      bodyB: bodyB.name,
+      type,
+      angle,
+      orb,
+      maxOrb,
+      applying,
+      perfection,
+    });
+  }
+
+  results.sort((a, b) => a.orb - b.orb);
+
+  const logger = getLogger();
+  for (const r of results) {
+    logger.debug(
+      `[アスペクト判定] ${r.bodyA}-${r.bodyB} ${r.type} (${r.angle}°) orb=${r.orb.toFixed(4)}°/${r.maxOrb}° ` +
+      `${r.applying === null ? '' : r.applying ? 'アプライ' : 'セパレート'}`
+    );
+  }
+
+  return results;
+}
+
+/**
+ * 天体の全組み合わせのアスペクトを返す（オーブの小さい順）
+ *
+ * @param {Array<{ name: string, longitude: number, speed?: number }>} bodies
+ * @param {Object} [options] - getAspectsBetween と同じ
+ * @returns {Array<Object>}
+ */
+function findAspects(bodies, options = {}) {
+  const results = [];
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      results.push(...getAspectsBetween(bodies[i], bodies[j], options));
+    }
+  }
+  return results.sort((a, b) => a.orb - b.orb);
+}
+
+module.exports = {
+  ASPECT_DEFS,
+  MAJOR_ASPECTS,
+  MINOR_ASPECTS,
+  ORB_PRESETS,
+  resolveOrb,
+  getAspectsBetween,
+  findAspects,
+};
@@ -4,10 +4,15 @@
  * ウィリアム・リリー『Christian Astrology』準拠
  * データソース: /_csv/dignity_score.csv, /_csv/dignity_notes.md
  *
- * 自己完結型モジュール（外部依存なし）
+ * ターム・フェイスの流派とスコアの重みは「ディグニティ・スキーム」で切り替えられる
+ * （デフォルトはリリー準拠の lilly）。
+ *
+ * 依存は termTables.js（代替のタームテーブル）のみ
  * 将来的に npm パッケージとして切り出すことを想定
  */
 
+const { EGYPTIAN_TERMS, CHALDEAN_TERMS } = require('./termTables');
+
 // ── スコアリング定数 ──
 const SCORE = {
   domicile: 5,
@@ -291,6 +296,100 @@ const DIGNITY_TABLE = [
   },
 ];
 
+// ── ディグニティ・スキーム ──
+
+// ターム（バウンズ）の流派。ptolemaic は DIGNITY_TABLE のもの（リリーが採用）
+const TERM_SYSTEMS = Object.freeze({
+  ptolemaic: Object.freeze(DIGNITY_TABLE.map(sign => sign.terms)),
+  egyptian: EGYPTIAN_TERMS,
+  chaldean: CHALDEAN_TERMS,
+});
+
+// フェイス（デカン）の流派
+// - chaldean: カルデア・オーダーで順に割り当てる（DIGNITY_TABLE のもの）
+// - triplicity: 同じエレメントのサインの支配星を、自分のサイン → 4つ先 → 8つ先 の順に割り当てる
+const FACE_SYSTEMS = Object.freeze({
+  chaldean: Object.freeze(DIGNITY_TABLE.map(sign => sign.faces)),
+  triplicity: Object.freeze(DIGNITY_TABLE.map((_, signIndex) => Object.freeze(
+    [0, 1, 2].map(i => Object.freeze({
+      planet: DIGNITY_TABLE[(signIndex + i * 4) % 12].domicile,
+      boundary: (i + 1) * 10,
+    }))
+  ))),
+});
+
+/**
+ * 名前付きのディグニティ・スキーム
+ * terms / faces は TERM_SYSTEMS / FACE_SYSTEMS の名前、score は SCORE と同じ形
+ */
+const DIGNITY_SCHEMES = Object.freeze({
+  lilly: Object.freeze({ label: 'リリー（プトレマイオス式ターム）', terms: 'ptolemaic', faces: 'chaldean', score: SCORE }),
+  egyptian: Object.freeze({ label: 'エジプト式ターム', terms: 'egyptian', faces: 'chaldean', score: SCORE }),
+  chaldean: Object.freeze({ label: 'カルデア式ターム', terms: 'chaldean', faces: 'chaldean', score: SCORE }),
+});
+
+// 従来どおりのデフォルト
+const DEFAULT_DIGNITY_SCHEME = 'lilly';
+
+const resolvedSchemes = new WeakSet();
+
+function resolveNamed(systems, name, kind) {
+  if (!systems[name]) {
+    throw new Error(`Unknown ${kind}: ${name} (expected one of: ${Object.keys(systems).join(', ')})`);
+  }
+  return systems[name];
+}
+
+/**
+ * ディグニティ・スキームを解決する
+ *
+ * 名前で指定するか、{ base?, terms?, faces?, score? } で一部だけ差し替える。
+ * score は指定した重みだけ上書きし、残りは base（省略時はデフォルト）のもの。
+ *
+ * @param {string|Object} [scheme] - DIGNITY_SCHEMES の名前、またはカスタムのスキーム
+ * @returns {{ name: string|null, terms: string, faces: string, termTable: Array, faceTable: Array, score: Object }}
+ *   name はカスタムの場合 null
+ * @throws {Error} 未知のスキーム・ターム・フェイス、数値でない重み
+ */
+function resolveDignityScheme(scheme) {
+  if (scheme === undefined || scheme === null) scheme = DEFAULT_DIGNITY_SCHEME;
+  // 解決済み（この関数の戻り値）はそのまま使う
+  if (resolvedSchemes.has(scheme)) return scheme;
+
+  const isNamed = typeof scheme === 'string';
+  const base = resolveNamed(DIGNITY_SCHEMES, isNamed ? scheme : (scheme.base ?? DEFAULT_DIGNITY_SCHEME), 'dignity scheme');
+  const custom = isNamed ? {} : scheme;
+
+  const terms = custom.terms ?? base.terms;
+  const faces = custom.faces ?? base.faces;
+  const score = { ...base.score, ...custom.score };
+  for (const [key, value] of Object.entries(score)) {
+    if (!(key in SCORE)) throw new Error(`Unknown dignity score key: ${key}`);
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Dignity score ${key} must be a finite number`);
+    }
+  }
+
+  const resolved = Object.freeze({
+    name: isNamed ? scheme : null,
+    terms,
+    faces,
+    termTable: resolveNamed(TERM_SYSTEMS, terms, 'term system'),
+    faceTable: resolveNamed(FACE_SYSTEMS, faces, 'face system'),
+    score: Object.freeze(score),
+  });
+  resolvedSchemes.add(resolved);
+  return resolved;
+}
+
+// degree < boundary で最初にマッチした区間の天体
+function findSegmentPlanet(segments, degree) {
+  const segment = segments.find(s => degree < s.boundary);
+  return segment ? normalizeRulerName(segment.planet) : null;
+}
+
+// ── 判定 ──
+
 /**
  * 指定天体の全ディグニティを判定する
  *
@@ -298,12 +397,14 @@ const DIGNITY_TABLE = [
  * @param {number} signIndex  - サインインデックス 0-11 (Math.floor(longitude / 30))
  * @param {number} degree     - サイン内度数 (longitude % 30, float 0-29.xx)
  * @param {boolean} isDayChart - 昼チャートか (true=昼, false=夜)
+ * @param {string|Object} [scheme='lilly'] - ディグニティ・スキーム（resolveDignityScheme を参照）
  * @returns {Object} 各ディグニティの真偽値とスコア
  */
-function getDignities(planetName, signIndex, degree, isDayChart) {
+function getDignities(planetName, signIndex, degree, isDayChart, scheme) {
+  const resolved = resolveDignityScheme(scheme);
   const sign = DIGNITY_TABLE[signIndex];
   if (!sign) {
-    return { domicile: false, exaltation: false, triplicity: false, term: false, face: false, detriment: false, fall: false, peregrine: true, score: SCORE.peregrine };
+    return { domicile: false, exaltation: false, triplicity: false, term: false, face: false, detriment: false, fall: false, peregrine: true, score: resolved.score.peregrine };
   }
 
   const normalizedPlanetName = normalizeRulerName(planetName);
@@ -317,29 +418,15 @@ function getDignities(planetName, signIndex, degree, isDayChart) {
     ? normalizeRulerName(sign.triplicityDay) === normalizedPlanetName
     : normalizeRulerName(sign.triplicityNight) === normalizedPlanetName;
 
-  // ターム: degree < boundary で最初にマッチした区間
-  let term = false;
-  for (const t of sign.terms) {
-    if (degree < t.boundary) {
-      term = normalizeRulerName(t.planet) === normalizedPlanetName;
-      break;
-    }
-  }
-
-  // フェイス: degree < boundary で最初にマッチした区間
-  let face = false;
-  for (const f of sign.faces) {
-    if (degree < f.boundary) {
-      face = normalizeRulerName(f.planet) === normalizedPlanetName;
-      break;
-    }
-  }
+  // ターム・フェイス: スキームのテーブルで degree < boundary で最初にマッチした区間
+  const term = findSegmentPlanet(resolved.termTable[signIndex], degree) === normalizedPlanetName;
+  const face = findSegmentPlanet(resolved.faceTable[signIndex], degree) === normalizedPlanetName;
 
   // ペレグリン: いずれのエッセンシャルディグニティにも該当しない
   const hasAnyDignity = domicile || exaltation || triplicity || term || face;
   const peregrine = !hasAnyDignity;
 
-  const score = getDignityScore({ domicile, exaltation, triplicity, term, face, detriment, fall, peregrine });
+  const score = sumDignityScore({ domicile, exaltation, triplicity, term, face, detriment, fall, peregrine }, resolved.score);
 
   return { domicile, exaltation, triplicity, term, face, detriment, fall, peregrine, score };
 }
@@ -348,18 +435,18 @@ function getDignities(planetName, signIndex, degree, isDayChart) {
  * ディグニティスコアを算出する
  *
  * @param {Object} dignities - 各ディグニティの真偽値
+ * @param {string|Object} [scheme='lilly'] - ディグニティ・スキーム（重みは scheme.score）
  * @returns {number} 合計スコア
  */
-function getDignityScore(dignities) {
+function getDignityScore(dignities, scheme) {
+  return sumDignityScore(dignities, resolveDignityScheme(scheme).score);
+}
+
+function sumDignityScore(dignities, weights) {
   let score = 0;
-  if (dignities.domicile) score += SCORE.domicile;
-  if (dignities.exaltation) score += SCORE.exaltation;
-  if (dignities.triplicity) score += SCORE.triplicity;
-  if (dignities.term) score += SCORE.term;
-  if (dignities.face) score += SCORE.face;
-  if (dignities.detriment) score += SCORE.detriment;
-  if (dignities.fall) score += SCORE.fall;
-  if (dignities.peregrine) score += SCORE.peregrine;
+  for (const key of Object.keys(SCORE)) {
+    if (dignities[key]) score += weights[key];
+  }
   return score;
 }
 
@@ -370,4 +457,9 @@ module.exports = {
   PLANET_NAME_NORMALIZATION,
   DIGNITY_TABLE,
   SCORE,
+  TERM_SYSTEMS,
+  FACE_SYSTEMS,
+  DIGNITY_SCHEMES,
+  DEFAULT_DIGNITY_SCHEME,
+  resolveDignityScheme,
 };
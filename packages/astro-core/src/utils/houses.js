@@ -0,0 +1,106 @@
+/**
+ * ハウスシステムの定義とハウス計算結果の整形
+ *
+ * swe_houses の生の結果を、名前付きのカスプ・アングル（ASC/MC/Vertex）に整え、
+ * 天体がどのハウスにあるかを判定する。
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+// ── ハウスシステム ──
+
+/**
+ * code: swe_houses に渡すハウスシステムの文字
+ */
+const HOUSE_SYSTEMS = Object.freeze({
+  placidus: Object.freeze({ code: 'P', label: 'プラシーダス' }),
+  koch: Object.freeze({ code: 'K', label: 'コッホ' }),
+  wholeSign: Object.freeze({ code: 'W', label: 'ホールサイン' }),
+  equal: Object.freeze({ code: 'E', label: 'イコール' }),
+  porphyry: Object.freeze({ code: 'O', label: 'ポルフュリー' }),
+  campanus: Object.freeze({ code: 'C', label: 'キャンパナス' }),
+  alcabitius: Object.freeze({ code: 'B', label: 'アルカビティウス' }),
+  regiomontanus: Object.freeze({ code: 'R', label: 'レギオモンタヌス' }),
+});
+
+// 従来どおりのデフォルト（ホラリーで一般的なレギオモンタヌス）
+const DEFAULT_HOUSE_SYSTEM = 'regiomontanus';
+
+// 極圏（緯度がおよそ66.5°以上）でプラシーダス・コッホが計算できないときの代わり
+const POLAR_FALLBACK_HOUSE_SYSTEM = 'porphyry';
+
+/**
+ * ハウスシステム名を検証して返す（省略時はデフォルト）
+ * @param {string} [system]
+ * @returns {string}
+ * @throws {Error} 未知のハウスシステム
+ */
+function resolveHouseSystem(system) {
+  if (system === undefined || system === null) return DEFAULT_HOUSE_SYSTEM;
+  if (!HOUSE_SYSTEMS[system]) {
+    throw new Error(`Unknown house system: ${system} (expected one of: ${Object.keys(HOUSE_SYSTEMS).join(', ')})`);
+  }
+  return system;
+}
+
+// ── 整形・判定 ──
+
+function normalizeAngle(angle) {
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * swe_houses の結果を整形する
+ *
+ * 従来の形（house / ascendant / mc）も残すので、生の結果を使っていた側はそのまま動く。
+ *
+ * @param {Object} raw - swe_houses の結果
+ * @param {string} system - 実際に計算したハウスシステム
+ * @param {string} requestedSystem - 指定されたハウスシステム
+ * @returns {Object} { system, requestedSystem, fallback, cusps, angles, house, ascendant, mc }
+ */
+function normalizeHouses(raw, system, requestedSystem) {
+  const asc = normalizeAngle(raw.ascendant);
+  const mc = normalizeAngle(raw.mc);
+  return {
+    system,
+    requestedSystem,
+    fallback: system !== requestedSystem,
+    cusps: raw.house.map((longitude, i) => ({ house: i + 1, longitude: normalizeAngle(longitude) })),
+    angles: {
+      asc,
+      mc,
+      dsc: normalizeAngle(asc + 180),
+      ic: normalizeAngle(mc + 180),
+      vertex: Number.isFinite(raw.vertex) ? normalizeAngle(raw.vertex) : null,
+    },
+    house: raw.house,
+    ascendant: raw.ascendant,
+    mc: raw.mc,
+  };
+}
+
+/**
+ * 経度がどのハウスにあるか（カスプからカスプの手前まで、黄経の順方向）
+ * @param {number} longitude
+ * @param {Array<{ house: number, longitude: number }>} cusps - normalizeHouses の cusps
+ * @returns {number|null} 1〜12
+ */
+function getHousePosition(longitude, cusps) {
+  const lon = normalizeAngle(longitude);
+  for (let i = 0; i < cusps.length; i++) {
+    const start = cusps[i].longitude;
+    const end = cusps[(i + 1) % cusps.length].longitude;
+    const span = normalizeAngle(end - start);
+    if (normalizeAngle(lon - start) < span) return cusps[i].house;
+  }
+  return null;
+}
+
+module.exports = {
+  HOUSE_SYSTEMS,
+  DEFAULT_HOUSE_SYSTEM,
+  POLAR_FALLBACK_HOUSE_SYSTEM,
+  resolveHouseSystem,
+  normalizeHouses,
+  getHousePosition,
+};
@@ -0,0 +1,50 @@
+/**
+ * ログ出力の差し替え口
+ *
+ * ライブラリ内部のデバッグ出力はここを経由する。
+ * デフォルトは何も出力しないので、確認したいときは利用側で差し替える。
+ *
+ *   const { setLogger } = require('@astroquery/astro-core');
+ *   setLogger(console);            // コンソールに出す
+ *   setLogger({ debug: myDebug }); // 一部のレベルだけ受け取る
+ *   setLogger(null);               // 元に戻す（出力しない）
+ *
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const noop = () => {};
+
+const SILENT_LOGGER = Object.freeze(
+  Object.fromEntries(LEVELS.map(level => [level, noop]))
+);
+
+let currentLogger = SILENT_LOGGER;
+
+/**
+ * ロガーを差し替える
+ * 渡したオブジェクトにないレベルは出力しない
+ * @param {{ debug?: Function, info?: Function, warn?: Function, error?: Function } | null} logger
+ */
+function setLogger(logger) {
+  if (!logger) {
+    currentLogger = SILENT_LOGGER;
+    return;
+  }
+  currentLogger = Object.freeze(
+    Object.fromEntries(LEVELS.map(level => [
+      level,
+      typeof logger[level] === 'function' ? logger[level].bind(logger) : noop,
+    ]))
+  );
+}
+
+/**
+ * 現在のロガー（debug / info / warn / error を必ず持つ）
+ */
+function getLogger() {
+  return currentLogger;
+}
+
+module.exports = { setLogger, getLogger };
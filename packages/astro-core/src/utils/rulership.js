@@ -0,0 +1,238 @@
+/**
+ * 支配星・アルムーテン・リセプション・ディスポジター判定モジュール
+ *
+ * dignityTable.js の DIGNITY_TABLE を逆引きし、
+ * 「この度数は誰の支配下か」から組み立てる伝統的な判定をまとめる。
+ * 支配星になれるのは太陽〜土星の7天体のみ（天王星以遠は支配される側としてだけ扱う）。
+ *
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+const { DIGNITY_TABLE, normalizeRulerName, resolveDignityScheme } = require('./dignityTable');
+
+// 支配星になれる天体（カルデアン・オーダー）
+const TRADITIONAL_RULERS = Object.freeze(['土星', '木星', '火星', '太陽', '金星', '水星', '月']);
+
+// アルムーテンの計算に使うディグニティ（強い順）
+const RULER_DIGNITIES = Object.freeze(['domicile', 'exaltation', 'triplicity', 'term', 'face']);
+
+function normalizeLongitude(longitude) {
+  return ((longitude % 360) + 360) % 360;
+}
+
+function isTraditionalRuler(name) {
+  return TRADITIONAL_RULERS.includes(name);
+}
+
+// degree < boundary で最初にマッチした区間の支配星
+function findSegmentRuler(segments, degree) {
+  const segment = segments.find(s => degree < s.boundary);
+  return segment ? normalizeRulerName(segment.planet) : null;
+}
+
+// ── 度数の支配星 ──
+
+/**
+ * 指定の黄経を支配する天体（サイン・エグザルテーション・トリプリシティ・ターム・フェイス）
+ *
+ * 7天体以外（ドラゴンヘッド等のエグザルテーション）は null にする。
+ *
+ * @param {number} longitude - 黄経
+ * @param {boolean} isDayChart - 昼チャートか（トリプリシティの支配星が変わる）
+ * @param {string|Object} [scheme='lilly'] - ターム・フェイスの流派（dignityTable.js の resolveDignityScheme）
+ * @returns {{ signIndex: number, degree: number, domicile: string, exaltation: string|null,
+ *   triplicity: string, term: string, face: string }}
+ */
+function getRulersAt(longitude, isDayChart, scheme) {
+  const { termTable, faceTable } = resolveDignityScheme(scheme);
+  const lon = normalizeLongitude(longitude);
+  const signIndex = Math.floor(lon / 30);
+  const degree = lon % 30;
+  const sign = DIGNITY_TABLE[signIndex];
+  const ruler = name => {
+    const normalized = normalizeRulerName(name);
+    return isTraditionalRuler(normalized) ? normalized : null;
+  };
+
+  return {
+    signIndex,
+    degree,
+    domicile: ruler(sign.domicile),
+    exaltation: ruler(sign.exaltation),
+    triplicity: ruler(isDayChart ? sign.triplicityDay : sign.triplicityNight),
+    term: ruler(findSegmentRuler(termTable[signIndex], degree)),
+    face: ruler(findSegmentRuler(faceTable[signIndex], degree)),
+  };
+}
+
+/**
+ * 指定の天体が、その黄経で持つ支配の種類（domicile / exaltation / ...）
+ * @returns {string[]} RULER_DIGNITIES の順
+ */
+function getRulerships(planetName, longitude, isDayChart, scheme) {
+  const rulers = getRulersAt(longitude, isDayChart, scheme);
+  const name = normalizeRulerName(planetName);
+  return RULER_DIGNITIES.filter(dignity => rulers[dignity] === name);
+}
+
+// ── アルムーテン ──
+
+/**
+ * 指定の黄経のアルムーテン（ディグニティの点数が最も高い天体）
+ *
+ * 点数はスキームの重み（デフォルトはサイン5・エグザルテーション4・トリプリシティ3・ターム2・フェイス1）の合計。
+ * 同点の場合は winners に複数入る（どれを採るかは流派によるため、ここでは決めない）。
+ *
+ * @param {number} longitude
+ * @param {boolean} isDayChart
+ * @param {string|Object} [scheme='lilly'] - ディグニティ・スキーム
+ * @returns {{ winners: string[], score: number, scores: Object<string, number> }}
+ *   scores は点数を持つ天体だけ
+ */
+function getAlmuten(longitude, isDayChart, scheme) {
+  const resolved = resolveDignityScheme(scheme);
+  const rulers = getRulersAt(longitude, isDayChart, resolved);
+  const scores = {};
+  for (const dignity of RULER_DIGNITIES) {
+    const planet = rulers[dignity];
+    if (planet) scores[planet] = (scores[planet] || 0) + resolved.score[dignity];
+  }
+
+  const score = Math.max(0, ...Object.values(scores));
+  const winners = TRADITIONAL_RULERS.filter(planet => scores[planet] === score);
+  return { winners, score, scores };
+}
+
+/**
+ * ホロスコープの主要な感受点（ASC・MC・太陽・月・パート・オブ・フォーチュン）のアルムーテン
+ *
+ * @param {Object} chart - calculateHoroscope の戻り値（planets / houses / pof / isDayChart）
+ * @param {string|Object} [scheme='lilly'] - ディグニティ・スキーム
+ * @returns {Object<string, Object>} { asc, mc, sun, moon, pof } → getAlmuten の戻り値（求められない点は含めない）
+ */
+function getChartAlmutens(chart, scheme) {
+  const resolved = resolveDignityScheme(scheme);
+  const longitudeOf = name => chart.planets.find(p => p.name === name)?.longitude;
+  const points = {
+    asc: chart.houses?.angles?.asc,
+    mc: chart.houses?.angles?.mc,
+    sun: longitudeOf('太陽'),
+    moon: longitudeOf('月'),
+    pof: chart.pof,
+  };
+
+  const result = {};
+  for (const [key, longitude] of Object.entries(points)) {
+    if (Number.isFinite(longitude)) result[key] = getAlmuten(longitude, chart.isDayChart, resolved);
+  }
+  return result;
+}
+
+// ── リセプション ──
+
+/**
+ * 天体どうしのミューチュアル・リセプション（互いに相手の支配する場所にいる）
+ *
+ * 例: 太陽が牡羊座（火星の支配）、火星が獅子座（太陽の支配）→ サインどうしのリセプション。
+ * 種類が異なる組み合わせ（サインとエグザルテーション等）は mixed: true。
+ *
+ * @param {Array<{ name: string, longitude: number }>} planets
+ * @param {boolean} isDayChart
+ * @param {Object} [options]
+ * @param {string[]} [options.dignities=['domicile', 'exaltation']] - リセプションとみなす支配の種類
+ * @param {string|Object} [options.scheme='lilly'] - ターム・フェイスの流派（dignities にターム・フェイスを含める場合）
+ * @returns {Array<Object>} { planetA, planetB, dignityA, dignityB, mixed }
+ *   dignityA: A がいる場所で B が持つ支配、dignityB: B がいる場所で A が持つ支配
+ */
+function findMutualReceptions(planets, isDayChart, options = {}) {
+  const dignities = options.dignities || ['domicile', 'exaltation'];
+  for (const dignity of dignities) {
+    if (!RULER_DIGNITIES.includes(dignity)) throw new Error(`Unknown dignity: ${dignity}`);
+  }
+
+  const scheme = resolveDignityScheme(options.scheme);
+
+  const rulers = planets
+    .filter(p => isTraditionalRuler(normalizeRulerName(p.name)))
+    .map(p => ({ name: normalizeRulerName(p.name), rulers: getRulersAt(p.longitude, isDayChart, scheme) }));
+
+  const receptions = [];
+  for (let i = 0; i < rulers.length; i++) {
+    for (let j = i + 1; j < rulers.length; j++) {
+      const a = rulers[i];
+      const b = rulers[j];
+      for (const dignityA of dignities) {
+        if (a.rulers[dignityA] !== b.name) continue;
+        for (const dignityB of dignities) {
+          if (b.rulers[dignityB] !== a.name) continue;
+          receptions.push({
+            planetA: a.name,
+            planetB: b.name,
+            dignityA,
+            dignityB,
+            mixed: dignityA !== dignityB,
+          });
+        }
+      }
+    }
+  }
+  return receptions;
+}
+
+// ── ディスポジター ──
+
+/**
+ * ディスポジター（サインの支配星）をたどった連鎖とファイナル・ディスポジター
+ *
+ * 各天体から「いるサインの支配星」を順にたどり、
+ * - 自分のサインにいる天体に行き着けば、それがその連鎖のファイナル・ディスポジター
+ * - 2天体以上の輪（ミューチュアル・リセプション等）に入れば、ファイナル・ディスポジターなし（loop に輪の天体）
+ * 支配星が planets に含まれていない場合は、そこで連鎖を打ち切る（end: 'missing'）。
+ *
+ * @param {Array<{ name: string, longitude: number }>} planets - 天王星以遠を含めてもよい（支配される側としてだけ扱う）
+ * @returns {{ chains: Array<Object>, finalDispositor: string|null }}
+ *   chains: { planet, chain, end: 'final'|'loop'|'missing', finalDispositor, loop }
+ *   finalDispositor: すべての連鎖が同じ天体に行き着く場合はその天体、そうでなければ null
+ */
+function getDispositors(planets) {
+  const longitudes = new Map(planets.map(p => [normalizeRulerName(p.name), p.longitude]));
+  const dispositorOf = name => getRulersAt(longitudes.get(name), true).domicile;
+
+  const chains = planets.map(p => {
+    const start = normalizeRulerName(p.name);
+    const chain = [start];
+    let current = start;
+
+    for (;;) {
+      const next = dispositorOf(current);
+      if (next === current) {
+        return { planet: start, chain, end: 'final', finalDispositor: current, loop: null };
+      }
+      if (!longitudes.has(next)) {
+        chain.push(next);
+        return { planet: start, chain, end: 'missing', finalDispositor: null, loop: null };
+      }
+      const seenAt = chain.indexOf(next);
+      if (seenAt !== -1) {
+        return { planet: start, chain, end: 'loop', finalDispositor: null, loop: chain.slice(seenAt) };
+      }
+      chain.push(next);
+      current = next;
+    }
+  });
+
+  const finals = new Set(chains.map(c => c.finalDispositor));
+  const finalDispositor = finals.size === 1 ? [...finals][0] : null;
+  return { chains, finalDispositor };
+}
+
+module.exports = {
+  TRADITIONAL_RULERS,
+  RULER_DIGNITIES,
+  getRulersAt,
+  getRulerships,
+  getAlmuten,
+  getChartAlmutens,
+  findMutualReceptions,
+  getDispositors,
+};
@@ -0,0 +1,140 @@
+/**
+ * ターム（バウンズ）の代替テーブル
+ *
+ * dignityTable.js の DIGNITY_TABLE のターム（リリーが採ったプトレマイオス式）と比べるための、
+ * エジプト式・カルデア式のターム。形は DIGNITY_TABLE[*].terms と同じ
+ * （配列インデックス = サインインデックス、判定は degree < boundary）。
+ *
+ * 自己完結型モジュール（外部依存なし）
+ */
+
+// ── エジプト式ターム ──
+// ヘレニズム期に広く使われたもの（プトレマイオス『テトラビブロス』I.20 が「エジプト式」として紹介）
+const EGYPTIAN_TERMS = Object.freeze([
+  // 0: 牡羊座
+  [
+    { planet: '木星', boundary: 6 },
+    { planet: '金星', boundary: 12 },
+    { planet: '水星', boundary: 20 },
+    { planet: '火星', boundary: 25 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 1: 牡牛座
+  [
+    { planet: '金星', boundary: 8 },
+    { planet: '水星', boundary: 14 },
+    { planet: '木星', boundary: 22 },
+    { planet: '土星', boundary: 27 },
+    { planet: '火星', boundary: 30 },
+  ],
+  // 2: 双子座
+  [
+    { planet: '水星', boundary: 6 },
+    { planet: '木星', boundary: 12 },
+    { planet: '金星', boundary: 17 },
+    { planet: '火星', boundary: 24 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 3: 蟹座
+  [
+    { planet: '火星', boundary: 7 },
+    { planet: '金星', boundary: 13 },
+    { planet: '水星', boundary: 19 },
+    { planet: '木星', boundary: 26 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 4: 獅子座
+  [
+    { planet: '木星', boundary: 6 },
+    { planet: '金星', boundary: 11 },
+    { planet: '土星', boundary: 18 },
+    { planet: '水星', boundary: 24 },
+    { planet: '火星', boundary: 30 },
+  ],
+  // 5: 乙女座
+  [
+    { planet: '水星', boundary: 7 },
+    { planet: '金星', boundary: 17 },
+    { planet: '木星', boundary: 21 },
+    { planet: '火星', boundary: 28 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 6: 天秤座
+  [
+    { planet: '土星', boundary: 6 },
+    { planet: '水星', boundary: 14 },
+    { planet: '木星', boundary: 21 },
+    { planet: '金星', boundary: 28 },
+    { planet: '火星', boundary: 30 },
+  ],
+  // 7: 蠍座
+  [
+    { planet: '火星', boundary: 7 },
+    { planet: '金星', boundary: 11 },
+    { planet: '水星', boundary: 19 },
+    { planet: '木星', boundary: 24 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 8: 射手座
+  [
+    { planet: '木星', boundary: 12 },
+    { planet: '金星', boundary: 17 },
+    { planet: '水星', boundary: 21 },
+    { planet: '土星', boundary: 26 },
+    { planet: '火星', boundary: 30 },
+  ],
+  // 9: 山羊座
+  [
+    { planet: '水星', boundary: 7 },
+    { planet: '木星', boundary: 14 },
+    { planet: '金星', boundary: 22 },
+    { planet: '土星', boundary: 26 },
+    { planet: '火星', boundary: 30 },
+  ],
+  // 10: 水瓶座
+  [
+    { planet: '水星', boundary: 7 },
+    { planet: '金星', boundary: 13 },
+    { planet: '木星', boundary: 20 },
+    { planet: '火星', boundary: 25 },
+    { planet: '土星', boundary: 30 },
+  ],
+  // 11: 魚座
+  [
+    { planet: '金星', boundary: 12 },
+    { planet: '木星', boundary: 16 },
+    { planet: '水星', boundary: 19 },
+    { planet: '火星', boundary: 28 },
+    { planet: '土星', boundary: 30 },
+  ],
+]);
+
+// ── カルデア式ターム ──
+// 同じエレメントのサインは同じ並び。幅は 8・7・6・5・4 度で、
+// 先頭はそのトリプリシティの支配星（『テトラビブロス』I.20）
+const CHALDEAN_TERM_WIDTHS = [8, 7, 6, 5, 4];
+
+// エレメントごとの並び（0=火, 1=地, 2=風, 3=水。サインインデックス % 4）
+const CHALDEAN_TERM_ORDER = [
+  ['木星', '金星', '土星', '水星', '火星'],
+  ['金星', '土星', '水星', '火星', '木星'],
+  ['土星', '水星', '火星', '木星', '金星'],
+  ['火星', '木星', '金星', '土星', '水星'],
+];
+
+function buildChaldeanTerms(order) {
+  let boundary = 0;
+  return order.map((planet, i) => {
+    boundary += CHALDEAN_TERM_WIDTHS[i];
+    return Object.freeze({ planet, boundary });
+  });
+}
+
+const CHALDEAN_TERMS = Object.freeze(
+  Array.from({ length: 12 }, (_, signIndex) => Object.freeze(buildChaldeanTerms(CHALDEAN_TERM_ORDER[signIndex % 4])))
+);
+
+module.exports = {
+  EGYPTIAN_TERMS,
+  CHALDEAN_TERMS,
+};
@@ -0,0 +1,47 @@
+/**
+ * 観測地点のプリセット（都市）
+ *
+ * 出没・薄明・プラネタリーアワーの計算地点を、緯度経度を調べずに選べるようにする。
+ * PWA（public/src/js/observer-location.js）も照会APIの /api/cities からこの一覧を読む。
+ */
+
+/**
+ * key: 英字キー（APIパラメータ city の値）
+ * name: 表示名（日本語）
+ * lat / lon: 緯度・経度（度。南緯・西経はマイナス）
+ * timeZone: IANAタイムゾーン名
+ */
+const PRESET_CITIES = Object.freeze([
+  { key: 'sapporo',     name: '札幌',           lat: 43.0621,  lon: 141.3544,  timeZone: 'Asia/Tokyo' },
+  { key: 'sendai',      name: '仙台',           lat: 38.2682,  lon: 140.8694,  timeZone: 'Asia/Tokyo' },
+  { key: 'tokyo',       name: '東京',           lat: 35.6812,  lon: 139.7671,  timeZone: 'Asia/Tokyo' },
+  { key: 'nagoya',      name: '名古屋',         lat: 35.1709,  lon: 136.8815,  timeZone: 'Asia/Tokyo' },
+  { key: 'osaka',       name: '大阪',           lat: 34.7025,  lon: 135.4959,  timeZone: 'Asia/Tokyo' },
+  { key: 'hiroshima',   name: '広島',           lat: 34.3853,  lon: 132.4553,  timeZone: 'Asia/Tokyo' },
+  { key: 'fukuoka',     name: '福岡',           lat: 33.5902,  lon: 130.4017,  timeZone: 'Asia/Tokyo' },
+  { key: 'naha',        name: '那覇',           lat: 26.2124,  lon: 127.6792,  timeZone: 'Asia/Tokyo' },
+  { key: 'seoul',       name: 'ソウル',         lat: 37.5665,  lon: 126.9780,  timeZone: 'Asia/Seoul' },
+  { key: 'taipei',      name: '台北',           lat: 25.0330,  lon: 121.5654,  timeZone: 'Asia/Taipei' },
+  { key: 'hongkong',    name: '香港',           lat: 22.3193,  lon: 114.1694,  timeZone: 'Asia/Hong_Kong' },
+  { key: 'singapore',   name: 'シンガポール',   lat: 1.3521,   lon: 103.8198,  timeZone: 'Asia/Singapore' },
+  { key: 'sydney',      name: 'シドニー',       lat: -33.8688, lon: 151.2093,  timeZone: 'Australia/Sydney' },
+  { key: 'london',      name: 'ロンドン',       lat: 51.5074,  lon: -0.1278,   timeZone: 'Europe/London' },
+  { key: 'paris',       name: 'パリ',           lat: 48.8566,  lon: 2.3522,    timeZone: 'Europe/Paris' },
+  { key: 'newyork',     name: 'ニューヨーク',   lat: 40.7128,  lon: -74.0060,  timeZone: 'America/New_York' },
+  { key: 'losangeles',  name: 'ロサンゼルス',   lat: 34.0522,  lon: -118.2437, timeZone: 'America/Los_Angeles' },
+  { key: 'honolulu',    name: 'ホノルル',       lat: 21.3069,  lon: -157.8583, timeZone: 'Pacific/Honolulu' },
+].map(city => Object.freeze(city)));
+
+/**
+ * key からプリセットの都市を探す
+ * @param {string} key
+ * @returns {Object|null}
+ */
+function findPresetCity(key) {
+  return PRESET_CITIES.find(city => city.key === key) || null;
+}
+
+module.exports = {
+  PRESET_CITIES,
+  findPresetCity,
+};
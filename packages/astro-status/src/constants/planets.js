@@ -25,21 +25,22 @@ const SE_PLANET_ID = {
 /**
  * 天体定義
  * id: Swiss Ephemeris の天体ID
+ * key: 英字キー（通知タグ・APIパラメータ等の識別子用）
  * name: 表示名（日本語）
  * category: 分類（luminary / personal / social / transpersonal / node）
  * retrogradeNotice: 逆行/留の事前通知日数（仕様: 水星金星火星=10日、木星以降=14日）
  */
 const PLANET_DEFS = [
-  { id: SE_PLANET_ID.SUN,     name: '太陽',     category: 'luminary',      retrogradeNotice: null },
-  { id: SE_PLANET_ID.MOON,    name: '月',       category: 'luminary',      retrogradeNotice: null },
-  { id: SE_PLANET_ID.MERCURY, name: '水星',     category: 'personal',      retrogradeNotice: 10 },
-  { id: SE_PLANET_ID.VENUS,   name: '金星',     category: 'personal',      retrogradeNotice: 10 },
-  { id: SE_PLANET_ID.MARS,    name: '火星',     category: 'personal',      retrogradeNotice: 10 },
-  { id: SE_PLANET_ID.JUPITER, name: '木星',     category: 'social',        retrogradeNotice: 14 },
-  { id: SE_PLANET_ID.SATURN,  name: '土星',     category: 'social',        retrogradeNotice: 14 },
-  { id: SE_PLANET_ID.URANUS,  name: '天王星',   category: 'transpersonal', retrogradeNotice: 14 },
-  { id: SE_PLANET_ID.NEPTUNE, name: '海王星',   category: 'transpersonal', retrogradeNotice: 14 },
-  { id: SE_PLANET_ID.PLUTO,   name: '冥王星',   category: 'transpersonal', retrogradeNotice: 14 },
+  { id: SE_PLANET_ID.SUN,     key: 'sun',     name: '太陽',     category: 'luminary',      retrogradeNotice: null },
+  { id: SE_PLANET_ID.MOON,    key: 'moon',    name: '月',       category: 'luminary',      retrogradeNotice: null },
+  { id: SE_PLANET_ID.MERCURY, key: 'mercury', name: '水星',     category: 'personal',      retrogradeNotice: 10 },
+  { id: SE_PLANET_ID.VENUS,   key: 'venus',   name: '金星',     category: 'personal',      retrogradeNotice: 10 },
+  { id: SE_PLANET_ID.MARS,    key: 'mars',    name: '火星',     category: 'personal',      retrogradeNotice: 10 },
+  { id: SE_PLANET_ID.JUPITER, key: 'jupiter', name: '木星',     category: 'social',        retrogradeNotice: 14 },
+  { id: SE_PLANET_ID.SATURN,  key: 'saturn',  name: '土星',     category: 'social',        retrogradeNotice: 14 },
+  { id: SE_PLANET_ID.URANUS,  key: 'uranus',  name: '天王星',   category: 'transpersonal', retrogradeNotice: 14 },
+  { id: SE_PLANET_ID.NEPTUNE, key: 'neptune', name: '海王星',   category: 'transpersonal', retrogradeNotice: 14 },
+  { id: SE_PLANET_ID.PLUTO,   key: 'pluto',   name: '冥王星',   category: 'transpersonal', retrogradeNotice: 14 },
 ];
 
 // ── プリセット ──
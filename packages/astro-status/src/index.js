@@ -8,6 +8,7 @@ const {
   VOID_ASPECT_TARGETS_TRADITIONAL,
   VOID_ASPECT_TARGETS_MODERN,
 } = require('./constants/planets');
+const { PRESET_CITIES, findPresetCity } = require('./constants/cities');
 
 // ── Swiss Ephemeris ラッパー ──
 const ephemeris = require('./services/ephemeris');
@@ -20,23 +21,72 @@ const {
   getPlanetStatus,
   findStations,
   findIngresses,
+  annotateIngressPasses,
   findPlanetEvents,
 } = require('./services/retrograde');
 
+// ── 天体間アスペクト ──
+const {
+  getAspectPairs,
+  findAspectEvents,
+} = require('./services/aspect-events');
+
+// ── 太陽との位置関係（カジミ・コンバスト・アンダー・ザ・ビームズ） ──
+const {
+  findSolarPhaseEvents,
+} = require('./services/solar-phases');
+
+// ── 出没・南中・薄明 ──
+const {
+  TWILIGHT_KINDS,
+  findRiseSet,
+  getRiseSetTimes,
+  getNightSky,
+} = require('./services/rise-set');
+
+// ── プラネタリーアワー ──
+const {
+  CHALDEAN_ORDER,
+  DAY_RULERS,
+  getPlanetaryHours,
+  getPlanetaryHourAt,
+} = require('./services/planetary-hours');
+
+// ── パーソナルトランジット ──
+const {
+  STATION_ORB_DEG,
+  getNatalPoints,
+  findTransits,
+  findStationContacts,
+} = require('./services/transits');
+
 // ── 月相・蝕 ──
 const {
   findLunarPhases,
   getSunMoonElongation,
-  checkEclipse,
   SYNODIC_MONTH,
 } = require('./services/lunar-phases');
+const {
+  SOLAR_ECLIPSE_KINDS,
+  LUNAR_ECLIPSE_KINDS,
+  findNextSolarEclipse,
+  findNextLunarEclipse,
+  findEclipseAtPhase,
+  getLocalEclipse,
+} = require('./services/eclipses');
 
 // ── ボイドオブコース（モダン版） ──
 const {
+  VOID_DEFINITIONS,
+  DEFAULT_VOID_DEFINITION,
+  resolveVoidDefinition,
   getVoidStatus,
   findVoidPeriods,
 } = require('./services/void-of-course');
 
+// ── タイムゾーン ──
+const timezone = require('./utils/timezone');
+
 module.exports = {
   // 天体定義・プリセット
   SE_PLANET_ID,
@@ -47,6 +97,10 @@ module.exports = {
   VOID_ASPECT_TARGETS_TRADITIONAL,
   VOID_ASPECT_TARGETS_MODERN,
 
+  // 観測地点のプリセット
+  PRESET_CITIES,
+  findPresetCity,
+
   // Swiss Ephemeris ラッパー
   ephemeris,
 
@@ -59,15 +113,52 @@ module.exports = {
   // 逆行・留・イングレス
   findStations,
   findIngresses,
+  annotateIngressPasses,
   findPlanetEvents,
 
+  // 天体間アスペクト
+  getAspectPairs,
+  findAspectEvents,
+
+  // 太陽との位置関係（カジミ・コンバスト・アンダー・ザ・ビームズ）
+  findSolarPhaseEvents,
+
+  // 出没・南中・薄明
+  TWILIGHT_KINDS,
+  findRiseSet,
+  getRiseSetTimes,
+  getNightSky,
+
+  // プラネタリーアワー
+  CHALDEAN_ORDER,
+  DAY_RULERS,
+  getPlanetaryHours,
+  getPlanetaryHourAt,
+
+  // パーソナルトランジット
+  STATION_ORB_DEG,
+  getNatalPoints,
+  findTransits,
+  findStationContacts,
+
   // 月相・蝕
   findLunarPhases,
   getSunMoonElongation,
-  checkEclipse,
   SYNODIC_MONTH,
+  SOLAR_ECLIPSE_KINDS,
+  LUNAR_ECLIPSE_KINDS,
+  findNextSolarEclipse,
+  findNextLunarEclipse,
+  findEclipseAtPhase,
+  getLocalEclipse,
 
   // ボイドオブコース（モダン版）
+  VOID_DEFINITIONS,
+  DEFAULT_VOID_DEFINITION,
+  resolveVoidDefinition,
   getVoidStatus,
   findVoidPeriods,
+
+  // タイムゾーン
+  timezone,
 };
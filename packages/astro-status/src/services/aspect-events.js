@@ -0,0 +1,225 @@
+/**
+ * 天体間アスペクトの成立時刻検出モジュール
+ *
+ * 2天体の離角がアスペクトの角度ちょうど（イグザクト）になる時刻を求める。
+ * findStations と同じく、一定ステップで走査して符号が変わった区間を二分探索する。
+ * 逆行をはさむと同じアスペクトが最大3回成立するため、その回数も付与する。
+ * 組み合わせの片方には、天体定義の代わりに経度が動かない点（ネイタルの天体など）も使える。
+ */
+
+const { calcPlanet, calcPlanetForScan, juldayToUtc } = require('./ephemeris');
+const { ASPECT_DEFS, MAJOR_ASPECTS } = require('@astroquery/astro-core');
+const { getSignName } = require('./retrograde');
+
+// 成立回数をまとめるために、探索開始より前へ遡って走査する日数
+// （逆行期間が最も長い冥王星でも約160日）
+const ASPECT_PASS_LOOKBACK_DAYS = 200;
+
+// 逆行による再成立とみなす、前回の成立からの各天体の移動量の上限（度）
+// （逆行の往復の幅は火星でも20°程度）
+const PASS_MAX_DRIFT_DEG = 30;
+
+/**
+ * 角度を -180 < x <= 180 に正規化
+ */
+function normalizeSigned(angle) {
+  let a = ((angle % 360) + 360) % 360;
+  if (a > 180) a -= 360;
+  return a;
+}
+
+/**
+ * 天体定義または固定点 { name, longitude } の指定時刻の位置
+ * @param {Function} [calc=calcPlanet] - 走査では calcPlanetForScan
+ */
+function positionOf(def, julday, calc = calcPlanet) {
+  if (Number.isFinite(def.longitude)) {
+    return Promise.resolve({ name: def.name, longitude: def.longitude, speed: 0, retrograde: false });
+  }
+  return calc(julday, def.id, def.name);
+}
+
+/**
+ * 天体の組み合わせをすべて作る
+ * @param {Array<Object>} planetDefs - 天体定義
+ * @returns {Array<[Object, Object]>}
+ */
+function getAspectPairs(planetDefs) {
+  const pairs = [];
+  for (let i = 0; i < planetDefs.length; i++) {
+    for (let j = i + 1; j < planetDefs.length; j++) {
+      pairs.push([planetDefs[i], planetDefs[j]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * 判定対象（組み合わせ × アスペクト × 向き）を作る
+ *
+ * A-B の離角 d（-180〜180）がアスペクト角 θ になる点は d=+θ と d=-θ の2つ
+ * （コンジャンクションとオポジションは1つ）。それぞれ別々に追跡する。
+ */
+function buildTargets(pairs, aspects) {
+  const targets = [];
+  for (const [a, b] of pairs) {
+    for (const aspect of aspects) {
+      const def = ASPECT_DEFS[aspect];
+      if (!def) throw new Error(`Unknown aspect: ${aspect}`);
+      const sides = def.angle === 0 || def.angle === 180 ? [def.angle] : [def.angle, -def.angle];
+      for (const target of sides) {
+        targets.push({ a, b, aspect, angle: def.angle, target });
+      }
+    }
+  }
+  return targets;
+}
+
+/**
+ * 離角と目標角のずれ（-180〜180）。0 をまたいだ区間にイグザクトがある
+ */
+function deviation(posA, posB, target) {
+  return normalizeSigned(posA.longitude - posB.longitude - target);
+}
+
+/**
+ * イグザクトの時刻を二分探索で求める
+ */
+async function bisectAspect(t, jdLow, jdHigh, devLow, iterations = 30) {
+  for (let i = 0; i < iterations; i++) {
+    const jdMid = (jdLow + jdHigh) / 2;
+    const [posA, posB] = await Promise.all([positionOf(t.a, jdMid), positionOf(t.b, jdMid)]);
+    const devMid = deviation(posA, posB, t.target);
+
+    if (Math.sign(devMid) === Math.sign(devLow)) {
+      jdLow = jdMid;
+      devLow = devMid;
+    } else {
+      jdHigh = jdMid;
+    }
+  }
+  return (jdLow + jdHigh) / 2;
+}
+
+/**
+ * 同じ組み合わせ・アスペクト・向きのイグザクトに成立回数を付与する
+ *
+ * 逆行による再成立は、離角の動く向き（direction）が反転し、かつ両天体が
+ * ほぼ同じ場所（逆行の往復の範囲内）にいるうちに起こる。
+ * 太陽と水星の内合・外合のように向きは交互でも、場所が大きく離れていれば別々の成立とみなす。
+ * 元の配列の要素をそのまま書き換える（pass / passCount を追加）。
+ */
+function annotateAspectPasses(hits) {
+  let group = [];
+  const flush = () => {
+    group.forEach((hit, i) => {
+      hit.pass = i + 1;
+      hit.passCount = group.length;
+    });
+    group = [];
+  };
+
+  for (const hit of hits) {
+    const prev = group[group.length - 1];
+    const sameLoop = prev
+      && prev.direction !== hit.direction
+      && Math.abs(normalizeSigned(hit.longitudeA - prev.longitudeA)) < PASS_MAX_DRIFT_DEG
+      && Math.abs(normalizeSigned(hit.longitudeB - prev.longitudeB)) < PASS_MAX_DRIFT_DEG;
+    if (prev && !sameLoop) flush();
+    group.push(hit);
+  }
+  flush();
+  return hits;
+}
+
+/**
+ * 期間内の天体間アスペクトのイグザクト時刻を検出する
+ *
+ * 月を含めると1日で13°動くため、stepDays を小さく（0.1日程度）すること。
+ *
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @param {number} jdEnd - 探索終了ユリウス日
+ * @param {Array<[Object, Object]>} pairs - 天体定義の組み合わせ（getAspectPairs で作れる）。
+ *   固定点 { name, longitude } を含めてもよい
+ * @param {string[]} [aspects=MAJOR_ASPECTS] - アスペクトの種類（astro-core の ASPECT_DEFS のキー）
+ * @param {number} [stepDays=1] - 初期走査のステップ幅（日）
+ * @returns {Promise<Array<Object>>} 時系列順のアスペクトイベント
+ *   { type: 'aspect', aspect, angle, planetA, planetB, julday, utc,
+ *     longitudeA, longitudeB, signA, signB, retrogradeA, retrogradeB, pass, passCount }
+ */
+async function findAspectEvents(jdStart, jdEnd, pairs, aspects = MAJOR_ASPECTS, stepDays = 1) {
+  const targets = buildTargets(pairs, aspects);
+  const bodies = [...new Set(pairs.flat())];
+
+  const positionsAt = async (jd) => {
+    const list = await Promise.all(bodies.map(def => positionOf(def, jd, calcPlanetForScan)));
+    return new Map(bodies.map((def, i) => [def, list[i]]));
+  };
+
+  // 遡って走査し、期間の初めの成立回数も正しく数える
+  const scanStart = jdStart - ASPECT_PASS_LOOKBACK_DAYS;
+  const hitsByTarget = targets.map(() => []);
+
+  let prevPositions = await positionsAt(scanStart);
+  let prevDevs = targets.map(t => deviation(prevPositions.get(t.a), prevPositions.get(t.b), t.target));
+
+  for (let jd = scanStart + stepDays; jd <= jdEnd; jd += stepDays) {
+    const currPositions = await positionsAt(jd);
+
+    for (let i = 0; i < targets.length; i++) {
+      const t = targets[i];
+      const currDev = deviation(currPositions.get(t.a), currPositions.get(t.b), t.target);
+      const prevDev = prevDevs[i];
+      prevDevs[i] = currDev;
+
+      // 符号が変わった区間のうち、±180° の折り返し（目標の反対側）ではないものがイグザクト
+      if (Math.sign(prevDev) === Math.sign(currDev) || Math.abs(prevDev - currDev) > 90) continue;
+
+      const exactJd = await bisectAspect(t, jd - stepDays, jd, prevDev);
+      const [posA, posB] = await Promise.all([positionOf(t.a, exactJd), positionOf(t.b, exactJd)]);
+      hitsByTarget[i].push({
+        julday: exactJd,
+        direction: Math.sign(currDev - prevDev),
+        longitudeA: posA.longitude,
+        longitudeB: posB.longitude,
+        retrogradeA: posA.retrograde,
+        retrogradeB: posB.retrograde,
+      });
+    }
+
+    prevPositions = currPositions;
+  }
+
+  const events = [];
+  for (let i = 0; i < targets.length; i++) {
+    const t = targets[i];
+    const hits = annotateAspectPasses(hitsByTarget[i]).filter(hit => hit.julday >= jdStart);
+
+    for (const hit of hits) {
+      events.push({
+        type: 'aspect',
+        aspect: t.aspect,
+        angle: t.angle,
+        planetA: t.a.name,
+        planetB: t.b.name,
+        julday: hit.julday,
+        utc: await juldayToUtc(hit.julday),
+        longitudeA: hit.longitudeA,
+        longitudeB: hit.longitudeB,
+        signA: getSignName(hit.longitudeA),
+        signB: getSignName(hit.longitudeB),
+        retrogradeA: hit.retrogradeA,
+        retrogradeB: hit.retrogradeB,
+        pass: hit.pass,
+        passCount: hit.passCount,
+      });
+    }
+  }
+
+  return events.sort((x, y) => x.julday - y.julday);
+}
+
+module.exports = {
+  getAspectPairs,
+  findAspectEvents,
+};
@@ -0,0 +1,209 @@
+/**
+ * 日食・月食 計算モジュール
+ *
+ * Swiss Ephemeris の蝕の計算（swe_sol_eclipse_when_glob / swe_lun_eclipse_when ほか）で、
+ * 新月・満月が蝕になるかと、その種類・食分・サロス番号・食の最大と接触の時刻を求める。
+ * 指定地点での見え方（見えるか・その地点での食分と時刻）も求められる。
+ */
+
+const { swe, getEphemerisFlag, juldayToUtc } = require('./ephemeris');
+
+// 蝕の種類（rflag のビット → 種類。上から順に判定する）
+const SOLAR_ECLIPSE_KINDS = Object.freeze([
+  { bit: swe.SE_ECL_ANNULAR_TOTAL, kind: 'hybrid', label: '金環皆既日食' },
+  { bit: swe.SE_ECL_TOTAL, kind: 'total', label: '皆既日食' },
+  { bit: swe.SE_ECL_ANNULAR, kind: 'annular', label: '金環日食' },
+  { bit: swe.SE_ECL_PARTIAL, kind: 'partial', label: '部分日食' },
+]);
+
+const LUNAR_ECLIPSE_KINDS = Object.freeze([
+  { bit: swe.SE_ECL_TOTAL, kind: 'total', label: '皆既月食' },
+  { bit: swe.SE_ECL_PARTIAL, kind: 'partial', label: '部分月食' },
+  { bit: swe.SE_ECL_PENUMBRAL, kind: 'penumbral', label: '半影月食' },
+]);
+
+// 新月・満月の時刻と食の最大の差はせいぜい数時間。探索はその前後1日で十分
+const SEARCH_MARGIN_DAYS = 1;
+
+function getKind(kinds, rflag) {
+  return kinds.find(k => rflag & k.bit) || null;
+}
+
+// swisseph のコールバックAPIをPromise化（error があれば reject）
+function callSwe(fn, ...args) {
+  return new Promise((resolve, reject) => {
+    fn(...args, (result) => {
+      if (result.error) {
+        reject(new Error(`Eclipse calculation failed: ${result.error}`));
+        return;
+      }
+      resolve(result);
+    });
+  });
+}
+
+// 接触の時刻（起こらない接触は 0 が返るので null にする）
+async function toTime(julday) {
+  return julday > 0 ? { julday, utc: await juldayToUtc(julday) } : null;
+}
+
+async function toTimes(result, keys) {
+  const times = {};
+  for (const [name, key] of Object.entries(keys)) times[name] = await toTime(result[key]);
+  return times;
+}
+
+// ── 全地球での蝕 ──
+
+/**
+ * 指定時刻以降で最初の日食
+ *
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @returns {Promise<Object>} { type: 'solar', kind, label, maximum, magnitude, saros, contacts }
+ *   kind: 'total' | 'annular' | 'hybrid' | 'partial'
+ *   magnitude: 食の最大の地点での食分（金環・皆既は月と太陽の視直径の比）
+ *   saros: { series, member }
+ *   contacts: { begin, end, totalBegin, totalEnd, centerBegin, centerEnd }
+ *     地球上のどこかで部分食・皆既（金環）食・中心食が始まる/終わる時刻。起こらないものは null
+ *   時刻はすべて { julday, utc }
+ */
+async function findNextSolarEclipse(jdStart) {
+  const when = await callSwe(swe.swe_sol_eclipse_when_glob, jdStart, getEphemerisFlag(), 0, 0);
+  const where = await callSwe(swe.swe_sol_eclipse_where, when.maximum, getEphemerisFlag());
+  const { kind, label } = getKind(SOLAR_ECLIPSE_KINDS, when.rflag);
+
+  return {
+    type: 'solar',
+    kind,
+    label,
+    maximum: await toTime(when.maximum),
+    magnitude: where.eclipseMagnitude,
+    saros: { series: where.sarosNumber, member: where.sarosMember },
+    contacts: await toTimes(when, {
+      begin: 'begin',
+      end: 'end',
+      totalBegin: 'totalBegin',
+      totalEnd: 'totalEnd',
+      centerBegin: 'centerBegin',
+      centerEnd: 'centerEnd',
+    }),
+  };
+}
+
+/**
+ * 指定時刻以降で最初の月食
+ *
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @returns {Promise<Object>} { type: 'lunar', kind, label, maximum, magnitude, penumbralMagnitude, saros, contacts }
+ *   kind: 'total' | 'partial' | 'penumbral'
+ *   magnitude: 本影食分（本影にかからない半影月食では 0）
+ *   penumbralMagnitude: 半影食分
+ *   contacts: { penumbralBegin, partialBegin, totalBegin, totalEnd, partialEnd, penumbralEnd }
+ *   時刻はすべて { julday, utc }。起こらない接触は null
+ */
+async function findNextLunarEclipse(jdStart) {
+  const when = await callSwe(swe.swe_lun_eclipse_when, jdStart, getEphemerisFlag(), 0, 0);
+  // 食分とサロス番号は地点によらない（地点は高度の計算にしか使われない）
+  const how = await callSwe(swe.swe_lun_eclipse_how, when.maximum, getEphemerisFlag(), 0, 0, 0);
+  const { kind, label } = getKind(LUNAR_ECLIPSE_KINDS, when.rflag);
+
+  return {
+    type: 'lunar',
+    kind,
+    label,
+    maximum: await toTime(when.maximum),
+    magnitude: how.umbralMagnitude,
+    penumbralMagnitude: how.penumbralMagnitude,
+    saros: { series: how.sarosNumber, member: how.sarosMember },
+    contacts: await toTimes(when, {
+      penumbralBegin: 'penumbralBegin',
+      partialBegin: 'partialBegin',
+      totalBegin: 'totalBegin',
+      totalEnd: 'totalEnd',
+      partialEnd: 'partialEnd',
+      penumbralEnd: 'penumbralEnd',
+    }),
+  };
+}
+
+/**
+ * 新月・満月が蝕かを判定する
+ *
+ * @param {string} phaseType - 'new_moon' | 'full_moon'
+ * @param {number} julday - 新月・満月の時刻
+ * @returns {Promise<Object|null>} findNextSolarEclipse / findNextLunarEclipse と同じ形（null=蝕ではない）
+ */
+async function findEclipseAtPhase(phaseType, julday) {
+  const find = phaseType === 'new_moon' ? findNextSolarEclipse : findNextLunarEclipse;
+  const eclipse = await find(julday - SEARCH_MARGIN_DAYS);
+  return Math.abs(eclipse.maximum.julday - julday) < SEARCH_MARGIN_DAYS ? eclipse : null;
+}
+
+// ── 地点での見え方 ──
+
+/**
+ * 蝕の指定地点での見え方
+ *
+ * @param {Object} eclipse - findEclipseAtPhase などの戻り値
+ * @param {{ lat: number, lon: number, height?: number }} location
+ * @returns {Promise<Object>} { visible, kind, label, maximum, magnitude, altitude, contacts }
+ *   visible: その地点で（一部でも）見えるか。false なら他の項目は null
+ *   kind / label: その地点での見え方（日食は皆既帯の外なら部分日食になる）
+ *   altitude: 食の最大の時刻の太陽（月）の高度（度。マイナスなら地平線の下）
+ *   contacts: 日食は { first, second, third, fourth }（第1〜第4接触）、
+ *     月食は { penumbralBegin, partialBegin, totalBegin, totalEnd, partialEnd, penumbralEnd }
+ *     起こらないもの・太陽（月）が地平線の下にあって見えないものは null
+ */
+async function getLocalEclipse(eclipse, location) {
+  const jdStart = eclipse.maximum.julday - SEARCH_MARGIN_DAYS;
+  const args = [jdStart, getEphemerisFlag(), location.lon, location.lat, location.height || 0, 0];
+  const local = eclipse.type === 'solar'
+    ? await callSwe(swe.swe_sol_eclipse_when_loc, ...args)
+    : await callSwe(swe.swe_lun_eclipse_when_loc, ...args);
+
+  // *_when_loc はその地点で見える次の蝕を探すので、別の蝕が返ってきたらこの蝕は見えない
+  const visible = (local.rflag & swe.SE_ECL_VISIBLE) !== 0
+    && Math.abs(local.maximum - eclipse.maximum.julday) < SEARCH_MARGIN_DAYS;
+  if (!visible) {
+    return { visible: false, kind: null, label: null, maximum: null, magnitude: null, altitude: null, contacts: null };
+  }
+
+  if (eclipse.type === 'solar') {
+    const { kind, label } = getKind(SOLAR_ECLIPSE_KINDS, local.rflag);
+    return {
+      visible,
+      kind,
+      label,
+      maximum: await toTime(local.maximum),
+      magnitude: local.eclipseMagnitude,
+      altitude: local.apparentAltitude,
+      contacts: await toTimes(local, { first: 'first', second: 'second', third: 'third', fourth: 'forth' }),
+    };
+  }
+
+  return {
+    visible,
+    kind: eclipse.kind,
+    label: eclipse.label,
+    maximum: await toTime(local.maximum),
+    magnitude: local.umbralMagnitude,
+    altitude: local.apparentAltitude,
+    contacts: await toTimes(local, {
+      penumbralBegin: 'penumbralBegin',
+      partialBegin: 'partialBegin',
+      totalBegin: 'totalBegin',
+      totalEnd: 'totalEnd',
+      partialEnd: 'partialEnd',
+      penumbralEnd: 'penumbralEnd',
+    }),
+  };
+}
+
+module.exports = {
+  SOLAR_ECLIPSE_KINDS,
+  LUNAR_ECLIPSE_KINDS,
+  findNextSolarEclipse,
+  findNextLunarEclipse,
+  findEclipseAtPhase,
+  getLocalEclipse,
+};
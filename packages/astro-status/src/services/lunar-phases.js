@@ -2,23 +2,17 @@
  * 新月・満月・日食・月食 計算モジュール
  *
  * 太陽と月の経度差から新月(合)・満月(衝)の正確な時刻を求める。
- * さらにノード軸との距離から日食・月食の可能性を判定する。
+ * 蝕かどうかと、その種類・食分などは eclipses.js（Swiss Ephemeris の蝕の計算）で求める。
  */
 
 const { calcPlanet, juldayToUtc } = require('./ephemeris');
 const { SE_PLANET_ID } = require('../constants/planets');
 const { getSignName } = require('./retrograde');
+const { findEclipseAtPhase } = require('./eclipses');
 
 // 朔望月の平均周期（日）
 const SYNODIC_MONTH = 29.530588;
 
-// 蝕判定のノード距離しきい値（度）
-// 太陽-月のコンジャンクション/オポジション時にノードから何度以内なら蝕の可能性があるか
-const ECLIPSE_ORB = {
-  solar: 18.5,   // 日食: ノードから18.5度以内（部分日食含む）
-  lunar: 12.0,   // 月食: ノードから12度以内（部分月食含む）
-};
-
 /**
  * 太陽と月の経度差を計算（0〜360度）
  */
@@ -106,14 +100,12 @@ async function findLunarPhases(jdStart, jdEnd) {
  */
 async function buildPhaseEvent(julday, type, label) {
   const utc = await juldayToUtc(julday);
-  const [sun, moon, node] = await Promise.all([
+  const [sun, moon] = await Promise.all([
     calcPlanet(julday, SE_PLANET_ID.SUN, '太陽'),
     calcPlanet(julday, SE_PLANET_ID.MOON, '月'),
-    calcPlanet(julday, SE_PLANET_ID.TRUE_NODE, 'ドラゴンヘッド'),
   ]);
 
-  // ノードとの距離で蝕判定
-  const eclipse = checkEclipse(type, sun, moon, node);
+  const eclipse = await findEclipseAtPhase(type, julday);
 
   return {
     type,
@@ -128,53 +120,8 @@ async function buildPhaseEvent(julday, type, label) {
   };
 }
 
-/**
- * 蝕の判定
- *
- * @param {string} phaseType - 'new_moon' | 'full_moon'
- * @param {Object} sun - 太陽位置
- * @param {Object} moon - 月位置
- * @param {Object} node - ドラゴンヘッド位置
- * @returns {Object|null} 蝕情報（null=蝕ではない）
- */
-function checkEclipse(phaseType, sun, moon, node) {
-  // ノード軸: ドラゴンヘッドとドラゴンテイル（180度対向）
-  const nodeLon = node.longitude;
-  const antiNodeLon = (nodeLon + 180) % 360;
-
-  // 太陽（≒月、新月時）または月（満月時）とノードとの最小距離
-  const targetLon = phaseType === 'new_moon' ? sun.longitude : moon.longitude;
-
-  let distToNode = Math.abs(targetLon - nodeLon);
-  if (distToNode > 180) distToNode = 360 - distToNode;
-
-  let distToAntiNode = Math.abs(targetLon - antiNodeLon);
-  if (distToAntiNode > 180) distToAntiNode = 360 - distToAntiNode;
-
-  const minDist = Math.min(distToNode, distToAntiNode);
-
-  if (phaseType === 'new_moon' && minDist <= ECLIPSE_ORB.solar) {
-    return {
-      type: 'solar',
-      label: '日食',
-      distanceToNode: minDist,
-    };
-  }
-
-  if (phaseType === 'full_moon' && minDist <= ECLIPSE_ORB.lunar) {
-    return {
-      type: 'lunar',
-      label: '月食',
-      distanceToNode: minDist,
-    };
-  }
-
-  return null;
-}
-
 module.exports = {
   findLunarPhases,
   getSunMoonElongation,
-  checkEclipse,
   SYNODIC_MONTH,
 };
@@ -0,0 +1,141 @@
+/**
+ * プラネタリーアワー（惑星時間）計算モジュール
+ *
+ * 日の出から日の入りまで・日の入りから翌日の日の出までをそれぞれ12等分した
+ * 不定時法の24時間に、カルデア・オーダー（土星→木星→火星→太陽→金星→水星→月）で支配星を割り当てる。
+ * 1時間目の支配星はその日の支配星（日曜=太陽、月曜=月、…）。
+ * 日付は地点のタイムゾーンでの暦日とし、その日の日の出から翌日の日の出までを1日とする。
+ */
+
+const { PLANET_DEFS, SE_PLANET_ID } = require('../constants/planets');
+const { localToJulday, juldayToUtc } = require('./ephemeris');
+const { findRiseSet } = require('./rise-set');
+const { zonedTimeToUtcMs, getZonedParts } = require('../utils/timezone');
+
+// カルデア・オーダー（遅い順）
+const CHALDEAN_ORDER = Object.freeze(['saturn', 'jupiter', 'mars', 'sun', 'venus', 'mercury', 'moon']);
+
+// 曜日（0=日曜）ごとの日の支配星
+const DAY_RULERS = Object.freeze(['sun', 'moon', 'mars', 'mercury', 'jupiter', 'venus', 'saturn']);
+
+const PLANET_NAME_BY_KEY = Object.fromEntries(PLANET_DEFS.map(p => [p.key, p.name]));
+
+const SUN_DEF = PLANET_DEFS.find(p => p.id === SE_PLANET_ID.SUN);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function msToJulday(utcMs) {
+  const d = new Date(utcMs);
+  return localToJulday(
+    d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(),
+    d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds() + d.getUTCMilliseconds() / 1000, 0
+  );
+}
+
+async function toTime(julday) {
+  return { julday, utc: await juldayToUtc(julday) };
+}
+
+/**
+ * 指定の暦日の日の出・日の入り・翌日の日の出
+ * @returns {Promise<{ sunrise: number, sunset: number, nextSunrise: number }>} ユリウス日
+ * @throws {Error} その日に日の出・日の入りがない（白夜・極夜）場合
+ */
+async function getSunTimes(date, location, timeZone) {
+  const midnightMs = zonedTimeToUtcMs({ year: date.year, month: date.month, day: date.day, hour: 0 }, timeZone);
+  const nextMidnightMs = zonedTimeToUtcMs({ year: date.year, month: date.month, day: date.day + 1, hour: 0 }, timeZone);
+  const jdMidnight = await msToJulday(midnightMs);
+  const jdNextMidnight = jdMidnight + (nextMidnightMs - midnightMs) / MS_PER_DAY;
+
+  const sunrise = await findRiseSet(SUN_DEF, jdMidnight, 'rise', location);
+  const sunset = sunrise && await findRiseSet(SUN_DEF, sunrise, 'set', location);
+  const nextSunrise = sunset && await findRiseSet(SUN_DEF, sunset, 'rise', location);
+
+  // 白夜・極夜では次の出没が何日も先になる
+  if (!nextSunrise || sunrise >= jdNextMidnight || sunset - sunrise > 1 || nextSunrise - sunset > 1) {
+    throw new Error('Planetary hours are undefined where the sun does not rise and set on this date');
+  }
+  return { sunrise, sunset, nextSunrise };
+}
+
+/**
+ * 指定の暦日のプラネタリーアワー
+ *
+ * @param {{ year: number, month: number, day: number }} date - 地点のタイムゾーンでの日付
+ * @param {{ lat: number, lon: number }} location
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @returns {Promise<Object>} { date, dayRuler, dayRulerKey, sunrise, sunset, nextSunrise, hours }
+ *   時刻はすべて { julday, utc }。
+ *   hours: 24件 { hour: 1〜24, period: 'day'|'night', ruler, rulerKey, start, end }
+ * @throws {Error} 白夜・極夜で日の出・日の入りがない場合
+ */
+async function getPlanetaryHours(date, location, timeZone) {
+  const { sunrise, sunset, nextSunrise } = await getSunTimes(date, location, timeZone);
+
+  // 暦日の曜日（タイムゾーンに依らない）
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+  const dayRulerKey = DAY_RULERS[weekday];
+  const firstIndex = CHALDEAN_ORDER.indexOf(dayRulerKey);
+
+  const dayLength = (sunset - sunrise) / 12;
+  const nightLength = (nextSunrise - sunset) / 12;
+  const hours = [];
+  for (let i = 0; i < 24; i++) {
+    const isDay = i < 12;
+    const start = isDay ? sunrise + dayLength * i : sunset + nightLength * (i - 12);
+    const end = isDay ? start + dayLength : start + nightLength;
+    const rulerKey = CHALDEAN_ORDER[(firstIndex + i) % CHALDEAN_ORDER.length];
+    hours.push({
+      hour: i + 1,
+      period: isDay ? 'day' : 'night',
+      ruler: PLANET_NAME_BY_KEY[rulerKey],
+      rulerKey,
+      // 最後の時間の終わりは翌日の日の出ちょうどにそろえる
+      start: await toTime(start),
+      end: await toTime(i === 23 ? nextSunrise : end),
+    });
+  }
+
+  return {
+    date: `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`,
+    dayRuler: PLANET_NAME_BY_KEY[dayRulerKey],
+    dayRulerKey,
+    sunrise: await toTime(sunrise),
+    sunset: await toTime(sunset),
+    nextSunrise: await toTime(nextSunrise),
+    hours,
+  };
+}
+
+/**
+ * 指定時刻を含むプラネタリーアワー
+ *
+ * 日の出前の時刻は、前日の日の出から始まる1日の夜の時間になる。
+ *
+ * @param {number} utcMs - 時刻（UTCミリ秒）
+ * @param {{ lat: number, lon: number }} location
+ * @param {string} timeZone
+ * @returns {Promise<Object>} getPlanetaryHours の戻り値に current（hours のうち指定時刻を含むもの）を加えたもの
+ */
+async function getPlanetaryHourAt(utcMs, location, timeZone) {
+  const julday = await msToJulday(utcMs);
+  const local = getZonedParts(utcMs, timeZone);
+
+  let day = await getPlanetaryHours(local, location, timeZone);
+  if (julday < day.sunrise.julday) {
+    const prev = new Date(Date.UTC(local.year, local.month - 1, local.day - 1));
+    day = await getPlanetaryHours(
+      { year: prev.getUTCFullYear(), month: prev.getUTCMonth() + 1, day: prev.getUTCDate() }, location, timeZone
+    );
+  }
+
+  const current = day.hours.find(h => julday >= h.start.julday && julday < h.end.julday) || null;
+  return { ...day, current };
+}
+
+module.exports = {
+  CHALDEAN_ORDER,
+  DAY_RULERS,
+  getPlanetaryHours,
+  getPlanetaryHourAt,
+};
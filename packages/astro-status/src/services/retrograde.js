@@ -5,7 +5,9 @@
  * バッチで定期的に呼び出し、状態変化の時刻を特定する用途。
  */
 
-const { calcPlanet, localToJulday, juldayToUtc } = require('./ephemeris');
+const { getSolarPhase } = require('@astroquery/astro-core');
+const { SE_PLANET_ID } = require('../constants/planets');
+const { calcPlanet, calcPlanetSeries, localToJulday, juldayToUtc } = require('./ephemeris');
 
 // サイン名（経度→サイン変換用）
 const SIGN_NAMES = [
@@ -13,6 +15,22 @@ const SIGN_NAMES = [
   '天秤座', '蠍座', '射手座', '山羊座', '水瓶座', '魚座',
 ];
 
+// イングレスの通過回数をまとめるために、探索期間の前後へ広げて走査する日数（天体ごと）
+// 同じサイン境界を行き来する1グループの最長の期間より長くとる。
+// 海王星・冥王星は1回の逆行の幅が1年の進みより大きく、2回の逆行にまたがって5回通過することがある
+// （冥王星の水瓶座入りは 2023年3月〜2024年11月）
+const INGRESS_PASS_SPAN_DAYS = Object.freeze({
+  [SE_PLANET_ID.MERCURY]: 120,
+  [SE_PLANET_ID.VENUS]: 240,
+  [SE_PLANET_ID.MARS]: 365,
+  [SE_PLANET_ID.JUPITER]: 450,
+  [SE_PLANET_ID.SATURN]: 450,
+  [SE_PLANET_ID.URANUS]: 800,
+  [SE_PLANET_ID.NEPTUNE]: 800,
+  [SE_PLANET_ID.PLUTO]: 800,
+});
+const DEFAULT_INGRESS_PASS_SPAN_DAYS = 800;
+
 /**
  * 経度からサインインデックスを取得
  */
@@ -30,6 +48,10 @@ function getSignName(longitude) {
 /**
  * 天体の現在の状態を取得
  *
+ * 太陽以外は太陽との距離（sunDistance、0〜180度）と、その距離による状態
+ * （solarPhase: 'cazimi' | 'combust' | 'underBeams' | 'free'。オーブは astro-core の SOLAR_PHASE_ORBS）も返す。
+ * 太陽自身はどちらも null。
+ *
  * @param {number} julday - ユリウス日
  * @param {Object} planetDef - 天体定義 { id, name }
  * @returns {Promise<Object>} 状態情報
@@ -38,6 +60,15 @@ async function getPlanetStatus(julday, planetDef) {
   const pos = await calcPlanet(julday, planetDef.id, planetDef.name);
   const signIndex = getSignIndex(pos.longitude);
 
+  let sunDistance = null;
+  let solarPhase = null;
+  if (planetDef.id !== SE_PLANET_ID.SUN) {
+    const sun = await calcPlanet(julday, SE_PLANET_ID.SUN, '太陽');
+    const diff = ((pos.longitude - sun.longitude) % 360 + 360) % 360;
+    sunDistance = diff > 180 ? 360 - diff : diff;
+    solarPhase = getSolarPhase(pos.longitude, sun.longitude);
+  }
+
   return {
     name: pos.name,
     id: pos.id,
@@ -47,62 +78,122 @@ async function getPlanetStatus(julday, planetDef) {
     sign: SIGN_NAMES[signIndex],
     signIndex,
     degreeInSign: pos.longitude % 30,
+    sunDistance,
+    solarPhase,
   };
 }
 
 /**
- * 留（ステーション）の時刻を二分探索で特定する
+ * 一定間隔で走査し、速度の符号が変わった区間（留）とサインが変わった区間（イングレス）を拾う
  *
- * 速度の符号が変わる区間を探し、速度≒0となる瞬間を求める。
+ * 留とイングレスは同じ走査で求められるので、findPlanetEvents では1回の走査で両方を拾う。
+ * 走査の位置は calcPlanetSeries（補間モードなら補間）、区間の中の時刻は正確な位置で詰める。
  *
- * @param {number} planetId - 天体ID
- * @param {string} planetName - 天体名
- * @param {number} jdStart - 探索開始ユリウス日
- * @param {number} jdEnd - 探索終了ユリウス日
- * @param {number} stepDays - 初期走査のステップ幅（日）
- * @returns {Promise<Array<Object>>} 留のイベント配列
+ * @returns {Promise<Object>} { stations: [{ jdLow, jdHigh, type }], ingresses: [{ jdLow, jdHigh, fromSign, toSign }] }
  */
-async function findStations(planetId, planetName, jdStart, jdEnd, stepDays = 1) {
+async function scanPlanetChanges(planetId, planetName, jdStart, jdEnd, stepDays) {
+  const series = await calcPlanetSeries({ id: planetId, name: planetName }, jdStart, jdEnd, stepDays);
   const stations = [];
+  const ingresses = [];
 
-  // ステップごとに速度の符号変化を検出
-  let prevPos = await calcPlanet(jdStart, planetId, planetName);
-
-  for (let jd = jdStart + stepDays; jd <= jdEnd; jd += stepDays) {
-    const currPos = await calcPlanet(jd, planetId, planetName);
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1];
+    const curr = series[i];
 
     // 速度の符号が変わった → この区間に留がある
-    if ((prevPos.speed > 0 && currPos.speed < 0) || (prevPos.speed < 0 && currPos.speed > 0)) {
-      const stationType = currPos.speed < 0 ? 'station_retrograde' : 'station_direct';
-      const exactJd = await bisectStation(planetId, planetName, jd - stepDays, jd);
-      const exactUtc = await juldayToUtc(exactJd);
-      const exactPos = await calcPlanet(exactJd, planetId, planetName);
-
+    if ((prev.speed > 0 && curr.speed < 0) || (prev.speed < 0 && curr.speed > 0)) {
       stations.push({
-        type: stationType,
-        planet: planetName,
-        julday: exactJd,
-        utc: exactUtc,
-        longitude: exactPos.longitude,
-        sign: getSignName(exactPos.longitude),
-        degreeInSign: exactPos.longitude % 30,
+        jdLow: prev.julday,
+        jdHigh: curr.julday,
+        type: curr.speed < 0 ? 'station_retrograde' : 'station_direct',
       });
     }
 
-    prevPos = currPos;
+    const prevSign = getSignIndex(prev.longitude);
+    const currSign = getSignIndex(curr.longitude);
+    if (prevSign !== currSign) {
+      ingresses.push({ jdLow: prev.julday, jdHigh: curr.julday, fromSign: prevSign, toSign: currSign });
+    }
   }
 
+  return { stations, ingresses };
+}
+
+/**
+ * 走査で拾った区間から留のイベントを作る
+ */
+async function resolveStations(planetId, planetName, brackets) {
+  const stations = [];
+  for (const { jdLow, jdHigh, type } of brackets) {
+    const exactJd = await bisectStation(planetId, planetName, jdLow, jdHigh);
+    const exactUtc = await juldayToUtc(exactJd);
+    const exactPos = await calcPlanet(exactJd, planetId, planetName);
+
+    stations.push({
+      type,
+      planet: planetName,
+      julday: exactJd,
+      utc: exactUtc,
+      longitude: exactPos.longitude,
+      sign: getSignName(exactPos.longitude),
+      degreeInSign: exactPos.longitude % 30,
+    });
+  }
   return stations;
 }
 
+/**
+ * 走査で拾った区間からイングレスのイベントを作る
+ */
+async function resolveIngresses(planetId, planetName, brackets) {
+  const ingresses = [];
+  for (const { jdLow, jdHigh, fromSign, toSign } of brackets) {
+    const exactJd = await bisectIngress(planetId, planetName, jdLow, jdHigh, fromSign);
+    const exactUtc = await juldayToUtc(exactJd);
+    const exactPos = await calcPlanet(exactJd, planetId, planetName);
+
+    // toSign は検出時のサインを使う
+    // （境界ぴったりだと浮動小数点精度で元サインに判定されうるため）
+    ingresses.push({
+      type: 'ingress',
+      planet: planetName,
+      julday: exactJd,
+      utc: exactUtc,
+      fromSign: SIGN_NAMES[fromSign],
+      toSign: SIGN_NAMES[toSign],
+      longitude: exactPos.longitude,
+      retrograde: exactPos.retrograde,
+    });
+  }
+  return ingresses;
+}
+
+/**
+ * 留（ステーション）の時刻を二分探索で特定する
+ *
+ * 速度の符号が変わる区間を探し、速度≒0となる瞬間を求める。
+ *
+ * @param {number} planetId - 天体ID
+ * @param {string} planetName - 天体名
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @param {number} jdEnd - 探索終了ユリウス日
+ * @param {number} stepDays - 初期走査のステップ幅（日）
+ * @returns {Promise<Array<Object>>} 留のイベント配列
+ */
+async function findStations(planetId, planetName, jdStart, jdEnd, stepDays = 1) {
+  const { stations } = await scanPlanetChanges(planetId, planetName, jdStart, jdEnd, stepDays);
+  return resolveStations(planetId, planetName, stations);
+}
+
 /**
  * 留の正確な時刻を二分探索で求める
  * 速度が0に最も近い時刻を探す
  */
 async function bisectStation(planetId, planetName, jdLow, jdHigh, iterations = 30) {
+  let posLow = await calcPlanet(jdLow, planetId, planetName);
+
   for (let i = 0; i < iterations; i++) {
     const jdMid = (jdLow + jdHigh) / 2;
-    const posLow = await calcPlanet(jdLow, planetId, planetName);
     const posMid = await calcPlanet(jdMid, planetId, planetName);
 
     // 符号が変わる側に絞り込む
@@ -110,6 +201,7 @@ async function bisectStation(planetId, planetName, jdLow, jdHigh, iterations = 3
       jdHigh = jdMid;
     } else {
       jdLow = jdMid;
+      posLow = posMid;
     }
   }
 
@@ -127,43 +219,8 @@ async function bisectStation(planetId, planetName, jdLow, jdHigh, iterations = 3
  * @returns {Promise<Array<Object>>} イングレスのイベント配列
  */
 async function findIngresses(planetId, planetName, jdStart, jdEnd, stepDays = 1) {
-  const ingresses = [];
-
-  let prevPos = await calcPlanet(jdStart, planetId, planetName);
-  let prevSign = getSignIndex(prevPos.longitude);
-
-  for (let jd = jdStart + stepDays; jd <= jdEnd; jd += stepDays) {
-    const currPos = await calcPlanet(jd, planetId, planetName);
-    const currSign = getSignIndex(currPos.longitude);
-
-    if (prevSign !== currSign) {
-      // サインが変わった → この区間で二分探索
-      const exactJd = await bisectIngress(planetId, planetName, jd - stepDays, jd, prevSign);
-      const exactUtc = await juldayToUtc(exactJd);
-      const exactPos = await calcPlanet(exactJd, planetId, planetName);
-
-      // toSign は検出時の currSign を使う
-      // （境界ぴったりだと浮動小数点精度で元サインに判定されうるため）
-      ingresses.push({
-        type: 'ingress',
-        planet: planetName,
-        julday: exactJd,
-        utc: exactUtc,
-        fromSign: SIGN_NAMES[prevSign],
-        toSign: SIGN_NAMES[currSign],
-        longitude: exactPos.longitude,
-        retrograde: exactPos.retrograde,
-      });
-
-      prevSign = currSign;
-    } else {
-      prevSign = currSign;
-    }
-
-    prevPos = currPos;
-  }
-
-  return ingresses;
+  const { ingresses } = await scanPlanetChanges(planetId, planetName, jdStart, jdEnd, stepDays);
+  return resolveIngresses(planetId, planetName, ingresses);
 }
 
 /**
@@ -185,6 +242,59 @@ async function bisectIngress(planetId, planetName, jdLow, jdHigh, fromSign, iter
   return (jdLow + jdHigh) / 2;
 }
 
+/**
+ * イングレスに「同じサイン境界の何回目の通過か」を付与する
+ *
+ * 逆行をはさむと、同じサイン境界を 順行→逆行→順行 と行き来する。
+ * 時系列で連続して同じ境界を通過したイングレスを1グループとみなし、
+ * 各イングレスに以下を追加する（元の配列の要素をそのまま書き換える）:
+ *   pass      - グループ内で何回目の通過か（1始まり）
+ *   passCount - グループ内の通過回数（走査の終わりで途切れた場合はその時点まで）
+ *   passKind  - 'first'（初回の入居） / 'retrograde_reentry'（逆行で前のサインへ戻る）
+ *               / 'direct_reentry'（逆行後の順行で再び入居。まだ戻ることがある）
+ *               / 'final'（閉じたグループの最後の順行の通過。最終的な入居）
+ *
+ * 最後のグループは、その後にまた通過するかが分からないので閉じていないとみなす。
+ * 走査が最後の通過より十分先まで続いている場合は closedBeforeJd で閉じていると指定する。
+ *
+ * @param {Array<Object>} ingresses - 1天体分のイングレス（時系列順）
+ * @param {number} [closedBeforeJd] - 最後の通過がこれより前なら、最後のグループも閉じているとみなす
+ * @returns {Array<Object>} 同じ配列
+ */
+function annotateIngressPasses(ingresses, closedBeforeJd = -Infinity) {
+  let group = [];
+  let groupBoundary = null;
+
+  const flush = (closed) => {
+    group.forEach((ing, i) => {
+      ing.pass = i + 1;
+      ing.passCount = group.length;
+      if (ing.retrograde) {
+        ing.passKind = 'retrograde_reentry';
+      } else if (i === 0) {
+        ing.passKind = 'first';
+      } else {
+        ing.passKind = closed && i === group.length - 1 ? 'final' : 'direct_reentry';
+      }
+    });
+    group = [];
+  };
+
+  for (const ing of ingresses) {
+    // 境界は「境界から始まるサイン」のインデックスで表す（牡羊座/牡牛座の境界 = 1）
+    const from = SIGN_NAMES.indexOf(ing.fromSign);
+    const to = SIGN_NAMES.indexOf(ing.toSign);
+    const boundary = (from + 1) % 12 === to ? to : from;
+
+    if (group.length > 0 && boundary !== groupBoundary) flush(true);
+    groupBoundary = boundary;
+    group.push(ing);
+  }
+  flush(group.length > 0 && group[group.length - 1].julday < closedBeforeJd);
+
+  return ingresses;
+}
+
 /**
  * 指定期間の天体イベント（留・イングレス）をまとめて取得
  *
@@ -192,17 +302,24 @@ async function bisectIngress(planetId, planetName, jdLow, jdHigh, fromSign, iter
  * @param {number} jdStart - 探索開始ユリウス日
  * @param {number} jdEnd - 探索終了ユリウス日
  * @param {number} stepDays - 走査ステップ幅（外惑星は大きめでOK）
- * @returns {Promise<Object>} { stations: [...], ingresses: [...] }
+ * @returns {Promise<Object>} { stations: [...], ingresses: [...] }（ingresses は通過回数付き）
  */
 async function findPlanetEvents(planetDef, jdStart, jdEnd, stepDays) {
   // 天体ごとに適切なステップ幅を設定
   // 内惑星は動きが速いので細かく、外惑星は粗くてOK
   const step = stepDays || getDefaultStep(planetDef.category);
 
-  const [stations, ingresses] = await Promise.all([
-    findStations(planetDef.id, planetDef.name, jdStart, jdEnd, step),
-    findIngresses(planetDef.id, planetDef.name, jdStart, jdEnd, step),
-  ]);
+  // イングレスは通過回数を数えるため、期間の前後に1グループの最長の期間だけ広げて走査してから切り出す。
+  // 期間の終わりまでの通過は、その後 span 日の間に次の通過がなければグループが閉じている。
+  // 留も同じ走査で拾う
+  const span = INGRESS_PASS_SPAN_DAYS[planetDef.id] ?? DEFAULT_INGRESS_PASS_SPAN_DAYS;
+  const scan = await scanPlanetChanges(planetDef.id, planetDef.name, jdStart - span, jdEnd + span, step);
+  const stations = (await resolveStations(
+    planetDef.id, planetDef.name, scan.stations.filter(b => b.jdHigh > jdStart && b.jdLow < jdEnd)
+  )).filter(st => st.julday >= jdStart && st.julday < jdEnd);
+  const allIngresses = await resolveIngresses(planetDef.id, planetDef.name, scan.ingresses);
+  const ingresses = annotateIngressPasses(allIngresses, jdEnd)
+    .filter(ing => ing.julday >= jdStart && ing.julday < jdEnd);
 
   return { stations, ingresses };
 }
@@ -226,5 +343,6 @@ module.exports = {
   getPlanetStatus,
   findStations,
   findIngresses,
+  annotateIngressPasses,
   findPlanetEvents,
 };
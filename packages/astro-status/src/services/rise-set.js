@@ -0,0 +1,204 @@
+/**
+ * 出没・南中・薄明の計算モジュール
+ *
+ * Swiss Ephemeris の swe_rise_trans で、指定地点での天体の出・入り・南中と、
+ * 太陽が地平線下 6°・12°・18° になる市民・航海・天文薄明の始まり/終わりを求める。
+ * 出・入りは大気差込みで天体の上端が地平線に接する時刻（暦の日の出・日の入りと同じ定義）。
+ * 日付は地点のタイムゾーンでの暦日とし、その日の0時〜翌日0時に起こるものを返す。
+ */
+
+const { PLANET_DEFS, SE_PLANET_ID, MODERN_PLANETS } = require('../constants/planets');
+const { swe, localToJulday, juldayToUtc, calcRiseTrans, calcHorizontal } = require('./ephemeris');
+const { zonedTimeToUtcMs } = require('../utils/timezone');
+
+// 出没の種類 → swe_rise_trans の rsmi
+const RISE_SET_EVENTS = Object.freeze({
+  rise: swe.SE_CALC_RISE,
+  set: swe.SE_CALC_SET,
+  transit: swe.SE_CALC_MTRANSIT,
+});
+
+// 薄明の種類 → 太陽の出没に OR するビット（明け方の始まりは rise、夕方の終わりは set）
+const TWILIGHT_BITS = Object.freeze({
+  civil: swe.SE_BIT_CIVIL_TWILIGHT,
+  nautical: swe.SE_BIT_NAUTIC_TWILIGHT,
+  astronomical: swe.SE_BIT_ASTRO_TWILIGHT,
+});
+
+const TWILIGHT_KINDS = Object.freeze(Object.keys(TWILIGHT_BITS));
+
+const SUN_DEF = PLANET_DEFS.find(p => p.id === SE_PLANET_ID.SUN);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+async function toTime(julday) {
+  return julday === null ? null : { julday, utc: await juldayToUtc(julday) };
+}
+
+/**
+ * 指定時刻以降で最初の出・入り・南中
+ *
+ * @param {Object} planetDef - 天体定義 { id }
+ * @param {number} julday - 探索開始ユリウス日
+ * @param {'rise'|'set'|'transit'} event
+ * @param {{ lat: number, lon: number, height?: number }} location
+ * @param {string} [twilight] - 太陽のみ。'civil' | 'nautical' | 'astronomical'（rise は薄明の始まり、set は終わり）
+ * @returns {Promise<number|null>} ユリウス日。白夜・極夜・周極で起こらない場合は null
+ */
+function findRiseSet(planetDef, julday, event, location, twilight) {
+  if (!(event in RISE_SET_EVENTS)) throw new Error(`Unknown rise/set event: ${event}`);
+  let rsmi = RISE_SET_EVENTS[event];
+  if (twilight !== undefined) {
+    if (!(twilight in TWILIGHT_BITS)) throw new Error(`Unknown twilight: ${twilight}`);
+    if (planetDef.id !== SE_PLANET_ID.SUN) throw new Error('Twilight is defined only for the Sun');
+    if (event === 'transit') throw new Error('Twilight has no transit');
+    rsmi |= TWILIGHT_BITS[twilight];
+  }
+  return calcRiseTrans(julday, planetDef.id, rsmi, location);
+}
+
+// 地点のタイムゾーンでの暦日の 0時〜翌日0時（ユリウス日）
+async function getDayRange(date, timeZone) {
+  const midnightMs = zonedTimeToUtcMs({ year: date.year, month: date.month, day: date.day, hour: 0 }, timeZone);
+  const nextMidnightMs = zonedTimeToUtcMs({ year: date.year, month: date.month, day: date.day + 1, hour: 0 }, timeZone);
+  const d = new Date(midnightMs);
+  const jdStart = await localToJulday(
+    d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), 0, 0
+  );
+  return { jdStart, jdEnd: jdStart + (nextMidnightMs - midnightMs) / MS_PER_DAY };
+}
+
+// 期間内に起こる最初の出没（期間外・起こらない場合は null）
+async function findRiseSetWithin(planetDef, jdStart, jdEnd, event, location, twilight) {
+  const julday = await findRiseSet(planetDef, jdStart, event, location, twilight);
+  return julday !== null && julday < jdEnd ? julday : null;
+}
+
+/**
+ * 指定の暦日の出・入り・南中（各天体）と薄明
+ *
+ * @param {{ year: number, month: number, day: number }} date - 地点のタイムゾーンでの日付
+ * @param {{ lat: number, lon: number, height?: number }} location
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @param {Array<Object>} [planetDefs=MODERN_PLANETS]
+ * @returns {Promise<Object>} { bodies, twilight }
+ *   bodies: { planet, planetKey, rise, set, transit }
+ *   twilight: { civil|nautical|astronomical: { dawn, dusk } }
+ *   時刻はすべて { julday, utc }。その日に起こらないものは null
+ */
+async function getRiseSetTimes(date, location, timeZone, planetDefs = MODERN_PLANETS) {
+  const { jdStart, jdEnd } = await getDayRange(date, timeZone);
+
+  const bodies = [];
+  for (const def of planetDefs) {
+    bodies.push({
+      planet: def.name,
+      planetKey: def.key,
+      rise: await toTime(await findRiseSetWithin(def, jdStart, jdEnd, 'rise', location)),
+      set: await toTime(await findRiseSetWithin(def, jdStart, jdEnd, 'set', location)),
+      transit: await toTime(await findRiseSetWithin(def, jdStart, jdEnd, 'transit', location)),
+    });
+  }
+
+  const twilight = {};
+  for (const kind of TWILIGHT_KINDS) {
+    twilight[kind] = {
+      dawn: await toTime(await findRiseSetWithin(SUN_DEF, jdStart, jdEnd, 'rise', location, kind)),
+      dusk: await toTime(await findRiseSetWithin(SUN_DEF, jdStart, jdEnd, 'set', location, kind)),
+    };
+  }
+
+  return { bodies, twilight };
+}
+
+/**
+ * 天体が夜の間（start〜end）に地平線上にある時間帯
+ * @returns {Promise<{ from: number, until: number }|null>} ユリウス日。昇らない場合は null
+ */
+async function findVisibleWindow(planetDef, jdStart, jdEnd, location) {
+  const { altitude } = await calcHorizontal(jdStart, planetDef.id, location);
+  let from = null;
+  if (altitude > 0) {
+    from = jdStart;
+  } else {
+    const rise = await findRiseSet(planetDef, jdStart, 'rise', location);
+    if (rise !== null && rise < jdEnd) from = rise;
+  }
+  if (from === null) return null;
+
+  // 周極（沈まない）場合は夜明けまで見える
+  const set = await findRiseSet(planetDef, from, 'set', location);
+  return { from, until: set === null ? jdEnd : Math.min(set, jdEnd) };
+}
+
+/**
+ * 指定の暦日の夜（日の入りから翌朝の日の出まで）の空
+ *
+ * 夜は市民薄明の終わり〜翌朝の市民薄明の始まりとする（白夜で市民薄明が続く日は日の入り〜日の出）。
+ *
+ * @param {{ year: number, month: number, day: number }} date - 地点のタイムゾーンでの日付
+ * @param {{ lat: number, lon: number, height?: number }} location
+ * @param {string} timeZone
+ * @param {Array<Object>} [planetDefs] - 太陽以外の天体（デフォルトは月〜冥王星）
+ * @returns {Promise<Object|null>} { sunset, sunrise, dusk, dawn, darkness, bodies }
+ *   白夜・極夜でその日に日の入り・翌朝の日の出がなければ null
+ *   sunset / sunrise: その日の日の入り・翌朝の日の出
+ *   dusk / dawn: { civil, nautical, astronomical } その日の夕方の薄明の終わり・翌朝の薄明の始まり（ない場合は null）
+ *   darkness: { from, until } 夜として扱った時間帯
+ *   bodies: { planet, planetKey, visible, from, until } 夜の間に地平線上にある時間帯
+ *   時刻はすべて { julday, utc }
+ */
+async function getNightSky(date, location, timeZone, planetDefs = MODERN_PLANETS.filter(p => p.id !== SE_PLANET_ID.SUN)) {
+  const { jdStart, jdEnd } = await getDayRange(date, timeZone);
+  const sunset = await findRiseSetWithin(SUN_DEF, jdStart, jdEnd, 'set', location);
+  const sunrise = sunset && await findRiseSet(SUN_DEF, sunset, 'rise', location);
+  if (!sunrise || sunrise - sunset > 1) return null;
+
+  const dusk = {};
+  const dawn = {};
+  for (const kind of TWILIGHT_KINDS) {
+    const end = await findRiseSet(SUN_DEF, sunset, 'set', location, kind);
+    const start = end && await findRiseSet(SUN_DEF, end, 'rise', location, kind);
+    // 薄明が夜通し続く（太陽がその深さまで沈まない）日は、翌日以降の時刻が返ってくる
+    const reached = end !== null && start !== null && start <= sunrise;
+    dusk[kind] = reached ? end : null;
+    dawn[kind] = reached ? start : null;
+  }
+
+  const darkFrom = dusk.civil ?? sunset;
+  const darkUntil = dawn.civil ?? sunrise;
+
+  const bodies = [];
+  for (const def of planetDefs) {
+    const window = await findVisibleWindow(def, darkFrom, darkUntil, location);
+    bodies.push({
+      planet: def.name,
+      planetKey: def.key,
+      visible: window !== null,
+      from: await toTime(window ? window.from : null),
+      until: await toTime(window ? window.until : null),
+    });
+  }
+
+  const mapTimes = async (times) => {
+    const result = {};
+    for (const kind of TWILIGHT_KINDS) result[kind] = await toTime(times[kind]);
+    return result;
+  };
+
+  return {
+    sunset: await toTime(sunset),
+    sunrise: await toTime(sunrise),
+    dusk: await mapTimes(dusk),
+    dawn: await mapTimes(dawn),
+    darkness: { from: await toTime(darkFrom), until: await toTime(darkUntil) },
+    bodies,
+  };
+}
+
+module.exports = {
+  TWILIGHT_KINDS,
+  findRiseSet,
+  getRiseSetTimes,
+  getNightSky,
+};
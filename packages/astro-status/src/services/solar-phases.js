@@ -0,0 +1,165 @@
+/**
+ * 太陽との位置関係（カジミ・コンバスト・アンダー・ザ・ビームズ）の変化検出モジュール
+ *
+ * 天体と太陽の距離が astro-core の SOLAR_PHASE_ORBS のオーブを横切る時刻を求める。
+ * findStations と同じく、一定ステップで走査して状態が変わった区間を二分探索する。
+ * カジミ（17分以内）はステップの間に入って出てしまうことがあるため、
+ * 区間内で太陽と合になる場合は合の時刻で区間を分けてから調べる。
+ */
+
+const { SOLAR_PHASE_ORBS, getSolarPhase } = require('@astroquery/astro-core');
+const { SE_PLANET_ID } = require('../constants/planets');
+const { calcPlanet, calcPlanetForScan, juldayToUtc } = require('./ephemeris');
+const { getSignName } = require('./retrograde');
+
+// 距離が小さい順（内側の状態から）
+const PHASE_ORBS = [
+  { phase: 'cazimi', orb: SOLAR_PHASE_ORBS.cazimi },
+  { phase: 'combust', orb: SOLAR_PHASE_ORBS.combust },
+  { phase: 'underBeams', orb: SOLAR_PHASE_ORBS.underBeams },
+];
+
+// 太陽との合を探すのは、離角がこの範囲で符号を変えたときだけ（衝での符号の反転を除く）
+const CONJUNCTION_SEARCH_DEG = 90;
+
+/**
+ * 角度を -180 < x <= 180 に正規化
+ */
+function normalizeSigned(angle) {
+  let a = ((angle % 360) + 360) % 360;
+  if (a > 180) a -= 360;
+  return a;
+}
+
+/**
+ * 天体から見た太陽の離角（-180〜180、正なら天体が太陽より先の黄経）
+ * @param {Function} [calc=calcPlanet] - 走査では calcPlanetForScan
+ */
+async function getSunElongation(julday, planetDef, calc = calcPlanet) {
+  const [pos, sun] = await Promise.all([
+    calc(julday, planetDef.id, planetDef.name),
+    calc(julday, SE_PLANET_ID.SUN, '太陽'),
+  ]);
+  return { pos, elongation: normalizeSigned(pos.longitude - sun.longitude) };
+}
+
+/**
+ * 離角の符号が変わる時刻（太陽との合）を二分探索で求める
+ */
+async function bisectConjunction(planetDef, jdLow, jdHigh, elongLow, iterations = 30) {
+  for (let i = 0; i < iterations; i++) {
+    const jdMid = (jdLow + jdHigh) / 2;
+    const { elongation } = await getSunElongation(jdMid, planetDef);
+    if (Math.sign(elongation) === Math.sign(elongLow)) {
+      jdLow = jdMid;
+      elongLow = elongation;
+    } else {
+      jdHigh = jdMid;
+    }
+  }
+  return (jdLow + jdHigh) / 2;
+}
+
+/**
+ * 太陽との距離がオーブちょうどになる時刻を二分探索で求める
+ */
+async function bisectOrb(planetDef, jdLow, jdHigh, distLow, orb, iterations = 30) {
+  for (let i = 0; i < iterations; i++) {
+    const jdMid = (jdLow + jdHigh) / 2;
+    const { elongation } = await getSunElongation(jdMid, planetDef);
+    const distMid = Math.abs(elongation);
+    if ((distMid <= orb) === (distLow <= orb)) {
+      jdLow = jdMid;
+      distLow = distMid;
+    } else {
+      jdHigh = jdMid;
+    }
+  }
+  return (jdLow + jdHigh) / 2;
+}
+
+/**
+ * 区間内で太陽との距離が単調に変わるとみなして、横切ったオーブごとにイベントを作る
+ */
+async function findOrbCrossings(planetDef, jdLow, jdHigh, distLow, distHigh) {
+  const approaching = distHigh < distLow;
+  const crossed = PHASE_ORBS.filter(({ orb }) => (distLow <= orb) !== (distHigh <= orb));
+  // 近づくときは外側のオーブから、離れるときは内側のオーブから横切る
+  if (approaching) crossed.reverse();
+
+  const events = [];
+  for (const { orb } of crossed) {
+    const julday = await bisectOrb(planetDef, jdLow, jdHigh, distLow, orb);
+    // オーブの内側・外側の状態を、境界の少し手前と少し先の距離から決める
+    const fromPhase = getSolarPhase(approaching ? orb + 1e-9 : orb - 1e-9, 0);
+    const toPhase = getSolarPhase(approaching ? orb - 1e-9 : orb + 1e-9, 0);
+    events.push({ julday, fromPhase, toPhase, approaching, sunDistance: orb });
+  }
+  return events;
+}
+
+/**
+ * 期間内に天体がカジミ・コンバスト・アンダー・ザ・ビームズに入る/出る時刻を検出する
+ *
+ * @param {Object} planetDef - 天体定義 { id, key, name }（太陽は対象外）
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @param {number} jdEnd - 探索終了ユリウス日
+ * @param {number} [stepDays=0.5] - 初期走査のステップ幅（日）
+ * @returns {Promise<Array<Object>>} 時系列順
+ *   { type: 'solar_phase', planet, planetKey, fromPhase, toPhase, approaching, sunDistance,
+ *     julday, utc, longitude, sign, retrograde }
+ *   fromPhase / toPhase は 'cazimi' | 'combust' | 'underBeams' | 'free'
+ */
+async function findSolarPhaseEvents(planetDef, jdStart, jdEnd, stepDays = 0.5) {
+  if (planetDef.id === SE_PLANET_ID.SUN) throw new Error('The Sun has no solar phase');
+
+  const crossings = [];
+  let prev = await getSunElongation(jdStart, planetDef, calcPlanetForScan);
+
+  for (let jd = jdStart + stepDays; jd <= jdEnd; jd += stepDays) {
+    const curr = await getSunElongation(jd, planetDef, calcPlanetForScan);
+    const jdLow = jd - stepDays;
+    const distLow = Math.abs(prev.elongation);
+    const distHigh = Math.abs(curr.elongation);
+
+    const passesSun = Math.sign(prev.elongation) !== Math.sign(curr.elongation)
+      && distLow < CONJUNCTION_SEARCH_DEG && distHigh < CONJUNCTION_SEARCH_DEG;
+
+    if (passesSun) {
+      // 合の前後で距離の増減が逆になるので、合の時刻で区間を分ける
+      const jdConj = await bisectConjunction(planetDef, jdLow, jd, prev.elongation);
+      crossings.push(
+        ...await findOrbCrossings(planetDef, jdLow, jdConj, distLow, 0),
+        ...await findOrbCrossings(planetDef, jdConj, jd, 0, distHigh)
+      );
+    } else if (getSolarPhase(distLow, 0) !== getSolarPhase(distHigh, 0)) {
+      crossings.push(...await findOrbCrossings(planetDef, jdLow, jd, distLow, distHigh));
+    }
+
+    prev = curr;
+  }
+
+  const events = [];
+  for (const crossing of crossings) {
+    const pos = await calcPlanet(crossing.julday, planetDef.id, planetDef.name);
+    events.push({
+      type: 'solar_phase',
+      planet: planetDef.name,
+      planetKey: planetDef.key,
+      fromPhase: crossing.fromPhase,
+      toPhase: crossing.toPhase,
+      approaching: crossing.approaching,
+      sunDistance: crossing.sunDistance,
+      julday: crossing.julday,
+      utc: await juldayToUtc(crossing.julday),
+      longitude: pos.longitude,
+      sign: getSignName(pos.longitude),
+      retrograde: pos.retrograde,
+    });
+  }
+  return events;
+}
+
+module.exports = {
+  findSolarPhaseEvents,
+};
@@ -0,0 +1,148 @@
+/**
+ * パーソナルトランジット検出モジュール
+ *
+ * 運行中の天体（トランジット天体）が、ネイタルチャートの天体・感受点（ASC/MC）に
+ * アスペクトを取る時刻と、ネイタルの点のすぐ近くで起こる留を求める。
+ * ネイタルの点は経度が動かない固定点として findAspectEvents にそのまま渡す。
+ */
+
+const { MAJOR_ASPECTS, getAspectsBetween } = require('@astroquery/astro-core');
+const { PLANET_DEFS } = require('../constants/planets');
+const { findAspectEvents } = require('./aspect-events');
+const { findStations, getSignName } = require('./retrograde');
+
+// 留を「ネイタルの点に効く」とみなすオーブ（度）
+// 留の前後は天体がほとんど動かないため、通常のアスペクトより狭く取る
+const STATION_ORB_DEG = 2;
+
+// ネイタルの感受点（ハウス計算の結果の angles から取る）
+const NATAL_ANGLES = [
+  { key: 'asc', name: 'ASC' },
+  { key: 'mc', name: 'MC' },
+];
+
+const PLANET_KEY_BY_NAME = Object.fromEntries(PLANET_DEFS.map(p => [p.name, p.key]));
+
+/**
+ * ホロスコープ計算の結果からネイタルの点を取り出す
+ *
+ * @param {Object} chart - astro-core の calculateHoroscope の戻り値
+ * @param {Object} [options]
+ * @param {boolean} [options.angles=true] - ASC/MC を含めるか（出生時刻が不明なら false にする）
+ * @returns {Array<{ key: string, name: string, longitude: number }>}
+ */
+function getNatalPoints(chart, { angles = true } = {}) {
+  const points = chart.planets
+    .filter(p => PLANET_KEY_BY_NAME[p.name])
+    .map(p => ({ key: PLANET_KEY_BY_NAME[p.name], name: p.name, longitude: p.longitude }));
+
+  if (angles && chart.houses?.angles) {
+    for (const angle of NATAL_ANGLES) {
+      const longitude = chart.houses.angles[angle.key];
+      if (Number.isFinite(longitude)) {
+        points.push({ key: angle.key, name: angle.name, longitude });
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * 期間内のトランジット（トランジット天体 → ネイタルの点のアスペクト成立時刻）
+ *
+ * @param {Array<Object>} natalPoints - getNatalPoints の戻り値
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @param {number} jdEnd - 探索終了ユリウス日
+ * @param {Array<Object>} transitDefs - トランジット天体の定義
+ * @param {string[]} [aspects=MAJOR_ASPECTS]
+ * @returns {Promise<Array<Object>>} 時系列順
+ *   { type: 'transit', aspect, angle, planet, planetKey, natalPoint, natalKey, julday, utc,
+ *     longitude, sign, retrograde, natalLongitude, natalSign, pass, passCount }
+ */
+async function findTransits(natalPoints, jdStart, jdEnd, transitDefs, aspects = MAJOR_ASPECTS) {
+  const pairs = transitDefs.flatMap(def => natalPoints.map(point => [def, point]));
+  const events = await findAspectEvents(jdStart, jdEnd, pairs, aspects);
+  const natalKeyByName = Object.fromEntries(natalPoints.map(p => [p.name, p.key]));
+
+  return events.map(ev => ({
+    type: 'transit',
+    aspect: ev.aspect,
+    angle: ev.angle,
+    planet: ev.planetA,
+    planetKey: PLANET_KEY_BY_NAME[ev.planetA],
+    natalPoint: ev.planetB,
+    natalKey: natalKeyByName[ev.planetB],
+    julday: ev.julday,
+    utc: ev.utc,
+    longitude: ev.longitudeA,
+    sign: ev.signA,
+    retrograde: ev.retrogradeA,
+    natalLongitude: ev.longitudeB,
+    natalSign: ev.signB,
+    pass: ev.pass,
+    passCount: ev.passCount,
+  }));
+}
+
+/**
+ * 期間内の留のうち、ネイタルの点とオーブ内のアスペクトを取るもの
+ *
+ * @param {Array<Object>} natalPoints - getNatalPoints の戻り値
+ * @param {number} jdStart - 探索開始ユリウス日
+ * @param {number} jdEnd - 探索終了ユリウス日
+ * @param {Array<Object>} stationDefs - 留を調べる天体の定義（太陽・月は留がないので含めない）
+ * @param {Object} [options]
+ * @param {number} [options.orb=STATION_ORB_DEG]
+ * @param {string[]} [options.aspects=MAJOR_ASPECTS]
+ * @returns {Promise<Array<Object>>} 時系列順
+ *   { type: 'station', stationType, aspect, angle, orb, planet, planetKey, natalPoint, natalKey,
+ *     julday, utc, longitude, sign, natalLongitude, natalSign }
+ */
+async function findStationContacts(natalPoints, jdStart, jdEnd, stationDefs, options = {}) {
+  const orb = options.orb ?? STATION_ORB_DEG;
+  const aspects = options.aspects ?? MAJOR_ASPECTS;
+  const orbs = { mode: 'aspect', aspects: Object.fromEntries(aspects.map(a => [a, orb])) };
+  const contacts = [];
+
+  for (const def of stationDefs) {
+    const stations = await findStations(def.id, def.name, jdStart, jdEnd);
+
+    for (const station of stations) {
+      for (const point of natalPoints) {
+        const hits = getAspectsBetween(
+          { name: def.name, longitude: station.longitude },
+          { name: point.name, longitude: point.longitude },
+          { aspects, orbs }
+        );
+        for (const hit of hits) {
+          contacts.push({
+            type: 'station',
+            stationType: station.type,
+            aspect: hit.type,
+            angle: hit.angle,
+            orb: hit.orb,
+            planet: def.name,
+            planetKey: def.key,
+            natalPoint: point.name,
+            natalKey: point.key,
+            julday: station.julday,
+            utc: station.utc,
+            longitude: station.longitude,
+            sign: station.sign,
+            natalLongitude: point.longitude,
+            natalSign: getSignName(point.longitude),
+          });
+        }
+      }
+    }
+  }
+
+  return contacts.sort((a, b) => a.julday - b.julday);
+}
+
+module.exports = {
+  STATION_ORB_DEG,
+  getNatalPoints,
+  findTransits,
+  findStationContacts,
+};
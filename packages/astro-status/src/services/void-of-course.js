@@ -1,27 +1,181 @@
 /**
  * ボイドオブコース計算モジュール（astroStatus用）
  *
- * 既存の aspect.js の getVoidOfCourseStatus をベースに、
+ * 既存の aspect.js の getVoidOfCourseStatus（サインを出るまでにメジャーアスペクトが完成しない）を
+ * 定義の1つ（modern）として、流派ごとのボイドの定義を選べるようにし、
  * 外惑星対応と、ボイドタイムの開始・終了時刻の算出を行う。
  *
  * aspect.js はastroQuery側でも使われるため、そちらは変更せず
  * こちらで拡張版を提供する。
  */
 
-const { calcPlanets, juldayToUtc } = require('./ephemeris');
-const { getVoidOfCourseStatus } = require('@astroquery/astro-core');
-const { MODERN_PLANETS, VOID_ASPECT_TARGETS_MODERN } = require('../constants/planets');
+const { calcPlanet, calcPlanets, juldayToUtc } = require('./ephemeris');
+const { ASPECT_DEFS, MAJOR_ASPECTS, resolveOrb } = require('@astroquery/astro-core');
+const {
+  MODERN_PLANETS,
+  VOID_ASPECT_TARGETS_TRADITIONAL,
+  VOID_ASPECT_TARGETS_MODERN,
+} = require('../constants/planets');
 const { getSignName } = require('./retrograde');
 
+// ── ボイドの定義 ──
+//
+// window: ボイドかを見る範囲
+//   'sign'   - 月が今のサインを出るまで
+//   'course' - 月がこの先 COURSE_DEGREES 進むまで（サインの区切りは見ない。ヘレニズムの「コース」）
+// orbs: アスペクトの成立をどこで見るか
+//   null     - パーフェクト（イグザクト）
+//   'lilly'  - 月と天体のモイエティの和のオーブに入ったら（astro-core の ORB_PRESETS の名前）
+// endsAt: ボイドの終わり（window が 'sign' のときだけ）
+//   'ingress' - 月が次のサインに入ったら
+//   'aspect'  - 次のサインで最初のアスペクトがパーフェクトになったら
+// targets: アスペクトを見る天体（getVoidStatus などで aspectTargets を渡せば差し替えられる）
+// label / description: 表示名と説明
+
+const COURSE_DEGREES = 30;
+
+const VOID_DEFINITIONS = Object.freeze({
+  modern: Object.freeze({
+    label: 'モダン',
+    description: 'サインを出るまでにメジャーアスペクトが完成しない。次のサインに入ったら終わり',
+    window: 'sign',
+    orbs: null,
+    endsAt: 'ingress',
+    targets: VOID_ASPECT_TARGETS_MODERN,
+  }),
+  firstAspect: Object.freeze({
+    label: 'モダン（最初のアスペクトまで）',
+    description: 'サインを出るまでにメジャーアスペクトが完成しない。次のサインで最初のアスペクトが完成したら終わり',
+    window: 'sign',
+    orbs: null,
+    endsAt: 'aspect',
+    targets: VOID_ASPECT_TARGETS_MODERN,
+  }),
+  lilly: Object.freeze({
+    label: 'リリー',
+    description: 'サインを出るまでにどの天体ともモイエティの和のオーブに入らない。次のサインに入ったら終わり',
+    window: 'sign',
+    orbs: 'lilly',
+    endsAt: 'ingress',
+    targets: VOID_ASPECT_TARGETS_TRADITIONAL,
+  }),
+  hellenistic: Object.freeze({
+    label: 'ヘレニズム',
+    description: 'サインによらず、月がこの先30°進む間にアスペクトが完成しない',
+    window: 'course',
+    orbs: null,
+    endsAt: null,
+    targets: VOID_ASPECT_TARGETS_TRADITIONAL,
+  }),
+});
+
+// 従来どおりのデフォルト
+const DEFAULT_VOID_DEFINITION = 'modern';
+
+const resolvedDefinitions = new WeakSet();
+
+/**
+ * ボイドの定義を解決する
+ *
+ * 名前で指定するか、{ base?, window?, orbs?, endsAt?, targets? } で一部だけ差し替える。
+ *
+ * @param {string|Object} [definition] - VOID_DEFINITIONS の名前、またはカスタムの定義
+ * @returns {{ name: string|null, label: string|null, window: string, orbs: string|null, endsAt: string|null, targets: Array }}
+ *   name / label はカスタムの場合 null
+ * @throws {Error} 未知の定義・範囲・終わり方、window と endsAt の組み合わせが不正
+ */
+function resolveVoidDefinition(definition) {
+  if (definition === undefined || definition === null) definition = DEFAULT_VOID_DEFINITION;
+  if (resolvedDefinitions.has(definition)) return definition;
+
+  const isNamed = typeof definition === 'string';
+  const baseName = isNamed ? definition : (definition.base ?? DEFAULT_VOID_DEFINITION);
+  const base = VOID_DEFINITIONS[baseName];
+  if (!base) {
+    throw new Error(`Unknown void definition: ${baseName} (expected one of: ${Object.keys(VOID_DEFINITIONS).join(', ')})`);
+  }
+  const custom = isNamed ? {} : definition;
+
+  const window = custom.window ?? base.window;
+  if (window !== 'sign' && window !== 'course') throw new Error(`Unknown void window: ${window}`);
+  const endsAt = window === 'course' ? null : (custom.endsAt ?? base.endsAt ?? 'ingress');
+  if (window === 'sign' && endsAt !== 'ingress' && endsAt !== 'aspect') {
+    throw new Error(`Unknown void end: ${endsAt}`);
+  }
+  if (window === 'course' && custom.endsAt) {
+    throw new Error('endsAt applies only to the sign window');
+  }
+  const orbs = custom.orbs !== undefined ? custom.orbs : base.orbs;
+  // 未知のオーブ設定はここで弾く
+  if (orbs !== null) resolveOrb(MAJOR_ASPECTS[0], '月', '太陽', orbs);
+
+  const resolved = Object.freeze({
+    name: isNamed ? definition : null,
+    label: isNamed ? base.label : null,
+    window,
+    orbs,
+    endsAt,
+    targets: custom.targets ?? base.targets,
+  });
+  resolvedDefinitions.add(resolved);
+  return resolved;
+}
+
+// ── 月のアスペクト ──
+
+// メジャーアスペクトの月から見た離角（月 - 天体、0〜360）。セクスタイル等は両側
+const ASPECT_SEPARATIONS = MAJOR_ASPECTS.flatMap((type) => {
+  const { angle } = ASPECT_DEFS[type];
+  return angle === 0 || angle === 180
+    ? [{ type, separation: angle }]
+    : [{ type, separation: angle }, { type, separation: 360 - angle }];
+});
+
+/**
+ * 月と各天体のメジャーアスペクトの前後（現在の速度のまま動くとした線形推定）
+ *
+ * @returns {Array<Object>} { planet, type, nextExactDays, lastExactDays, nextOrbDays }
+ *   nextExactDays: 次にパーフェクトになるまでの日数
+ *   lastExactDays: 前にパーフェクトになってからの日数
+ *   nextOrbDays: オーブに入るまでの日数（すでにオーブ内でアプライ中なら 0。orbs が null ならパーフェクトまで）
+ */
+function getMoonAspectTimings(moon, planets, orbs) {
+  const timings = [];
+  for (const planet of planets) {
+    const relativeSpeed = moon.speed - planet.speed;
+    if (relativeSpeed <= 0) continue;
+    const current = ((moon.longitude - planet.longitude) % 360 + 360) % 360;
+
+    for (const { type, separation } of ASPECT_SEPARATIONS) {
+      const ahead = ((separation - current) % 360 + 360) % 360;
+      const behind = (360 - ahead) % 360;
+      const orb = orbs === null ? 0 : resolveOrb(type, '月', planet.name, orbs);
+      timings.push({
+        planet: planet.name,
+        type,
+        nextExactDays: ahead / relativeSpeed,
+        lastExactDays: behind / relativeSpeed,
+        nextOrbDays: Math.max(0, ahead - orb) / relativeSpeed,
+      });
+    }
+  }
+  return timings;
+}
+
+// ── ボイド判定 ──
+
 /**
- * 現在のボイドステータスを取得（モダン版・外惑星込み）
+ * 現在のボイドステータスを取得（外惑星込み）
  *
  * @param {number} julday - ユリウス日
- * @param {Array} [aspectTargets] - ボイド判定に使う天体セット（省略時はモダンプリセット）
+ * @param {Array} [aspectTargets] - ボイド判定に使う天体セット（省略時は定義のもの）
+ * @param {string|Object} [definition='modern'] - ボイドの定義（VOID_DEFINITIONS の名前またはカスタム）
  * @returns {Promise<Object>} ボイドステータス
+ *   voidEndsAtJd / voidEndsAtUtc はボイド中のときの終了見込み（速度一定とした推定）
  */
-async function getVoidStatus(julday, aspectTargets) {
-  const targets = aspectTargets || VOID_ASPECT_TARGETS_MODERN;
+async function getVoidStatus(julday, aspectTargets, definition) {
+  const def = resolveVoidDefinition(definition);
+  const targets = aspectTargets || def.targets;
 
   // 月 + 判定対象天体をまとめて計算
   const moonDef = MODERN_PLANETS.find(p => p.name === '月');
@@ -31,176 +185,321 @@ async function getVoidStatus(julday, aspectTargets) {
   const moon = positions.find(p => p.name === '月');
   const otherPlanets = positions.filter(p => p.name !== '月');
 
-  // 既存のボイド判定ロジックを利用
-  const status = getVoidOfCourseStatus(moon.longitude, moon.speed, otherPlanets);
+  const signStart = Math.floor(moon.longitude / 30) * 30;
+  const daysToSignExit = (signStart + 30 - moon.longitude) / moon.speed;
+  const daysSinceIngress = (moon.longitude - signStart) / moon.speed;
+  const windowDays = def.window === 'course' ? COURSE_DEGREES / moon.speed : daysToSignExit;
+
+  const timings = getMoonAspectTimings(moon, otherPlanets, def.orbs);
+  const nextAspectDays = Math.min(...timings.map(t => t.nextOrbDays));
+  // 範囲内でアスペクトが完成しない（オーブに入らない）
+  const noAspectAhead = !(nextAspectDays <= windowDays);
+  // サインに入ってからまだアスペクトが完成していない（endsAt: 'aspect'）
+  const noAspectSinceIngress = def.endsAt === 'aspect'
+    && Math.min(...timings.map(t => t.lastExactDays)) > daysSinceIngress;
+  const isVoid = noAspectAhead || noAspectSinceIngress;
+
+  let voidEndsInDays = null;
+  if (isVoid) {
+    if (def.window === 'course') {
+      // 次のアスペクトが COURSE_DEGREES 以内に入ったら終わる
+      voidEndsInDays = nextAspectDays - windowDays;
+    } else if (def.endsAt === 'ingress') {
+      voidEndsInDays = daysToSignExit;
+    } else {
+      // 次のサイン（サインに入った後なら今のサイン）で最初にパーフェクトになるアスペクト
+      const after = noAspectAhead ? daysToSignExit : 0;
+      const nextExacts = timings.map(t => t.nextExactDays).filter(days => days > after);
+      voidEndsInDays = nextExacts.length > 0 ? Math.min(...nextExacts) : null;
+    }
+  }
 
-  // 終了時刻をUTCで算出
   let voidEndsAtJd = null;
   let voidEndsAtUtc = null;
-  if (status.isVoid && status.daysToExit !== null && Number.isFinite(status.daysToExit)) {
-    voidEndsAtJd = julday + status.daysToExit;
+  if (voidEndsInDays !== null && Number.isFinite(voidEndsInDays)) {
+    voidEndsAtJd = julday + voidEndsInDays;
     voidEndsAtUtc = await juldayToUtc(voidEndsAtJd);
   }
 
   return {
-    isVoid: status.isVoid,
+    isVoid,
+    definition: def.name,
     moonLongitude: moon.longitude,
     moonSign: getSignName(moon.longitude),
     moonSpeed: moon.speed,
-    daysToSignExit: status.daysToExit,
+    daysToSignExit,
     voidEndsAtJd,
     voidEndsAtUtc,
   };
 }
 
+// ── 月のイベント ──
+//
+// ボイドの区間は、月のサインの移動（イングレス）と、各天体とのアスペクトのパーフェクトの時刻から決まる。
+// 月は逆行せず、どの天体よりも速いので、月の経度も月と天体の離角も単調に増える。
+// そのため、これらの時刻は次の値までの差を速度で割った推定から、ニュートン法で直接求められる。
+
+const MOON_DEF = MODERN_PLANETS.find(p => p.name === '月');
+
+// 期間の前後に余分に見る日数（月が1サインを通過するのは約2.5日。ボイドの開始・終了がここに収まる）
+const VOID_SCAN_MARGIN_DAYS = 5;
+
+// ニュートン法の収束判定（日。約0.01秒）と反復の上限
+const SOLVE_TOLERANCE_DAYS = 1e-7;
+const SOLVE_MAX_ITERATIONS = 20;
+
+// 月の平均の速さ（度/日）。次のイングレスの初期推定に使う
+const MOON_MEAN_SPEED = 13.18;
+
+function normalizeSigned(angle) {
+  let a = ((angle % 360) + 360) % 360;
+  if (a > 180) a -= 360;
+  return a;
+}
+
 /**
- * 指定期間のボイドタイム一覧を検出
- *
- * 一定間隔で走査し、ボイド開始/終了の区間を特定する。
- *
- * @param {number} jdStart - 開始ユリウス日
- * @param {number} jdEnd - 終了ユリウス日
- * @param {number} stepHours - 走査間隔（時間）
- * @param {Array} [aspectTargets] - ボイド判定に使う天体セット
- * @returns {Promise<Array<Object>>} ボイド区間の配列
+ * 単調に増える角度が目標の値になる時刻をニュートン法で求める
+ * @param {number} jdGuess - 初期推定
+ * @param {number} target - 目標の角度（度）
+ * @param {(jd: number) => Promise<{ angle: number, speed: number }>} angleAt - 角度とその速さ（度/日）
+ * @returns {Promise<{ jd: number, speed: number }>}
  */
-async function findVoidPeriods(jdStart, jdEnd, stepHours = 0.5, aspectTargets) {
-  if (jdEnd <= jdStart) return [];
-
-  const stepDays = stepHours / 24;
-  if (stepDays <= 0) {
-    throw new Error('stepHours must be greater than 0');
+async function solveAngle(jdGuess, target, angleAt) {
+  let jd = jdGuess;
+  let speed = null;
+  for (let i = 0; i < SOLVE_MAX_ITERATIONS; i++) {
+    const current = await angleAt(jd);
+    speed = current.speed;
+    const step = normalizeSigned(target - current.angle) / speed;
+    jd += step;
+    if (Math.abs(step) < SOLVE_TOLERANCE_DAYS) break;
   }
+  return { jd, speed };
+}
 
-  const periods = [];
-  let currentVoid = null;
-  let prevJd = jdStart;
-  let prevStatus = await getVoidStatus(jdStart, aspectTargets);
-
-  // 期間開始時点ですでにボイド中なら、直前へ遡って実開始時刻を推定する
-  if (prevStatus.isVoid) {
-    const startInfo = await findVoidStartFromOngoing(jdStart, stepDays, aspectTargets);
-    currentVoid = {
-      startJd: startInfo.startJd,
-      startUtc: await juldayToUtc(startInfo.startJd),
-      moonSign: prevStatus.moonSign,
-      startedBeforeRangeStart: true,
-      startEstimated: !startInfo.precise,
-    };
-  }
+async function moonLongitudeAt(jd) {
+  const moon = await calcPlanet(jd, MOON_DEF.id, MOON_DEF.name);
+  return { angle: moon.longitude, speed: moon.speed };
+}
 
-  for (let jd = jdStart + stepDays; jd <= jdEnd; jd += stepDays) {
-    const currStatus = await getVoidStatus(jd, aspectTargets);
-
-    if (!prevStatus.isVoid && currStatus.isVoid && !currentVoid) {
-      // ボイド開始を検出（ステップ間の遷移時刻を二分探索で補間）
-      const startJd = await bisectVoidTransition(prevJd, jd, true, aspectTargets);
-      currentVoid = {
-        startJd,
-        startUtc: await juldayToUtc(startJd),
-        moonSign: currStatus.moonSign,
-        startedBeforeRangeStart: false,
-        startEstimated: false,
-      };
-    } else if (prevStatus.isVoid && !currStatus.isVoid && currentVoid) {
-      // ボイド終了を検出（ステップ間の遷移時刻を二分探索で補間）
-      const endJd = await bisectVoidTransition(prevJd, jd, false, aspectTargets);
-      const endUtc = await juldayToUtc(endJd);
-      const durationHours = (endJd - currentVoid.startJd) * 24;
-      periods.push({
-        type: 'void_of_course',
-        startJd: currentVoid.startJd,
-        startUtc: currentVoid.startUtc,
-        endJd,
-        endUtc,
-        durationHours,
-        moonSign: currentVoid.moonSign,
-        startedBeforeRangeStart: currentVoid.startedBeforeRangeStart,
-        startEstimated: currentVoid.startEstimated,
-      });
-      currentVoid = null;
-    }
+// 月と天体の離角（月 - 天体）
+function elongationAt(planetDef) {
+  return async (jd) => {
+    const [moon, planet] = await calcPlanets(jd, [MOON_DEF, planetDef]);
+    return { angle: moon.longitude - planet.longitude, speed: moon.speed - planet.speed };
+  };
+}
 
-    prevJd = jd;
-    prevStatus = currStatus;
-  }
+// 月がオーブに入るまでに進む角度を、getVoidStatus と同じくその時点の速さのままとして推定したもの（符号は逆）。
+// これが -COURSE_DEGREES になった時刻から、コースの定義でそのアスペクトを数え始める
+function courseAt(planetDef, orbEntrySeparation) {
+  return async (jd) => {
+    const [moon, planet] = await calcPlanets(jd, [MOON_DEF, planetDef]);
+    const ahead = normalizeSigned(orbEntrySeparation - (moon.longitude - planet.longitude));
+    return { angle: -ahead * moon.speed / (moon.speed - planet.speed), speed: moon.speed };
+  };
+}
 
-  // 期間終了時にまだボイド中の場合
-  if (currentVoid) {
-    const status = await getVoidStatus(jdEnd, aspectTargets);
-    periods.push({
-      type: 'void_of_course',
-      startJd: currentVoid.startJd,
-      startUtc: currentVoid.startUtc,
-      endJd: status.voidEndsAtJd || jdEnd,
-      endUtc: status.voidEndsAtUtc || await juldayToUtc(jdEnd),
-      durationHours: ((status.voidEndsAtJd || jdEnd) - currentVoid.startJd) * 24,
-      moonSign: currentVoid.moonSign,
-      startedBeforeRangeStart: currentVoid.startedBeforeRangeStart,
-      startEstimated: currentVoid.startEstimated,
-    });
-  }
+/**
+ * 月が各サインにいる期間
+ * @returns {Promise<Array<Object>>} { startJd, endJd, sign }（最初と最後は jdFrom / jdTo で切れている）
+ */
+async function findMoonSignStays(jdFrom, jdTo) {
+  const start = await moonLongitudeAt(jdFrom);
+  let boundary = (Math.floor(start.angle / 30) + 1) * 30;
+  let stay = { startJd: jdFrom, sign: getSignName(start.angle) };
+  let guess = jdFrom + (boundary - start.angle) / start.speed;
 
-  return periods;
+  const stays = [];
+  for (;;) {
+    const ingress = await solveAngle(guess, boundary, moonLongitudeAt);
+    if (ingress.jd >= jdTo) break;
+    stays.push({ ...stay, endJd: ingress.jd });
+    stay = { startJd: ingress.jd, sign: getSignName(boundary % 360) };
+    boundary += 30;
+    guess = ingress.jd + 30 / MOON_MEAN_SPEED;
+  }
+  stays.push({ ...stay, endJd: jdTo });
+  return stays;
 }
 
 /**
- * 期間開始時点で進行中のボイドの開始時刻を、指定日数まで遡って探索する
- * （通常のボイド継続時間より十分長い5日を上限にする）
+ * 期間内の、月と各天体のメジャーアスペクトのパーフェクト
+ *
+ * @param {Object} def - resolveVoidDefinition の戻り値
+ * @returns {Promise<Array<Object>>} 時系列順
+ *   { planet, type, label, jd, pendingFromJd }
+ *   pendingFromJd: このアスペクトを「この先完成する」と数え始める時刻
+ *     （サインの定義ではオーブに入る時刻、コースの定義ではオーブに入るまでが COURSE_DEGREES になる時刻）
  */
-async function findVoidStartFromOngoing(jdStart, stepDays, aspectTargets, maxBacktrackDays = 5) {
-  let highJd = jdStart;
-  let lowJd = jdStart - stepDays;
-  const minJd = jdStart - maxBacktrackDays;
-
-  while (lowJd >= minJd) {
-    const lowStatus = await getVoidStatus(lowJd, aspectTargets);
-    if (!lowStatus.isVoid) {
-      const startJd = await bisectVoidTransition(lowJd, highJd, true, aspectTargets);
-      return { startJd, precise: true };
+async function findMoonPerfections(jdFrom, jdTo, targets, def) {
+  const separations = [...ASPECT_SEPARATIONS].sort((a, b) => a.separation - b.separation);
+  const perfections = [];
+
+  for (const planetDef of targets) {
+    const angleAt = elongationAt(planetDef);
+    const start = await angleAt(jdFrom);
+    const current = ((start.angle % 360) + 360) % 360;
+    let index = separations.findIndex(s => s.separation > current);
+    if (index === -1) index = 0;
+    let guess = jdFrom + (((separations[index].separation - current) % 360 + 360) % 360) / start.speed;
+
+    for (;;) {
+      const { type, separation } = separations[index];
+      const exact = await solveAngle(guess, separation, angleAt);
+      if (exact.jd > jdTo) break;
+
+      const orb = def.orbs === null ? 0 : resolveOrb(type, '月', planetDef.name, def.orbs);
+      const orbEntryJd = orb === 0
+        ? exact.jd
+        : (await solveAngle(exact.jd - orb / exact.speed, separation - orb, angleAt)).jd;
+      const pendingFromJd = def.window === 'course'
+        ? (await solveAngle(orbEntryJd - COURSE_DEGREES / MOON_MEAN_SPEED, -COURSE_DEGREES, courseAt(planetDef, separation - orb))).jd
+        : orbEntryJd;
+
+      perfections.push({
+        planet: planetDef.name,
+        type,
+        label: ASPECT_DEFS[type].label,
+        jd: exact.jd,
+        pendingFromJd,
+      });
+
+      index = (index + 1) % separations.length;
+      const ahead = ((separations[index].separation - separation) % 360 + 360) % 360;
+      guess = exact.jd + ahead / exact.speed;
     }
-    highJd = lowJd;
-    lowJd -= stepDays;
   }
 
-  return { startJd: jdStart, precise: false };
+  return perfections.sort((a, b) => a.jd - b.jd);
 }
 
+// ── ボイドの区間 ──
+
 /**
- * ボイド状態の遷移境界を二分探索で求める
- * @param {number} jdNonVoid - 非ボイド側の時刻
- * @param {number} jdVoid - ボイド側の時刻
- * @param {boolean} nonVoidToVoid - true: 非ボイド→ボイド, false: ボイド→非ボイド
+ * 月のイベントからボイドの区間を組み立てる（getVoidStatus の判定と同じ条件）
+ *
+ * サインの定義: アスペクトはパーフェクトの時刻まで、pendingFromJd が今いるサインを出る前なら「この先完成する」。
+ *   そういうアスペクトがなくなった時刻（最後のパーフェクト）からサインを出るまでがボイド。
+ *   endsAt: 'aspect' なら、サインに入ってから最初のパーフェクトまでもボイド。
+ * コースの定義: pendingFromJd〜パーフェクトの間はボイドではなく、そのどれにも入らない時間がボイド。
+ *
+ * @returns {Array<[number, number]>} 時系列順の [開始, 終了]（隣り合うものはつなげてある）
  */
-async function bisectVoidTransition(jdA, jdB, nonVoidToVoid, aspectTargets, iterations = 25) {
-  let low = jdA;
-  let high = jdB;
-
-  for (let i = 0; i < iterations; i++) {
-    const mid = (low + high) / 2;
-    const midStatus = await getVoidStatus(mid, aspectTargets);
-
-    if (nonVoidToVoid) {
-      // low: 非ボイド, high: ボイド
-      if (midStatus.isVoid) {
-        high = mid;
-      } else {
-        low = mid;
+function buildVoidIntervals(def, stays, perfections) {
+  const intervals = [];
+
+  if (def.window === 'course') {
+    let cursor = stays[0].startJd;
+    const pending = [...perfections].sort((a, b) => a.pendingFromJd - b.pendingFromJd);
+    for (const p of pending) {
+      if (p.pendingFromJd > cursor) intervals.push([cursor, p.pendingFromJd]);
+      cursor = Math.max(cursor, p.jd);
+    }
+    const scanEnd = stays[stays.length - 1].endJd;
+    if (cursor < scanEnd) intervals.push([cursor, scanEnd]);
+  } else {
+    for (const stay of stays) {
+      let lastExact = -Infinity;
+      for (const p of perfections) {
+        if (p.pendingFromJd <= stay.endJd && p.jd > lastExact) lastExact = p.jd;
       }
-    } else {
-      // low: ボイド, high: 非ボイド
-      if (midStatus.isVoid) {
-        low = mid;
-      } else {
-        high = mid;
+      if (lastExact < stay.endJd) intervals.push([Math.max(stay.startJd, lastExact), stay.endJd]);
+
+      if (def.endsAt === 'aspect') {
+        const first = perfections.find(p => p.jd >= stay.startJd);
+        const end = first ? Math.min(first.jd, stay.endJd) : stay.endJd;
+        if (end > stay.startJd) intervals.push([stay.startJd, end]);
       }
     }
   }
 
-  return (low + high) / 2;
+  intervals.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  return merged;
+}
+
+async function toVoidAspect(perfection) {
+  if (!perfection) return null;
+  return {
+    planet: perfection.planet,
+    type: perfection.type,
+    label: perfection.label,
+    exactJd: perfection.jd,
+    exactUtc: await juldayToUtc(perfection.jd),
+  };
+}
+
+/**
+ * 指定期間のボイドタイム一覧を検出
+ *
+ * 期間の前後を含めて月のイングレスとアスペクトのパーフェクトを求め、そこからボイドの区間を組み立てる。
+ * 期間の開始時点で進行中のボイド・期間の終了時点で進行中のボイドも、実際の開始・終了まで含める。
+ * 各区間には、ボイドを始めた直前のアスペクト（lastAspect）と、
+ * 月が次に作るアスペクト（nextAspect。サインの定義では次のサインで最初のもの）を付ける。
+ *
+ * @param {number} jdStart - 開始ユリウス日
+ * @param {number} jdEnd - 終了ユリウス日
+ * @param {number} [stepHours] - 使わない（走査せずに解くようになった。引数の位置を保つために残している）
+ * @param {Array} [aspectTargets] - ボイド判定に使う天体セット（省略時は定義のもの）
+ * @param {string|Object} [definition='modern'] - ボイドの定義
+ * @returns {Promise<Array<Object>>} ボイド区間の配列
+ *   { type, startJd, startUtc, endJd, endUtc, durationHours, moonSign,
+ *     startedBeforeRangeStart, startEstimated, lastAspect, nextAspect }
+ *   startEstimated: 期間の VOID_SCAN_MARGIN_DAYS 日前にもまだボイドで、開始が分からない（startJd は期間の開始）
+ *   lastAspect / nextAspect: { planet, type, label, exactJd, exactUtc }
+ */
+async function findVoidPeriods(jdStart, jdEnd, stepHours, aspectTargets, definition) {
+  if (jdEnd <= jdStart) return [];
+
+  const def = resolveVoidDefinition(definition);
+  const targets = aspectTargets || def.targets;
+
+  const scanStart = jdStart - VOID_SCAN_MARGIN_DAYS;
+  const scanEnd = jdEnd + VOID_SCAN_MARGIN_DAYS;
+  const stays = await findMoonSignStays(scanStart, scanEnd);
+  // 区間の最後のほうのサインでも、オーブ・コースの分だけ先のパーフェクトが要る
+  const perfections = await findMoonPerfections(scanStart, scanEnd + VOID_SCAN_MARGIN_DAYS, targets, def);
+
+  const periods = [];
+  for (const [start, endJd] of buildVoidIntervals(def, stays, perfections)) {
+    if (endJd <= jdStart || start > jdEnd) continue;
+
+    const startEstimated = start <= scanStart;
+    const startJd = startEstimated ? jdStart : start;
+    const stay = stays.find(s => start < s.endJd);
+    const lastIndex = perfections.findLastIndex(p => p.jd <= start);
+
+    periods.push({
+      type: 'void_of_course',
+      startJd,
+      startUtc: await juldayToUtc(startJd),
+      endJd,
+      endUtc: await juldayToUtc(endJd),
+      durationHours: (endJd - startJd) * 24,
+      moonSign: stay.sign,
+      startedBeforeRangeStart: start < jdStart,
+      startEstimated,
+      lastAspect: await toVoidAspect(perfections[lastIndex]),
+      nextAspect: await toVoidAspect(perfections[lastIndex + 1]),
+    });
+  }
+
+  return periods;
 }
 
 module.exports = {
+  VOID_DEFINITIONS,
+  DEFAULT_VOID_DEFINITION,
+  resolveVoidDefinition,
   getVoidStatus,
   findVoidPeriods,
 };
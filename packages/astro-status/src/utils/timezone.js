@@ -0,0 +1,170 @@
+/**
+ * タイムゾーン変換モジュール
+ *
+ * IANAタイムゾーン名（'Asia/Tokyo', 'Europe/Berlin' など）でローカル時刻を扱う。
+ * Intl.DateTimeFormat を使うため、夏時間の切り替えも正しく反映される。
+ *
+ * バッチ・push通知判定から共通で利用する。
+ * フロント側は public/src/js/timezone.js に同じAPIのESM版がある。
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+
+// Intl.DateTimeFormat の生成は重いので、タイムゾーンごとに使い回す
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * IANAタイムゾーン名として有効か
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 無効な値をデフォルトタイムゾーンに置き換える
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function normalizeTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * UTCミリ秒 → 指定タイムゾーンのローカル日時
+ * @param {number} utcMs
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ */
+function getZonedParts(utcMs, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(utcMs))) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+/**
+ * 指定時刻におけるUTCからのオフセット（ミリ秒、JSTなら +9h）
+ * @param {number} utcMs
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffsetMs(utcMs, timeZone) {
+  const p = getZonedParts(utcMs, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * 指定タイムゾーンのローカル日時 → UTCミリ秒
+ *
+ * 月・日・時のはみ出し（day=0, hour=24 など）は Date.UTC と同様に繰り上げる。
+ * 夏時間の開始で存在しない時刻（02:30 など）は1時間先へずれて解釈される。
+ *
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number }} local
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function zonedTimeToUtcMs(local, timeZone) {
+  const asUtc = Date.UTC(
+    local.year, local.month - 1, local.day,
+    local.hour || 0, local.minute || 0, local.second || 0
+  );
+  // オフセットは求める時刻自身に依存するため、2回補正して収束させる
+  let utcMs = asUtc - getTimeZoneOffsetMs(asUtc, timeZone);
+  utcMs = asUtc - getTimeZoneOffsetMs(utcMs, timeZone);
+  return utcMs;
+}
+
+/**
+ * UTC文字列 → ローカル日時（不正な文字列は null）
+ * @param {string} utcString
+ * @param {string} timeZone
+ */
+function toZoned(utcString, timeZone) {
+  const ms = Date.parse(utcString);
+  if (isNaN(ms)) return null;
+  return getZonedParts(ms, timeZone);
+}
+
+/**
+ * ローカル日付キー 'YYYY-MM-DD'（重複チェック用）
+ * @param {string} utcString
+ * @param {string} timeZone
+ */
+function zonedDateKey(utcString, timeZone) {
+  const p = toZoned(utcString, timeZone);
+  if (!p) return null;
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+// 略称はロケールごとに持っている範囲が違う（ja: JST / en-GB: CEST, BST / en-US: EDT, PDT）
+const LABEL_LOCALES = ['ja-JP', 'en-GB', 'en-US'];
+
+/**
+ * タイムゾーンの略称（JST, CEST など。略称がなければ GMT+1 形式）
+ * @param {number} utcMs
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function getTimeZoneLabel(utcMs, timeZone) {
+  let label = timeZone;
+  for (const locale of LABEL_LOCALES) {
+    const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(utcMs))
+      .find((p) => p.type === 'timeZoneName');
+    if (!part) continue;
+    label = part.value;
+    if (!label.startsWith('GMT')) break;
+  }
+  return label;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  normalizeTimeZone,
+  getZonedParts,
+  getTimeZoneOffsetMs,
+  zonedTimeToUtcMs,
+  toZoned,
+  zonedDateKey,
+  getTimeZoneLabel,
+};
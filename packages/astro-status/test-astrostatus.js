@@ -22,6 +22,7 @@ const {
   // ボイド
   getVoidStatus,
 } = require('./src');
+const { calculateHoroscope, getChartAlmutens } = require('@astroquery/astro-core');
 
 async function main() {
   console.log('=== astroStatus モジュール動作確認 ===\n');
@@ -86,6 +87,28 @@ async function main() {
   }
   console.log();
 
+  // --- 5. 昼夜とパート・オブ・フォーチュン（東京の正午・深夜） ---
+  console.log('--- 5. 昼夜とパート・オブ・フォーチュン（2026年2月20日 東京） ---');
+  for (const [hour, expectedDay] of [[12, true], [0, false]]) {
+    const chart = await calculateHoroscope(2026, 2, 20, hour, 0, 0, 35.68, 139.76, 9);
+    const sun = chart.planets.find(p => p.name === '太陽').longitude;
+    const moon = chart.planets.find(p => p.name === '月').longitude;
+    const asc = chart.houses.angles.asc;
+    const expectedPof = expectedDay ? (asc + moon - sun + 360) % 360 : (asc + sun - moon + 360) % 360;
+    if (chart.isDayChart !== expectedDay) {
+      throw new Error(`${hour}:00 JST should be a ${expectedDay ? 'day' : 'night'} chart`);
+    }
+    if (Math.abs(chart.pof - expectedPof) > 1e-9) {
+      throw new Error(`${hour}:00 JST Part of Fortune uses the wrong formula`);
+    }
+    const almutens = getChartAlmutens(chart);
+    console.log(
+      `  ${String(hour).padStart(2, '0')}:00 JST: ${chart.isDayChart ? '昼' : '夜'}チャート` +
+      ` (太陽のハウス ${chart.planets[0].house}) POF ${chart.pof.toFixed(2)}° アルムーテン(POF): ${almutens.pof.winners.join('・')}`
+    );
+  }
+  console.log();
+
   console.log('=== 動作確認完了 ===');
 }
 
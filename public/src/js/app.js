@@ -1,7 +1,14 @@
 import { initLuckyEffects } from './ui_affects.js';
-import { initPushSubscription } from './push-subscribe.js';
-
-const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+import { initPushSubscription, syncNatalProfile, syncObserverLocation } from './push-subscribe.js';
+import { initTimeTravel } from './time-travel.js';
+import { initNatalProfile, loadNatalProfile, getNatalProfileKey, fetchTransits } from './natal-profile.js';
+import { initObserverLocation, loadObserverLocation } from './observer-location.js';
+import { initPlanetaryHours } from './planetary-hours.js';
+import { initNightSky } from './night-sky.js';
+import { getViewerTimeZone, getZonedParts, getTimeZoneLabel } from './timezone.js';
+
+// 表示タイムゾーン（ブラウザ設定 or localStorage の指定）
+const VIEWER_TIME_ZONE = getViewerTimeZone();
 const WEEK_JA = ['日', '月', '火', '水', '木', '金', '土'];
 const SIX_MONTHS_MS = 180 * 24 * 60 * 60 * 1000;
 
@@ -33,85 +40,62 @@ const SIGN_ICON = {
   魚座: 'pisces',
 };
 
-// ディグニティ簡易マッピング（伝統7天体 + モダンルーラー）
-// 優先度: domicile > exaltation > detriment > fall > none
-const DIGNITY_MAP = {
-  太陽: {
-    獅子座: 'domicile',
-    牡羊座: 'exaltation',
-    水瓶座: 'detriment',
-    天秤座: 'fall',
-  },
-  月: {
-    蟹座: 'domicile',
-    牡牛座: 'exaltation',
-    山羊座: 'detriment',
-    蠍座: 'fall',
-  },
-  水星: {
-    双子座: 'domicile',
-    乙女座: 'domicile',
-    射手座: 'detriment',
-    魚座: 'detriment', // detrimentとfallの両方だが、detriment優先
-  },
-  金星: {
-    牡牛座: 'domicile',
-    天秤座: 'domicile',
-    魚座: 'exaltation',
-    牡羊座: 'detriment',
-    蠍座: 'detriment',
-    乙女座: 'fall',
-  },
-  火星: {
-    牡羊座: 'domicile',
-    蠍座: 'domicile',
-    山羊座: 'exaltation',
-    天秤座: 'detriment',
-    牡牛座: 'detriment',
-    蟹座: 'fall',
-  },
-  木星: {
-    射手座: 'domicile',
-    魚座: 'domicile',
-    蟹座: 'exaltation',
-    双子座: 'detriment',
-    乙女座: 'detriment',
-    山羊座: 'fall',
-  },
-  土星: {
-    山羊座: 'domicile',
-    水瓶座: 'domicile',
-    天秤座: 'exaltation',
-    蟹座: 'detriment',
-    獅子座: 'detriment',
-    牡羊座: 'fall',
-  },
-  // モダンルーラーシップ
-  天王星: {
-    水瓶座: 'domicile',
-    獅子座: 'detriment',
-  },
-  海王星: {
-    魚座: 'domicile',
-    乙女座: 'detriment',
-  },
-  冥王星: {
-    蠍座: 'domicile',
-    牡牛座: 'detriment',
-  },
+const ASPECT_LABELS = {
+  conjunction: 'コンジャンクション',
+  sextile: 'セクスタイル',
+  square: 'スクエア',
+  trine: 'トライン',
+  opposition: 'オポジション',
+};
+
+// アスペクト一覧に出す期間・件数
+const ASPECT_LIST_DAYS = 30;
+const ASPECT_LIST_MAX = 12;
+
+// トランジット一覧に出す期間（この期間をまとめてAPIから取得する）
+const TRANSIT_LIST_DAYS = 30;
+
+// ディグニティ（current.json の planets[].dignities = astro-core の getDignities）
+// サマリーのラベルに出すもの（優先度順）
+const DIGNITY_SUMMARY_KEYS = ['domicile', 'exaltation', 'detriment', 'fall'];
+// 天王星以遠は dignities が null なので、サマリーはモダンルーラーシップで判定する
+const MODERN_RULER_DIGNITIES = {
+  天王星: { 水瓶座: 'domicile', 獅子座: 'detriment' },
+  海王星: { 魚座: 'domicile', 乙女座: 'detriment' },
+  冥王星: { 蠍座: 'domicile', 牡牛座: 'detriment' },
 };
+// 詳細の内訳に出す順
+const DIGNITY_BREAKDOWN_KEYS = ['domicile', 'exaltation', 'triplicity', 'term', 'face', 'detriment', 'fall', 'peregrine'];
 
 const DIGNITY_LABELS = {
   domicile: 'Domicile',
   exaltation: 'Exaltation',
+  triplicity: 'Triplicity',
+  term: 'Term',
+  face: 'Face',
   detriment: 'Detriment',
   fall: 'Fall',
+  peregrine: 'Peregrine',
 };
 
-function getDignity(jpPlanetName, sign) {
-  const map = DIGNITY_MAP[jpPlanetName];
-  if (!map || !sign) return 'none';
-  return map[sign] || 'none';
+function getDignity(planet) {
+  if (!planet.dignities) return MODERN_RULER_DIGNITIES[planet.name]?.[planet.sign] || 'none';
+  return DIGNITY_SUMMARY_KEYS.find((key) => planet.dignities[key]) || 'none';
+}
+
+// 太陽との位置関係（current.json の planets[].solarPhase、schedule.json の solarPhaseEvents）
+const SOLAR_PHASE_LABELS = {
+  cazimi: 'Cazimi',
+  combust: 'Combust',
+  underBeams: 'Under the Beams',
+};
+
+function formatDignityBreakdown(dignities) {
+  const labels = DIGNITY_BREAKDOWN_KEYS
+    .filter((key) => dignities[key])
+    .map((key) => DIGNITY_LABELS[key]);
+  const score = dignities.score > 0 ? `+${dignities.score}` : String(dignities.score);
+  return `${labels.join('・')} (${score})`;
 }
 
 function getUtcMs(utcString) {
@@ -120,32 +104,33 @@ function getUtcMs(utcString) {
   return Number.isNaN(ms) ? null : ms;
 }
 
-function getJstDate(utcString) {
+function getLocalDate(utcString) {
   const utcMs = getUtcMs(utcString);
   if (utcMs === null) return null;
-  return new Date(utcMs + JST_OFFSET_MS);
+  return getZonedParts(utcMs, VIEWER_TIME_ZONE);
 }
 
-function formatJst(utcString) {
-  const d = getJstDate(utcString);
+function formatLocal(utcString) {
+  const d = getLocalDate(utcString);
   if (!d) return 'none';
-  const month = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  const week = WEEK_JA[d.getUTCDay()];
-  const hour = String(d.getUTCHours()).padStart(2, '0');
-  const min = String(d.getUTCMinutes()).padStart(2, '0');
+  const month = String(d.month).padStart(2, '0');
+  const day = String(d.day).padStart(2, '0');
+  const week = WEEK_JA[d.weekday];
+  const hour = String(d.hour).padStart(2, '0');
+  const min = String(d.minute).padStart(2, '0');
   return `${month}月${day}日(${week}) ${hour}:${min}`;
 }
 
-function formatJstYmdHm(utcString) {
-  const d = getJstDate(utcString);
+function formatLocalYmdHm(utcString) {
+  const d = getLocalDate(utcString);
   if (!d) return '----/--/-- --:--';
-  const year = d.getUTCFullYear();
-  const month = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  const hour = String(d.getUTCHours()).padStart(2, '0');
-  const min = String(d.getUTCMinutes()).padStart(2, '0');
-  return `${year}-${month}-${day} ${hour}:${min} JST`;
+  const year = d.year;
+  const month = String(d.month).padStart(2, '0');
+  const day = String(d.day).padStart(2, '0');
+  const hour = String(d.hour).padStart(2, '0');
+  const min = String(d.minute).padStart(2, '0');
+  const label = getTimeZoneLabel(getUtcMs(utcString), VIEWER_TIME_ZONE);
+  return `${year}-${month}-${day} ${hour}:${min} ${label}`;
 }
 
 function formatDegree(degreeInSign) {
@@ -201,17 +186,25 @@ function findNextEventByType(events, type, fromMs) {
   return findNext(events, (event) => event.type === type, fromMs);
 }
 
+// エッセンシャル・ディグニティが弱いか
+// 伝統7天体はスコアがマイナス（デトリメント・フォール・ペレグリン。トリプリシティやタームで打ち消されていればマイナスにならない）、
+// 天王星以遠はモダンルーラーシップでのデトリメント
+function isEssentiallyWeak(planet) {
+  if (planet.dignities) return planet.dignities.score < 0;
+  return getDignity(planet) === 'detriment';
+}
+
 function pickStatus(planet, events, nowMs) {
   if (!planet) return 'notice';
 
-  // 負のファクターをカウント
+  // 負のファクターをカウント（エッセンシャル・ディグニティは弱いかどうかで1つ）
   let negatives = 0;
   if (planet.retrograde) negatives++;
-  const dignity = getDignity(planet.name, planet.sign);
-  if (dignity === 'detriment' || dignity === 'fall') negatives++;
+  if (isEssentiallyWeak(planet)) negatives++;
+  if (planet.solarPhase === 'combust') negatives++;
 
   if (negatives >= 2) return 'caution';  // 赤: 二重苦
-  if (negatives >= 1) return 'notice';   // 黄: 逆行 or 悪いディグニティ
+  if (negatives >= 1) return 'notice';   // 黄: 逆行 or 弱いディグニティ or コンバスト
 
   // 7日以内にイベントあり → 黄
   const nearest = findNext(events, () => true, nowMs);
@@ -223,15 +216,63 @@ function pickStatus(planet, events, nowMs) {
   return 'ok';
 }
 
-function updateDignityLabel(card, jpPlanetName, sign) {
+function updateDignityLabel(card, planet, sect) {
+  const { dignities } = planet;
   const dignityEl = card.querySelector('.dignity_label');
-  if (!dignityEl) return;
+  if (dignityEl) {
+    const dignity = getDignity(planet);
+    // クラスをリセットしてから新しいディグニティクラスを付与
+    dignityEl.classList.remove('domicile', 'exaltation', 'detriment', 'fall', 'none');
+    dignityEl.classList.add(dignity);
+    dignityEl.textContent = DIGNITY_LABELS[dignity] || '';
+  }
+
+  // 詳細の内訳とスコア（ディグニティ表のない天王星以遠は隠す）
+  const breakdownEl = card.querySelector('.detail_item.dignity');
+  if (!breakdownEl) return;
+  if (!dignities) {
+    breakdownEl.style.display = 'none';
+    return;
+  }
+  breakdownEl.style.display = '';
+  // 昼夜（トリプリシティ）は観測地点ではなく、バッチが判定した1地点（東京）のもの
+  const sectText = sect ? `・${sect.isDayChart ? '昼' : '夜'}（${sect.location}基準）` : '';
+  setText(breakdownEl, 'data', `${formatDignityBreakdown(dignities)}${sectText}`);
+  if (sect) {
+    breakdownEl.title = `トリプリシティの昼夜は${sect.location}で太陽が地平線上にあるかで判定（観測地点の設定によらない）`;
+  }
+}
 
-  const dignity = getDignity(jpPlanetName, sign);
-  // クラスをリセットしてから新しいディグニティクラスを付与
-  dignityEl.classList.remove('domicile', 'exaltation', 'detriment', 'fall', 'none');
-  dignityEl.classList.add(dignity);
-  dignityEl.textContent = DIGNITY_LABELS[dignity] || '';
+// 蝕の食分とバッチが求めた地点（東京）での見え方。例: 「 食分0.96・東京で部分日食」
+function formatEclipseVisibility(eclipse) {
+  if (!eclipse.local) return '';
+  const { local } = eclipse;
+  const where = local.visible
+    ? `${local.location.label}で${local.label}`
+    : `${local.location.label}では見えない`;
+  return ` 食分${eclipse.magnitude.toFixed(2)}・${where}`;
+}
+
+/**
+ * 2つ目のボイドの定義（current.json の voidDefinitions[1]）: ボイド中なら終了、そうでなければ次のボイド
+ * 古いJSON（voidDefinitions なし）では隠す
+ */
+function renderAlternateVoid(card, current, nowMs) {
+  const item = card.querySelector('.detail_item.void_alt');
+  if (!item) return;
+  const alt = current?.voidDefinitions?.[1];
+  item.hidden = !alt;
+  if (!alt) return;
+
+  setText(item, 'h4', `void（${alt.label}）`);
+  item.title = alt.description;
+  if (alt.void.isVoid) {
+    const endsAt = alt.void.endsAt ? formatLocal(alt.void.endsAt) : '終了時刻未定';
+    setText(item, 'data', `ボイド中 / 終了 ${endsAt}`);
+    return;
+  }
+  const next = findNext(alt.upcomingVoids, () => true, nowMs);
+  setText(item, 'data', next ? `${formatLocal(next.startUtc)} 〜 ${formatLocal(next.endUtc)}` : '48時間以内のボイドなし');
 }
 
 function renderMoonDetails(card, current, schedule, nowMs) {
@@ -254,13 +295,13 @@ function renderMoonDetails(card, current, schedule, nowMs) {
   setText(
     card,
     '.moon_phase data',
-    fullMoon ? `${formatJst(fullMoon.utc)} ${fullMoon.moonSign}` : 'none'
+    fullMoon ? `${formatLocal(fullMoon.utc)} ${fullMoon.moonSign}` : 'none'
   );
 
   if (current?.void?.isVoid) {
     const voidItem = card.querySelector('.detail_item.void');
     if (voidItem) voidItem.classList.add('is-void');//void中はliエレメントに装飾
-    const endsAt = current.void.endsAt ? formatJst(current.void.endsAt) : '終了時刻未定';
+    const endsAt = current.void.endsAt ? formatLocal(current.void.endsAt) : '終了時刻未定';
     setText(card, '.void data', `ボイド中 (${current.void.moonSign}) / 終了 ${endsAt}`);
   } else {
     const voidItem = card.querySelector('.detail_item.void');
@@ -268,19 +309,21 @@ function renderMoonDetails(card, current, schedule, nowMs) {
     setText(card, '.void data', 'void  is none');
   }
 
+  renderAlternateVoid(card, current, nowMs);
+
   if (eclipse) {
     setText(
       card,
       '.eclipse data',
-      `${eclipse.label} (${eclipse.eclipse.label}) ${formatJst(eclipse.utc)}`
+      `${eclipse.label} (${eclipse.eclipse.label}) ${formatLocal(eclipse.eclipse.maximum ?? eclipse.utc)}${formatEclipseVisibility(eclipse.eclipse)}`
     );
   } else {
     setText(card, '.eclipse data', 'none');
   }
 
   if (nextVoid) {
-    const start = formatJst(nextVoid.startUtc);
-    const end = formatJst(nextVoid.endUtc);
+    const start = formatLocal(nextVoid.startUtc);
+    const end = formatLocal(nextVoid.endUtc);
     const suffix = nextVoid.startedBeforeRangeStart ? ' (継続中)' : '';
     setText(card, '.nextvoid data', `${start} 〜 ${end}${suffix}`);
   } else {
@@ -296,6 +339,39 @@ function renderMoonDetails(card, current, schedule, nowMs) {
   }
 }
 
+/**
+ * 太陽との位置関係: カジミ・コンバスト・アンダー・ザ・ビームズの最中なら抜ける日時、
+ * そうでなければ次にアンダー・ザ・ビームズに入る日時
+ */
+function renderSolarPhase(card, planet, schedule, nowMs) {
+  const item = card.querySelector('.solar_phase');
+  if (!item) return;
+
+  const events = Array.isArray(schedule?.solarPhaseEvents)
+    ? schedule.solarPhaseEvents.filter((event) => event.planet === planet?.name)
+    : [];
+  const phase = planet?.solarPhase;
+  const inPhase = phase && phase !== 'free';
+  const next = inPhase
+    ? findNext(events, (event) => event.toPhase === 'free', nowMs)
+    : findNext(events, (event) => event.fromPhase === 'free', nowMs);
+
+  if (!inPhase && !next) {
+    item.style.display = 'none';
+    return;
+  }
+  item.style.display = '';
+
+  if (inPhase) {
+    setText(item, 'h4', '太陽との関係');
+    const until = next ? ` 〜 ${formatLocal(next.utc)}` : '';
+    setText(item, 'data', `${SOLAR_PHASE_LABELS[phase]}（太陽から${formatDegree(planet.sunDistance)}）${until}`);
+  } else {
+    setText(item, 'h4', '次のアンダー・ザ・ビームズ');
+    setText(item, 'data', formatLocal(next.utc));
+  }
+}
+
 function renderPlanetDetails(card, planet, events, nowMs) {
   const retroTerm = card.querySelector('.retrograde_term');
   const retroTermTitle = retroTerm?.querySelector('h4');
@@ -319,7 +395,10 @@ function renderPlanetDetails(card, planet, events, nowMs) {
       } else {
         ingressItem.style.display = '';
         if (ingressData) {
-          ingressData.textContent = `${formatJst(nextIngress.utc)} → ${nextIngress.toSign}`;
+          // 逆行をはさんで同じ境界を行き来する場合は再入であることを添える
+          const reentry = nextIngress.passKind === 'retrograde_reentry' ? '（逆行で再入）'
+            : nextIngress.passKind === 'direct_reentry' || nextIngress.passKind === 'final' ? '（再入）' : '';
+          ingressData.textContent = `${formatLocal(nextIngress.utc)} → ${nextIngress.toSign}${reentry}`;
         }
       }
     } else {
@@ -337,7 +416,7 @@ function renderPlanetDetails(card, planet, events, nowMs) {
     // 逆行中: 終了日時のみ表示
     const nextDirect = findNextEventByType(events, 'station_direct', nowMs);
     if (retroTermTitle) retroTermTitle.textContent = '逆行終了';
-    if (retroTermData) retroTermData.textContent = nextDirect ? formatJst(nextDirect.utc) : 'none';
+    if (retroTermData) retroTermData.textContent = nextDirect ? formatLocal(nextDirect.utc) : 'none';
 
     // 逆行度数: 現在の逆行期間の開始度数〜終了度数
     if (retroDeg) {
@@ -361,9 +440,9 @@ function renderPlanetDetails(card, planet, events, nowMs) {
     if (retroTermTitle) retroTermTitle.textContent = '次回の逆行予定';
     if (retroTermData) {
       if (nextRetroStart && nextRetroEnd) {
-        retroTermData.textContent = `${formatJst(nextRetroStart.utc)} 〜 ${formatJst(nextRetroEnd.utc)}`;
+        retroTermData.textContent = `${formatLocal(nextRetroStart.utc)} 〜 ${formatLocal(nextRetroEnd.utc)}`;
       } else if (nextRetroStart) {
-        retroTermData.textContent = `${formatJst(nextRetroStart.utc)} 〜`;
+        retroTermData.textContent = `${formatLocal(nextRetroStart.utc)} 〜`;
       } else {
         retroTermData.textContent = 'none';
       }
@@ -387,11 +466,150 @@ function renderPlanetDetails(card, planet, events, nowMs) {
   setStatusIcon(card, pickStatus(planet, events, nowMs));
 }
 
+function renderAspectEvents(schedule, nowMs) {
+  const list = document.querySelector('.aspect_events__list');
+  if (!list) return;
+
+  const untilMs = nowMs + ASPECT_LIST_DAYS * 24 * 60 * 60 * 1000;
+  const events = (Array.isArray(schedule?.aspectEvents) ? schedule.aspectEvents : [])
+    .filter((event) => {
+      const utcMs = getUtcMs(event.utc);
+      return utcMs !== null && utcMs >= nowMs && utcMs <= untilMs;
+    })
+    .slice(0, ASPECT_LIST_MAX);
+
+  list.replaceChildren();
+  if (events.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'detail_item';
+    item.textContent = `${ASPECT_LIST_DAYS}日以内のアスペクトはありません`;
+    list.append(item);
+    return;
+  }
+
+  events.forEach((event) => {
+    const item = document.createElement('li');
+    item.className = 'detail_item';
+
+    const title = document.createElement('h4');
+    const label = ASPECT_LABELS[event.aspect] || event.aspect;
+    const pass = event.passCount > 1 ? `（${event.pass}/${event.passCount}回目）` : '';
+    title.textContent = `${event.planetA} ${label} ${event.planetB}${pass}`;
+
+    const time = document.createElement('data');
+    time.textContent = formatLocal(event.utc);
+
+    item.append(title, time);
+    list.append(item);
+  });
+}
+
+function formatTransitTitle(event) {
+  const label = ASPECT_LABELS[event.aspect] || event.aspect;
+  if (event.type === 'station') {
+    const station = event.stationType === 'station_retrograde' ? '逆行開始' : '順行復帰';
+    return `${event.planet}${station}（ネイタル${event.natalPoint}に${label}）`;
+  }
+  const pass = event.passCount > 1 ? `（${event.pass}/${event.passCount}回目）` : '';
+  return `${event.planet} → ネイタル${event.natalPoint} ${label}${pass}`;
+}
+
+function renderTransitList(list, transits, nowMs) {
+  const events = transits.filter((event) => {
+    const utcMs = getUtcMs(event.utc);
+    return utcMs !== null && utcMs >= nowMs;
+  });
+
+  list.replaceChildren();
+  if (events.length === 0) {
+    const item = document.createElement('li');
+    item.className = 'detail_item';
+    item.textContent = `${TRANSIT_LIST_DAYS}日以内のトランジットはありません`;
+    list.append(item);
+    return;
+  }
+
+  events.forEach((event) => {
+    const item = document.createElement('li');
+    item.className = 'detail_item';
+
+    const title = document.createElement('h4');
+    title.textContent = formatTransitTitle(event);
+
+    const time = document.createElement('data');
+    time.textContent = formatLocal(event.utc);
+
+    item.append(title, time);
+    list.append(item);
+  });
+}
+
+// 出生データと取得済みのトランジット（表示時刻が取得した期間内なら再取得しない）
+let natalProfile = loadNatalProfile();
+let transitCache = null;
+
+/**
+ * 出生データがあれば「Transits」に表示時刻からのトランジットを並べる
+ */
+async function renderTransits(nowMs) {
+  const card = document.querySelector('.natal_transits');
+  const list = card?.querySelector('.natal_transits__list');
+  if (!list) return;
+
+  card.hidden = !natalProfile;
+  if (!natalProfile) return;
+
+  const key = getNatalProfileKey(natalProfile);
+  // 取得した期間の前半にいる間は、取得済みの一覧をそのまま使う
+  const covered = transitCache
+    && transitCache.key === key
+    && nowMs >= transitCache.fromMs
+    && nowMs < transitCache.fromMs + TRANSIT_LIST_DAYS * 24 * 60 * 60 * 1000 / 2;
+
+  if (!covered) {
+    list.replaceChildren(Object.assign(document.createElement('li'), {
+      className: 'detail_item',
+      textContent: '読み込み中...',
+    }));
+    try {
+      const data = await fetchTransits(natalProfile, nowMs, TRANSIT_LIST_DAYS);
+      transitCache = { key, fromMs: nowMs, transits: data.transits };
+    } catch (err) {
+      console.warn('トランジットの取得に失敗:', err);
+      list.replaceChildren(Object.assign(document.createElement('li'), {
+        className: 'detail_item',
+        textContent: 'トランジットを取得できませんでした（通信できるときに再表示されます）',
+      }));
+      return;
+    }
+    // 取得中に出生データが変わっていたら、新しいほうの描画に任せる
+    if (key !== getNatalProfileKey(natalProfile)) return;
+  }
+
+  renderTransitList(list, transitCache.transits, nowMs);
+}
+
+// 最後に描画した時刻（出生データの変更時に同じ時刻で描き直す）
+let displayedNowMs = Date.now();
+
+// 日時指定表示中か（プラネタリーアワーは現在の表示中だけ残り時間を進める）
+let traveling = false;
+
+const planetaryHours = initPlanetaryHours({
+  timeZone: VIEWER_TIME_ZONE,
+  location: loadObserverLocation(),
+});
+const nightSky = initNightSky({
+  timeZone: VIEWER_TIME_ZONE,
+  location: loadObserverLocation(),
+});
+
 function render(current, schedule) {
   const nowMs = getUtcMs(current?.generatedAt) || Date.now();
+  displayedNowMs = nowMs;
   const updateEl = document.querySelector('.yyyymmdd');
   if (updateEl) {
-    updateEl.textContent = formatJstYmdHm(current?.generatedAt);
+    updateEl.textContent = formatLocalYmdHm(current?.generatedAt);
   }
 
   const currentPlanets = Array.isArray(current?.planets) ? current.planets : [];
@@ -422,7 +640,7 @@ function render(current, schedule) {
 
     // ディグニティ表示を更新
     if (planet) {
-      updateDignityLabel(card, meta.jp, planet.sign);
+      updateDignityLabel(card, planet, current?.sect);
     }
 
     // 逆行表示（月・太陽にはprogress_statusがないのでスキップされる）
@@ -453,10 +671,20 @@ function render(current, schedule) {
 
     // その他の天体
     const events = getPlanetEvents(schedule, meta.jp);
+    renderSolarPhase(card, planet, schedule, nowMs);
     renderPlanetDetails(card, planet, events, nowMs);
   });
+
+  renderAspectEvents(schedule, nowMs);
+  renderTransits(nowMs);
+  // current.json の生成時刻ではなく、実際の現在時刻で表示する
+  planetaryHours.render(traveling ? nowMs : null);
+  nightSky.render(traveling ? nowMs : Date.now());
 }
 
+// data/ から読み込んだ最新のデータ（日時指定表示から戻るときに使う）
+let latestData = null;
+
 async function loadData() {
   try {
     const [currentRes, scheduleRes] = await Promise.all([
@@ -470,6 +698,7 @@ async function loadData() {
 
     const current = await currentRes.json();
     const schedule = await scheduleRes.json();
+    latestData = { current, schedule };
     render(current, schedule);
   } catch (error) {
     const updateEl = document.querySelector('.yyyymmdd');
@@ -490,4 +719,32 @@ if ('serviceWorker' in navigator) {
 }
 
 initLuckyEffects();
+initNatalProfile({
+  timeZone: VIEWER_TIME_ZONE,
+  onChange: async (profile) => {
+    natalProfile = profile;
+    renderTransits(displayedNowMs);
+    await syncNatalProfile(profile);
+  },
+});
+initObserverLocation({
+  onChange: async (location) => {
+    await Promise.all([
+      planetaryHours.setLocation(location),
+      nightSky.setLocation(location),
+      syncObserverLocation(location),
+    ]);
+  },
+});
+initTimeTravel({
+  timeZone: VIEWER_TIME_ZONE,
+  onShow: (current, schedule) => {
+    traveling = true;
+    render(current, schedule);
+  },
+  onReset: () => {
+    traveling = false;
+    if (latestData) render(latestData.current, latestData.schedule);
+  },
+});
 loadData();
@@ -0,0 +1,131 @@
+/**
+ * 出生データ（この端末のプロフィール）
+ *
+ * 出生データは localStorage にだけ保存し、照会API（batch/api-server.js の /api/transits）で
+ * ネイタルへのトランジットを取得する。push通知を購読していれば push-subscribe.js が
+ * 同じ出生データを購読にも登録し、トランジット通知に使わせる。
+ */
+
+const API_BASE = './api';
+const STORAGE_KEY = 'astroStatus.natalProfile';
+
+// フォームの name → 出生データの項目
+const TEXT_FIELDS = ['label', 'date', 'time', 'timeZone'];
+const NUMBER_FIELDS = ['lat', 'lon'];
+
+/**
+ * 保存済みの出生データ（未登録・読めない場合は null）
+ * @returns {Object|null}
+ */
+export function loadNatalProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return profile && typeof profile.date === 'string' ? profile : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeNatalProfile(profile) {
+  if (profile) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+}
+
+/**
+ * 出生データのキー（同じデータで取得済みかの判定用。ラベルは含めない）
+ */
+export function getNatalProfileKey(profile) {
+  return profile ? [profile.date, profile.time || '-', profile.timeZone, profile.lat, profile.lon].join('|') : '';
+}
+
+/**
+ * 指定時刻から days 日間のトランジットを取得
+ * @param {Object} profile - 出生データ
+ * @param {number} fromMs
+ * @param {number} days
+ * @returns {Promise<Object>} { from, to, natal, transits }
+ */
+export async function fetchTransits(profile, fromMs, days) {
+  const params = new URLSearchParams({
+    date: profile.date,
+    timeZone: profile.timeZone,
+    lat: String(profile.lat),
+    lon: String(profile.lon),
+    from: new Date(fromMs).toISOString(),
+    to: new Date(fromMs + days * 24 * 60 * 60 * 1000).toISOString(),
+  });
+  if (profile.time) params.set('time', profile.time);
+
+  const res = await fetch(`${API_BASE}/transits?${params}`);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+function fillForm(form, profile) {
+  for (const name of [...TEXT_FIELDS, ...NUMBER_FIELDS]) {
+    const el = form.elements.namedItem(name);
+    if (el) el.value = profile?.[name] ?? '';
+  }
+}
+
+function readForm(form) {
+  const profile = {};
+  for (const name of TEXT_FIELDS) {
+    profile[name] = form.elements.namedItem(name)?.value.trim() || null;
+  }
+  for (const name of NUMBER_FIELDS) {
+    profile[name] = Number(form.elements.namedItem(name)?.value);
+  }
+  profile.label = profile.label || '';
+  return profile;
+}
+
+/**
+ * 出生データのフォームを初期化
+ * @param {Object} options
+ * @param {string} options.timeZone - 未登録時にタイムゾーン欄へ入れておく値
+ * @param {(profile: Object|null) => Promise<void>} options.onChange - 保存・削除された出生データ
+ */
+export function initNatalProfile({ timeZone, onChange }) {
+  const form = document.querySelector('.natal_profile__form');
+  if (!form) return;
+
+  const statusEl = form.querySelector('.natal_profile__status');
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+
+  fillForm(form, loadNatalProfile() || { timeZone });
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const profile = readForm(form);
+    storeNatalProfile(profile);
+    setStatus('保存中...');
+    try {
+      await onChange(profile);
+      setStatus('保存しました');
+    } catch (err) {
+      console.warn('出生データの反映に失敗:', err);
+      setStatus('この端末には保存しましたが、通知への登録に失敗しました');
+    }
+  });
+
+  form.querySelector('.natal_profile__delete')?.addEventListener('click', async () => {
+    storeNatalProfile(null);
+    fillForm(form, { timeZone });
+    try {
+      await onChange(null);
+      setStatus('削除しました');
+    } catch (err) {
+      console.warn('出生データの削除に失敗:', err);
+      setStatus('この端末からは削除しましたが、通知からの削除に失敗しました');
+    }
+  });
+}
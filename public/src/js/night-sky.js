@@ -0,0 +1,144 @@
+/**
+ * 今夜の空カード
+ *
+ * 照会API（batch/api-server.js の /api/sky）から、観測地点での表示日の日の入り・薄明・翌朝の日の出と、
+ * その夜（市民薄明の終わり〜翌朝の市民薄明の始まり）に地平線上にある天体の時間帯を取得して表示する。
+ */
+
+import { getZonedParts } from './timezone.js';
+import { getObserverLocationKey } from './observer-location.js';
+
+const API_BASE = './api';
+
+const TWILIGHT_LABELS = {
+  civil: '市民薄明',
+  nautical: '航海薄明',
+  astronomical: '天文薄明',
+};
+
+/**
+ * 指定時刻の暦日の出没・薄明と、その夜に見える天体を取得
+ * @param {Object} location - { lat, lon }
+ * @param {string} timeZone - 暦日を決めるタイムゾーン
+ * @param {number} atMs
+ * @returns {Promise<Object>} { date, riseSet, twilight, night }
+ */
+export async function fetchSky(location, timeZone, atMs) {
+  const params = new URLSearchParams({
+    lat: String(location.lat),
+    lon: String(location.lon),
+    timeZone,
+    at: new Date(atMs).toISOString(),
+  });
+  const res = await fetch(`${API_BASE}/sky?${params}`);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+// 'HH:MM'（表示日の翌日なら「翌」を付ける）
+function formatTime(utcString, date, timeZone) {
+  if (!utcString) return '--:--';
+  const d = getZonedParts(Date.parse(utcString), timeZone);
+  const ymd = `${d.year}-${String(d.month).padStart(2, '0')}-${String(d.day).padStart(2, '0')}`;
+  const hm = `${String(d.hour).padStart(2, '0')}:${String(d.minute).padStart(2, '0')}`;
+  return ymd > date ? `翌${hm}` : hm;
+}
+
+function createItem(titleText, valueText) {
+  const item = document.createElement('li');
+  item.className = 'detail_item';
+  const title = document.createElement('h4');
+  title.textContent = titleText;
+  const value = document.createElement('data');
+  value.textContent = valueText;
+  item.append(title, value);
+  return item;
+}
+
+/**
+ * 今夜の空のカードを初期化
+ * @param {Object} options
+ * @param {string} options.timeZone - 表示タイムゾーン
+ * @param {Object} options.location - 観測地点（observer-location.js の loadObserverLocation）
+ * @returns {{ render: (atMs: number) => Promise<void>, setLocation: (location: Object) => Promise<void> }}
+ */
+export function initNightSky({ timeZone, location }) {
+  const list = document.querySelector('.night_sky__list');
+
+  let currentLocation = location;
+  let displayedAtMs = Date.now();
+  let cache = null;
+  let renderCount = 0;
+
+  const showMessage = (text) => {
+    list.replaceChildren(Object.assign(document.createElement('li'), {
+      className: 'detail_item',
+      textContent: text,
+    }));
+  };
+
+  const draw = (sky) => {
+    const { date, night } = sky;
+    const moon = sky.riseSet.find((b) => b.planetKey === 'moon');
+    const items = [
+      createItem('観測地点', currentLocation.label || `${currentLocation.lat}, ${currentLocation.lon}`),
+      createItem('月の出・月の入り', `${formatTime(moon?.rise, date, timeZone)} / ${formatTime(moon?.set, date, timeZone)}`),
+    ];
+
+    if (!night) {
+      items.push(createItem('夜', 'この日は日が沈まない（昇らない）ため、夜の空は表示できません'));
+      list.replaceChildren(...items);
+      return;
+    }
+
+    items.push(createItem('日の入り', formatTime(night.sunset, date, timeZone)));
+    for (const [kind, label] of Object.entries(TWILIGHT_LABELS)) {
+      const value = night.dusk[kind]
+        ? `${formatTime(night.dusk[kind], date, timeZone)}〜${formatTime(night.dawn[kind], date, timeZone)}`
+        : '一晩中明るさが残ります';
+      items.push(createItem(`${label}の終わり〜始まり`, value));
+    }
+    items.push(createItem('翌朝の日の出', formatTime(night.sunrise, date, timeZone)));
+
+    for (const body of night.bodies) {
+      const value = body.visible
+        ? `${formatTime(body.from, date, timeZone)}〜${formatTime(body.until, date, timeZone)}`
+        : '地平線の下';
+      items.push(createItem(body.planet, value));
+    }
+    list.replaceChildren(...items);
+  };
+
+  const render = async (atMs) => {
+    if (!list) return;
+    displayedAtMs = atMs;
+    const renderId = ++renderCount;
+
+    const d = getZonedParts(atMs, timeZone);
+    const key = `${getObserverLocationKey(currentLocation)}|${d.year}-${d.month}-${d.day}`;
+    if (!cache || cache.key !== key) {
+      try {
+        cache = { key, sky: await fetchSky(currentLocation, timeZone, atMs) };
+      } catch (err) {
+        console.warn('今夜の空の取得に失敗:', err);
+        if (renderId === renderCount) {
+          showMessage('今夜の空を取得できませんでした（通信できるときに再表示されます）');
+        }
+        return;
+      }
+    }
+    // 取得中に描き直しが始まっていたら、新しいほうの描画に任せる
+    if (renderId !== renderCount) return;
+    draw(cache.sky);
+  };
+
+  const setLocation = async (location) => {
+    currentLocation = location;
+    await render(displayedAtMs);
+  };
+
+  return { render, setLocation };
+}
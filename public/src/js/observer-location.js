@@ -0,0 +1,181 @@
+/**
+ * 観測地点（この端末の場所）
+ *
+ * プラネタリーアワーや今夜の空のように、日の出・日の入りで決まる表示に使う地点。
+ * 緯度・経度の入力、現在地、プリセットの都市（照会APIの /api/cities）から選べる。
+ * localStorage にだけ保存し、未設定なら東京とする。push通知を購読していれば
+ * push-subscribe.js が同じ地点を購読にも登録し、プラネタリーアワー通知に使わせる。
+ */
+
+const STORAGE_KEY = 'astroStatus.location';
+
+export const DEFAULT_LOCATION = Object.freeze({ label: '東京', lat: 35.6812, lon: 139.7671 });
+
+const API_BASE = './api';
+
+// 位置情報の取得を待つ上限（ミリ秒）
+const GEOLOCATION_TIMEOUT_MS = 15000;
+
+function isValidLocation(location) {
+  return location
+    && Number.isFinite(location.lat) && location.lat >= -90 && location.lat <= 90
+    && Number.isFinite(location.lon) && location.lon >= -180 && location.lon <= 180;
+}
+
+/**
+ * 保存済みの観測地点（未設定・読めない場合は DEFAULT_LOCATION）
+ * @returns {{ label: string, lat: number, lon: number }}
+ */
+export function loadObserverLocation() {
+  try {
+    const location = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return isValidLocation(location) ? location : DEFAULT_LOCATION;
+  } catch {
+    return DEFAULT_LOCATION;
+  }
+}
+
+function storeObserverLocation(location) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(location));
+}
+
+/**
+ * 観測地点のプリセットの都市を取得（packages/astro-status/src/constants/cities.js の PRESET_CITIES）
+ * @returns {Promise<Array<{ key: string, name: string, lat: number, lon: number, timeZone: string }>>}
+ */
+export async function fetchPresetCities() {
+  const res = await fetch(`${API_BASE}/cities`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const { cities } = await res.json();
+  return cities;
+}
+
+/**
+ * 観測地点のキー（同じ地点で取得済みかの判定用。ラベルは含めない）
+ */
+export function getObserverLocationKey(location) {
+  return `${location.lat}|${location.lon}`;
+}
+
+// 同じ地点のプリセットの都市
+function findPresetCity(cities, location) {
+  return cities.find((c) => c.lat === location.lat && c.lon === location.lon) || null;
+}
+
+function fillForm(form, location, cities) {
+  form.elements.namedItem('label').value = location.label || '';
+  form.elements.namedItem('lat').value = String(location.lat);
+  form.elements.namedItem('lon').value = String(location.lon);
+  // プリセットの都市と同じ地点なら、その都市を選択状態にする
+  const city = form.elements.namedItem('city');
+  if (city) {
+    city.value = findPresetCity(cities, location)?.key || '';
+  }
+}
+
+function fillCityOptions(select, cities) {
+  if (select.options.length > 1) return;
+  for (const city of cities) {
+    select.add(new Option(city.name, city.key));
+  }
+}
+
+function readForm(form) {
+  return {
+    label: form.elements.namedItem('label').value.trim(),
+    lat: Number(form.elements.namedItem('lat').value),
+    lon: Number(form.elements.namedItem('lon').value),
+  };
+}
+
+// 端末の位置情報（緯度・経度は小数4桁 ≒ 10m に丸める）
+function getCurrentPosition() {
+  return new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({
+        label: '現在地',
+        lat: Math.round(position.coords.latitude * 10000) / 10000,
+        lon: Math.round(position.coords.longitude * 10000) / 10000,
+      }),
+      reject,
+      { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 60 * 60 * 1000 }
+    );
+  });
+}
+
+/**
+ * 観測地点のフォームを初期化
+ * @param {Object} options
+ * @param {(location: Object) => Promise<void>} options.onChange - 保存された観測地点
+ */
+export function initObserverLocation({ onChange }) {
+  const form = document.querySelector('.observer_location__form');
+  if (!form) return;
+
+  const statusEl = form.querySelector('.observer_location__status');
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+
+  const save = async (location) => {
+    storeObserverLocation(location);
+    setStatus('保存中...');
+    try {
+      await onChange(location);
+      setStatus('保存しました');
+    } catch (err) {
+      console.warn('観測地点の反映に失敗:', err);
+      setStatus('この端末には保存しましたが、通知への登録に失敗しました');
+    }
+  };
+
+  // プリセットの都市（取得できるまでは空。取得できなければ都市からは選べない）
+  let cities = [];
+
+  const citySelect = form.elements.namedItem('city');
+  if (citySelect) {
+    citySelect.addEventListener('change', async () => {
+      const city = cities.find((c) => c.key === citySelect.value);
+      if (!city) return;
+      const location = { label: city.name, lat: city.lat, lon: city.lon };
+      fillForm(form, location, cities);
+      await save(location);
+    });
+    fetchPresetCities()
+      .then((loaded) => {
+        cities = loaded;
+        fillCityOptions(citySelect, cities);
+        // 入力中の内容は上書きせず、都市の選択状態だけを合わせる
+        citySelect.value = findPresetCity(cities, readForm(form))?.key || '';
+      })
+      .catch((err) => {
+        console.warn('観測地点のプリセットの取得に失敗:', err);
+        citySelect.disabled = true;
+      });
+  }
+
+  fillForm(form, loadObserverLocation(), cities);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await save(readForm(form));
+  });
+
+  const geoButton = form.querySelector('.observer_location__geolocate');
+  if (!geoButton) return;
+  if (!('geolocation' in navigator)) {
+    geoButton.hidden = true;
+    return;
+  }
+  geoButton.addEventListener('click', async () => {
+    setStatus('現在地を取得中...');
+    try {
+      const location = await getCurrentPosition();
+      fillForm(form, location, cities);
+      await save(location);
+    } catch (err) {
+      console.warn('現在地の取得に失敗:', err);
+      setStatus('現在地を取得できませんでした（緯度・経度を入力してください）');
+    }
+  });
+}
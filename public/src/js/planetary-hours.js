@@ -0,0 +1,190 @@
+/**
+ * プラネタリーアワー（惑星時間）カード
+ *
+ * 照会API（batch/api-server.js の /api/planetary-hours）から、観測地点で表示時刻を含む1日
+ * （日の出〜翌日の日の出）の24時間と支配星を取得し、いまの時間と終わりまでの残り時間を表示する。
+ * 現在の表示中は1秒ごとに残り時間を進め、時間が切り替わったら描き直す。
+ * 日時指定表示中は、その時刻で止めて表示する。
+ */
+
+import { getZonedParts } from './timezone.js';
+import { getObserverLocationKey } from './observer-location.js';
+
+const API_BASE = './api';
+const WEEK_JA = ['日', '月', '火', '水', '木', '金', '土'];
+
+/**
+ * 指定時刻を含む1日のプラネタリーアワーを取得
+ * @param {Object} location - { lat, lon }
+ * @param {string} timeZone - 暦日（曜日）を決めるタイムゾーン
+ * @param {number} atMs
+ * @returns {Promise<Object>} { date, dayRuler, sunrise, sunset, nextSunrise, current, hours }
+ */
+export async function fetchPlanetaryHours(location, timeZone, atMs) {
+  const params = new URLSearchParams({
+    lat: String(location.lat),
+    lon: String(location.lon),
+    timeZone,
+    at: new Date(atMs).toISOString(),
+  });
+  const res = await fetch(`${API_BASE}/planetary-hours?${params}`);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+function formatTime(utcString, timeZone) {
+  const d = getZonedParts(Date.parse(utcString), timeZone);
+  return `${String(d.hour).padStart(2, '0')}:${String(d.minute).padStart(2, '0')}`;
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(totalSeconds / 3600);
+  const m = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const s = String(totalSeconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${m}:${s}` : `${m}:${s}`;
+}
+
+function formatHourLabel(hour) {
+  return hour.period === 'day' ? `昼の第${hour.hour}時` : `夜の第${hour.hour - 12}時`;
+}
+
+function findHourAt(day, atMs) {
+  return day.hours.find((h) => atMs >= Date.parse(h.startUtc) && atMs < Date.parse(h.endUtc)) || null;
+}
+
+function createItem(titleText, valueText, className = '') {
+  const item = document.createElement('li');
+  item.className = `detail_item ${className}`.trim();
+  const title = document.createElement('h4');
+  title.textContent = titleText;
+  const value = document.createElement('data');
+  value.textContent = valueText;
+  item.append(title, value);
+  return item;
+}
+
+/**
+ * プラネタリーアワーのカードを初期化
+ * @param {Object} options
+ * @param {string} options.timeZone - 表示タイムゾーン
+ * @param {Object} options.location - 観測地点（observer-location.js の loadObserverLocation）
+ * @returns {{ render: (atMs: number|null) => Promise<void>, setLocation: (location: Object) => Promise<void> }}
+ *   render(null) は現在時刻で表示して残り時間を進め、時刻を渡すとその時刻で止めて表示する
+ */
+export function initPlanetaryHours({ timeZone, location }) {
+  const card = document.querySelector('.planetary_hours');
+  const list = card?.querySelector('.planetary_hours__list');
+  const currentEl = card?.querySelector('.planetary_hours__current');
+
+  let currentLocation = location;
+  let fixedAtMs = null;
+  let day = null;
+  let dayKey = '';
+  let timer = null;
+  let renderCount = 0;
+
+  const showMessage = (text) => {
+    list.replaceChildren(Object.assign(document.createElement('li'), {
+      className: 'detail_item',
+      textContent: text,
+    }));
+    if (currentEl) currentEl.textContent = '';
+  };
+
+  const drawList = (atMs) => {
+    const current = findHourAt(day, atMs);
+    const weekday = WEEK_JA[new Date(`${day.date}T00:00:00Z`).getUTCDay()];
+    const place = currentLocation.label || `${currentLocation.lat}, ${currentLocation.lon}`;
+
+    list.replaceChildren(
+      createItem('観測地点', place),
+      createItem('日の支配星', `${day.dayRuler}（${weekday}曜日）`),
+      createItem('日の出・日の入り', `${formatTime(day.sunrise, timeZone)} / ${formatTime(day.sunset, timeZone)}`),
+      ...day.hours.map((h) => createItem(
+        `${formatHourLabel(h)} ${h.ruler}`,
+        `${formatTime(h.startUtc, timeZone)}〜${formatTime(h.endUtc, timeZone)}`,
+        h === current ? 'planetary_hours__hour is_current' : 'planetary_hours__hour'
+      ))
+    );
+  };
+
+  const drawCurrent = (atMs) => {
+    const current = findHourAt(day, atMs);
+    if (!currentEl || !current) return;
+    const remaining = formatCountdown(Date.parse(current.endUtc) - atMs);
+    currentEl.textContent = `${current.ruler}の時間 残り${remaining}`;
+  };
+
+  const stopTimer = () => {
+    if (timer !== null) clearInterval(timer);
+    timer = null;
+  };
+
+  // 取得済みの1日に atMs が含まれていなければ取り直す
+  const ensureDay = async (atMs) => {
+    const key = getObserverLocationKey(currentLocation);
+    const covered = day
+      && dayKey === key
+      && atMs >= Date.parse(day.sunrise)
+      && atMs < Date.parse(day.nextSunrise);
+    if (covered) return true;
+
+    try {
+      const data = await fetchPlanetaryHours(currentLocation, timeZone, atMs);
+      day = data;
+      dayKey = key;
+      return true;
+    } catch (err) {
+      console.warn('プラネタリーアワーの取得に失敗:', err);
+      day = null;
+      showMessage(/sun does not rise and set/.test(err.message)
+        ? 'この地点・日付は日の出・日の入りがないため、プラネタリーアワーを求められません'
+        : 'プラネタリーアワーを取得できませんでした（通信できるときに再表示されます）');
+      return false;
+    }
+  };
+
+  const render = async (atMs) => {
+    if (!list) return;
+    stopTimer();
+    fixedAtMs = atMs;
+    const renderId = ++renderCount;
+
+    const nowMs = atMs ?? Date.now();
+    const loaded = await ensureDay(nowMs);
+    // 取得中に描き直しが始まっていたら、新しいほうの描画に任せる
+    if (renderId !== renderCount || !loaded) return;
+
+    drawList(nowMs);
+    drawCurrent(nowMs);
+    if (atMs !== null) return;
+
+    let hour = findHourAt(day, nowMs);
+    timer = setInterval(() => {
+      const tickMs = Date.now();
+      if (hour && tickMs < Date.parse(hour.endUtc)) {
+        drawCurrent(tickMs);
+        return;
+      }
+      // 時間が切り替わった（日の出を越えたら次の1日を取得）
+      if (tickMs >= Date.parse(day.nextSunrise)) {
+        render(null);
+        return;
+      }
+      hour = findHourAt(day, tickMs);
+      drawList(tickMs);
+      drawCurrent(tickMs);
+    }, 1000);
+  };
+
+  const setLocation = async (location) => {
+    currentLocation = location;
+    await render(fixedAtMs);
+  };
+
+  return { render, setLocation };
+}
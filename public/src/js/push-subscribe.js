@@ -2,8 +2,16 @@
  * push通知の購読管理（フロント側）
  *
  * Service Worker 登録後に呼ばれ、通知の許可取得 → VAPID鍵取得 → 購読登録を行う。
+ * 購読にはブラウザのタイムゾーンを添えて送り、通知の時刻判定に使わせる。
+ * 購読済みなら通知設定パネル（.push_settings）を表示し、設定の取得・保存を行う。
+ * この端末に出生データがあれば購読にも登録し、トランジット通知に使わせる。
+ * 観測地点も購読に登録し、プラネタリーアワー通知に使わせる。
  */
 
+import { getViewerTimeZone } from './timezone.js';
+import { loadNatalProfile } from './natal-profile.js';
+import { loadObserverLocation } from './observer-location.js';
+
 const API_BASE = './api/push';
 
 function urlBase64ToUint8Array(base64String) {
@@ -27,7 +35,157 @@ async function sendSubscription(subscription) {
   await fetch(`${API_BASE}/subscribe`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(subscription.toJSON()),
+    body: JSON.stringify({ ...subscription.toJSON(), timeZone: getViewerTimeZone() }),
+  });
+}
+
+async function sendNatal(subscription, natal) {
+  const res = await fetch(`${API_BASE}/natal`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint, natal }),
+  });
+  if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+}
+
+/**
+ * 出生データを購読に登録する（null で削除）。未購読なら何もしない
+ * @param {Object|null} natal
+ */
+export async function syncNatalProfile(natal) {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (subscription) await sendNatal(subscription, natal);
+}
+
+async function sendLocation(subscription, location) {
+  const res = await fetch(`${API_BASE}/location`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint, location }),
+  });
+  if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+}
+
+/**
+ * 観測地点を購読に登録する。未購読なら何もしない
+ * @param {Object} location
+ */
+export async function syncObserverLocation(location) {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (subscription) await sendLocation(subscription, location);
+}
+
+// ── 通知設定パネル ──
+
+async function fetchPreferences(endpoint) {
+  const res = await fetch(`${API_BASE}/preferences?endpoint=${encodeURIComponent(endpoint)}`);
+  if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+  return res.json();
+}
+
+async function savePreferences(endpoint, preferences) {
+  const res = await fetch(`${API_BASE}/preferences`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint, preferences, timeZone: getViewerTimeZone() }),
+  });
+  if (!res.ok) throw new Error(`HTTP error: ${res.status}`);
+  return res.json();
+}
+
+// フォーム要素の name は 'kinds.void' のように設定オブジェクト内のパスを表す
+function getByPath(obj, path) {
+  return path.split('.').reduce((value, key) => value?.[key], obj);
+}
+
+function setByPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const key of keys) {
+    target[key] = target[key] || {};
+    target = target[key];
+  }
+  target[last] = value;
+}
+
+function fillHourOptions(select) {
+  if (select.options.length > 0) return;
+  for (let h = 0; h < 24; h++) {
+    select.add(new Option(String(h), String(h)));
+  }
+}
+
+function fillForm(form, preferences) {
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    const value = getByPath(preferences, el.name);
+    if (value === undefined) continue;
+    if (Array.isArray(value)) {
+      // 同じ name のチェックボックス群は、value が配列に含まれるかで判定
+      el.checked = value.includes(el.value);
+    } else if (el.type === 'checkbox') {
+      el.checked = value === true;
+    } else {
+      el.value = String(value);
+    }
+  }
+}
+
+function readForm(form) {
+  const preferences = {};
+  for (const el of form.elements) {
+    if (!el.name) continue;
+    if (el.type === 'checkbox' && el.hasAttribute('value')) {
+      // value 付きのチェックボックスは配列として集める（例: ingressPlanets）
+      const list = getByPath(preferences, el.name) || [];
+      if (el.checked) list.push(el.value);
+      setByPath(preferences, el.name, list);
+    } else if (el.type === 'checkbox') {
+      setByPath(preferences, el.name, el.checked);
+    } else if (el.type === 'number' || el.tagName === 'SELECT') {
+      setByPath(preferences, el.name, Number(el.value));
+    }
+  }
+  return preferences;
+}
+
+async function initPreferencesPanel(subscription) {
+  const panel = document.querySelector('.push_settings');
+  const form = panel?.querySelector('.push_settings__form');
+  if (!form) return;
+
+  const statusEl = form.querySelector('.push_settings__status');
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+
+  form.querySelectorAll('select[name^="quietHours."]').forEach(fillHourOptions);
+
+  try {
+    const data = await fetchPreferences(subscription.endpoint);
+    fillForm(form, data.preferences);
+    panel.hidden = false;
+  } catch (err) {
+    console.warn('通知設定の取得に失敗:', err);
+    return;
+  }
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    setStatus('保存中...');
+    try {
+      const saved = await savePreferences(subscription.endpoint, readForm(form));
+      fillForm(form, saved.preferences);
+      setStatus('保存しました');
+    } catch (err) {
+      console.warn('通知設定の保存に失敗:', err);
+      setStatus('保存に失敗しました');
+    }
   });
 }
 
@@ -39,10 +197,18 @@ export async function initPushSubscription() {
 
   const registration = await navigator.serviceWorker.ready;
 
-  // 既に購読済みならスキップ
+  // 既に購読済みならタイムゾーンだけ同期してスキップ
   const existing = await registration.pushManager.getSubscription();
   if (existing) {
+    try {
+      await sendSubscription(existing);
+      await sendNatal(existing, loadNatalProfile());
+      await sendLocation(existing, loadObserverLocation());
+    } catch (err) {
+      console.warn('Push通知: タイムゾーン・出生データ・観測地点の同期に失敗:', err);
+    }
     console.log('Push通知: 購読済み');
+    await initPreferencesPanel(existing);
     return;
   }
 
@@ -66,7 +232,11 @@ export async function initPushSubscription() {
     });
 
     await sendSubscription(subscription);
+    const natal = loadNatalProfile();
+    if (natal) await sendNatal(subscription, natal);
+    await sendLocation(subscription, loadObserverLocation());
     console.log('Push通知: 購読登録完了');
+    await initPreferencesPanel(subscription);
   } catch (err) {
     console.warn('Push通知の購読に失敗:', err);
   }
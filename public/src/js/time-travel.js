@@ -0,0 +1,110 @@
+/**
+ * 日時指定表示（タイムトラベル）
+ *
+ * 任意の日時を選ぶと、照会API（batch/api-server.js）から current.json / schedule.json と
+ * 同じ形のデータを取得して、ダッシュボード全体をその時点の状態で描き直す。
+ * APIに届かない（オフライン等）ときは、表示中のデータはそのままに理由だけを知らせる。
+ */
+
+import { getZonedParts, zonedTimeToUtcMs } from './timezone.js';
+
+const API_BASE = './api';
+
+// sw.js がオフライン時に返すエラー
+const OFFLINE_ERROR = 'offline';
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * 指定日時のステータスとスケジュールを取得
+ * @param {number} utcMs
+ * @returns {Promise<{ current: Object, schedule: Object }>}
+ */
+export async function fetchSnapshot(utcMs) {
+  const at = encodeURIComponent(new Date(utcMs).toISOString());
+  const [current, schedule] = await Promise.all([
+    fetchJson(`${API_BASE}/status?at=${at}`),
+    fetchJson(`${API_BASE}/schedule?at=${at}`),
+  ]);
+  return { current, schedule };
+}
+
+// datetime-local の値 'YYYY-MM-DDTHH:MM'（表示タイムゾーンのローカル時刻）⇔ UTCミリ秒
+
+function toInputValue(utcMs, timeZone) {
+  const p = getZonedParts(utcMs, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+function fromInputValue(value, timeZone) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+  if (!m) return null;
+  const [, year, month, day, hour, minute] = m.map(Number);
+  return zonedTimeToUtcMs({ year, month, day, hour, minute }, timeZone);
+}
+
+/**
+ * 日時指定フォームを初期化
+ * @param {Object} options
+ * @param {string} options.timeZone - 表示タイムゾーン
+ * @param {(current: Object, schedule: Object) => void} options.onShow - 指定日時のデータを描画
+ * @param {() => void} options.onReset - 現在のデータの表示に戻す
+ */
+export function initTimeTravel({ timeZone, onShow, onReset }) {
+  const form = document.querySelector('.time_travel');
+  if (!form) return;
+
+  const input = form.querySelector('.time_travel__input');
+  const nowButton = form.querySelector('.time_travel__now');
+  const statusEl = form.querySelector('.time_travel__status');
+  const updateLabel = document.querySelector('.update span:first-child');
+
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+  const setTraveling = (traveling) => {
+    if (nowButton) nowButton.hidden = !traveling;
+    if (updateLabel) updateLabel.textContent = traveling ? 'viewing:' : 'last update:';
+  };
+
+  input.value = toInputValue(Date.now(), timeZone);
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const utcMs = fromInputValue(input.value, timeZone);
+    if (utcMs === null) {
+      setStatus('日時を入力してください');
+      return;
+    }
+
+    setStatus('読み込み中...');
+    try {
+      const { current, schedule } = await fetchSnapshot(utcMs);
+      onShow(current, schedule);
+      setTraveling(true);
+      setStatus('');
+    } catch (err) {
+      console.warn('指定日時のデータ取得に失敗:', err);
+      if (err.message === OFFLINE_ERROR || navigator.onLine === false) {
+        setStatus('オフラインのため、この日時のデータを取得できません（表示は変わっていません）');
+      } else {
+        setStatus('この日時のデータを取得できませんでした（表示は変わっていません）');
+      }
+    }
+  });
+
+  nowButton?.addEventListener('click', () => {
+    onReset();
+    setTraveling(false);
+    setStatus('');
+    input.value = toInputValue(Date.now(), timeZone);
+  });
+}
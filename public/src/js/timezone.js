@@ -0,0 +1,120 @@
+/**
+ * タイムゾーン変換（フロント側）
+ *
+ * packages/astro-status/src/utils/timezone.js のESM版。
+ * 表示に使うタイムゾーンはブラウザの設定から取得し、localStorage で上書きできる。
+ */
+
+export const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+
+const STORAGE_KEY = 'astrostatus:timeZone';
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatterCache.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short',
+    });
+    formatterCache.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function normalizeTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+/**
+ * 閲覧中のタイムゾーン
+ * 優先度: localStorage の指定 > ブラウザの設定 > Asia/Tokyo
+ */
+export function getViewerTimeZone() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (isValidTimeZone(stored)) return stored;
+  } catch {
+    // localStorage が使えない環境（プライベートモード等）はブラウザ設定に従う
+  }
+  return normalizeTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone);
+}
+
+export function setViewerTimeZone(timeZone) {
+  try {
+    if (timeZone && isValidTimeZone(timeZone)) {
+      localStorage.setItem(STORAGE_KEY, timeZone);
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // 保存できなくても表示には影響しない
+  }
+}
+
+export function getZonedParts(utcMs, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(new Date(utcMs))) {
+    parts[part.type] = part.value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+}
+
+export function getTimeZoneOffsetMs(utcMs, timeZone) {
+  const p = getZonedParts(utcMs, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+export function zonedTimeToUtcMs(local, timeZone) {
+  const asUtc = Date.UTC(
+    local.year, local.month - 1, local.day,
+    local.hour || 0, local.minute || 0, local.second || 0
+  );
+  let utcMs = asUtc - getTimeZoneOffsetMs(asUtc, timeZone);
+  utcMs = asUtc - getTimeZoneOffsetMs(utcMs, timeZone);
+  return utcMs;
+}
+
+const LABEL_LOCALES = ['ja-JP', 'en-GB', 'en-US'];
+
+export function getTimeZoneLabel(utcMs, timeZone) {
+  let label = timeZone;
+  for (const locale of LABEL_LOCALES) {
+    const part = new Intl.DateTimeFormat(locale, { timeZone, timeZoneName: 'short' })
+      .formatToParts(new Date(utcMs))
+      .find((p) => p.type === 'timeZoneName');
+    if (!part) continue;
+    label = part.value;
+    if (!label.startsWith('GMT')) break;
+  }
+  return label;
+}
@@ -5,12 +5,13 @@
  * - HTML/CSS/JS: Stale-While-Revalidate（キャッシュから即応答 + 裏で最新取得 → 次回反映）
  * - 画像/フォント: Cache-First（変更頻度が低いため）
  * - data/: Network-First（cronで更新されるため）
+ * - api/（照会API）: Network-First、オフラインで未キャッシュなら 503 {"error":"offline"}
  * - push通知の受信・表示
  *
  * CACHE_VERSION をインクリメントすると、デプロイ時に全キャッシュがクリアされる
  */
 
-const CACHE_VERSION = 2;
+const CACHE_VERSION = 15;
 const CACHE_NAME = `astrostatus-v${CACHE_VERSION}`;
 
 const APP_SHELL = [
@@ -22,6 +23,12 @@ const APP_SHELL = [
   './src/js/app.js',
   './src/js/ui_affects.js',
   './src/js/push-subscribe.js',
+  './src/js/timezone.js',
+  './src/js/time-travel.js',
+  './src/js/natal-profile.js',
+  './src/js/observer-location.js',
+  './src/js/planetary-hours.js',
+  './src/js/night-sky.js',
   './src/images/icons/fonts/Untitled.woff2',
   './src/images/bg/bg_moon.svg',
   './src/images/bg/bg_star.svg',
@@ -84,6 +91,30 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // 照会API（日時指定表示）はネットワーク優先、オフライン時は一度見た日時だけキャッシュから返す
+  // push購読API（/api/push/）は対象外
+  if (url.pathname.includes('/api/') && !url.pathname.includes('/api/push/') && event.request.method === 'GET') {
+    event.respondWith(
+      fetch(event.request)
+        .then((response) => {
+          if (response.ok) {
+            const clone = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
+          }
+          return response;
+        })
+        .catch(() =>
+          caches.match(event.request).then((cached) =>
+            cached || new Response(JSON.stringify({ error: 'offline' }), {
+              status: 503,
+              headers: { 'Content-Type': 'application/json' },
+            })
+          )
+        )
+    );
+    return;
+  }
+
   // HTML/CSS/JS: Stale-While-Revalidate
   // キャッシュがあれば即座に返し、裏でネットワークから最新版を取得してキャッシュ更新
   if (isSWRTarget(url)) {